@@ -25,9 +25,16 @@ import cartRouter from "./routes/cart.js";
 import sendMailRouter from "./routes/sendMail.js";
 import calendarRouter from "./routes/calendar.js";
 import pricesRouter from "./routes/prices.js";
+import discountsRouter from "./routes/discounts.js";
+import promoCodesRouter from "./routes/promoCodes.js";
+import reportsRouter from "./routes/reports.js";
 import logoutRouter from "./routes/logout.js";
 import tokenInfoRouter from "./routes/token-info.js";
 import globalSettingsRouter from "./routes/globalSettings.js";
+import propertiesRouter from "./routes/properties.js";
+import quoteRouter from "./routes/quote.js";
+import cronRouter from "./routes/cron.js";
+import paymentWebhooksRouter from "./routes/paymentWebhooks.js";
 
 const app = express();
 
@@ -104,7 +111,17 @@ app.use(compression({ level: 6, threshold: 1024 }));
 app.use(secureLogger);
 
 app.use(logger("dev"));
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Corps brut conservé pour la vérification de signature des webhooks
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/payments/webhooks/")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: false, limit: "10mb" }));
 app.use(cookieParser());
 
@@ -123,6 +140,10 @@ app.use("/calendar", calendarRouter);
 app.use("/sendMail", sendMailRouter);
 app.use("/booking", bookingRouter);
 app.use("/global-settings", globalSettingsRouter);
+app.use("/properties", propertiesRouter);
+app.use("/quote", quoteRouter);
+app.use("/cron", cronRouter); // Protégé par CRON_SECRET
+app.use("/payments/webhooks", paymentWebhooksRouter); // Signature du prestataire vérifiée
 
 // Routes protégées SANS CSRF (authentification seulement)
 app.use("/cart", authenticateToken, cartRouter);
@@ -141,7 +162,10 @@ app.use((req, res, next) => {
 app.use("/auth", logoutRouter);
 
 // Routes protégées avec CSRF (si nécessaire)
+app.use("/prices/discounts", authenticateToken, requireRole(["admin"]), discountsRouter);
 app.use("/prices", authenticateToken, requireRole(["admin"]), pricesRouter);
+app.use("/promo-codes", authenticateToken, requireRole(["admin"]), promoCodesRouter);
+app.use("/reports", authenticateToken, requireRole(["admin"]), reportsRouter);
 app.use("/token", authenticateToken, tokenInfoRouter);
 
 // catch 404 and forward to error handler
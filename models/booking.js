@@ -26,6 +26,23 @@ const bookingSchema = new mongoose.Schema({
     ],
     default: "pending",
   },
+  // Historique des changements de statut (voir services/bookingLifecycleService.js)
+  statusHistory: [{
+    _id: false,
+    from: { type: String }, // Absent à la création
+    to: { type: String, required: true },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users"
+    },
+    channel: {
+      type: String,
+      enum: ["guest", "admin", "email", "payment", "system"],
+      required: true
+    },
+    reason: { type: String, trim: true },
+    at: { type: Date, default: Date.now }
+  }],
   bookedAt: { type: Date, default: Date.now },
   expiresAt: { type: Date },
 
@@ -98,16 +115,146 @@ const bookingSchema = new mongoose.Schema({
     }
   },
 
+  // Suppléments voyageurs (personnes supplémentaires, animaux)
+  surcharges: [{
+    _id: false,
+    code: {
+      type: String,
+      trim: true
+    },
+    label: {
+      type: String,
+      trim: true
+    },
+    quantity: Number,
+    unitPrice: Number,
+    amount: {
+      type: Number,
+      min: 0
+    }
+  }],
+
+  // Code promo utilisé (une utilisation par réservation)
+  promoCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+
+  // Réductions appliquées au prix du logement (détail du devis)
+  discounts: [{
+    _id: false,
+    source: {
+      type: String,
+      enum: ["rule", "promo"],
+      default: "rule"
+    },
+    code: {
+      type: String,
+      trim: true
+    },
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DiscountRule"
+    },
+    type: {
+      type: String,
+      trim: true
+    },
+    label: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      min: 0
+    }
+  }],
+
+  // Taxe de séjour collectée (détail par mois pour la déclaration)
+  touristTax: {
+    mode: {
+      type: String,
+      enum: ["per_person", "percentage"]
+    },
+    nights: Number,
+    taxablePersons: Number,
+    exemptPersons: Number,
+    amount: {
+      type: Number,
+      min: 0
+    },
+    byMonth: [{
+      _id: false,
+      month: String, // YYYY-MM
+      nights: Number,
+      personNights: Number,
+      amount: Number
+    }]
+  },
+
   // Prix ajusté avec services
   totalPrice: {
     type: Number,
     required: true
+  },
+
+  // Paiement reçu, dérivé du registre des paiements (voir models/paymentTransaction.js)
+  paidAmount: { type: Number, min: 0, default: 0 },
+  // Reste à payer (totalPrice - paidAmount), fixé à l'acceptation puis à chaque paiement
+  balanceDue: { type: Number, min: 0 },
+  // Échéancier fixé à l'acceptation (voir modules/paymentSchedule.js)
+  paymentSchedule: [{
+    _id: false,
+    kind: { type: String, enum: ["deposit", "balance", "full"], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    dueDate: { type: Date, required: true },
+    status: { type: String, enum: ["pending", "paid"], default: "pending" },
+    paidAt: Date,
+    paymentId: String,
+    captureId: String,
+    remindedAt: Date,
+    overdueAt: Date
+  }],
+  // Une échéance n'a pas été réglée à temps
+  paymentOverdue: { type: Boolean, default: false },
+  paymentDate: { type: Date },
+  paymentId: { type: String },
+  // Commande PayPal en cours et montant fixé par le serveur à sa création
+  paypalOrderId: { type: String },
+  expectedPayment: {
+    amount: Number,
+    currency: String,
+    // Échéance réglée par cette commande (index dans paymentSchedule)
+    instalment: Number,
+    createdAt: Date
+  },
+  // Capture PayPal, nécessaire pour rembourser
+  paymentCaptureId: { type: String },
+
+  // Annulation par le client et remboursement selon la politique du logement
+  cancellation: {
+    cancelledAt: Date,
+    daysBeforeArrival: Number,
+    refundPercent: Number,
+    refundableAmount: Number,
+    refundedAmount: { type: Number, default: 0 },
+    refundId: String,
+    refundStatus: {
+      type: String,
+      enum: ["none", "pending", "completed", "failed"]
+    },
+    refundError: String
   }
 });
 
 bookingSchema.index({ apartmentId: 1, startDate: 1, endDate: 1 });
 bookingSchema.index({ userId: 1, status: 1 });
+bookingSchema.index({ promoCode: 1, userId: 1 }, { sparse: true });
 bookingSchema.index({ expiresAt: 1 });
+bookingSchema.index({ paypalOrderId: 1 }, { sparse: true });
+bookingSchema.index({ status: 1, "paymentSchedule.status": 1, "paymentSchedule.dueDate": 1 });
+bookingSchema.index({ "touristTax.byMonth.month": 1, status: 1 });
 
 const Booking =
   mongoose.models.Booking || mongoose.model("Booking", bookingSchema);
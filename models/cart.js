@@ -14,6 +14,8 @@ const cartSchema = new mongoose.Schema({
     required: true,
   },
   items: [cartItemSchema],
+  // Code promo appliqué à la demande de réservation
+  promoCode: { type: String, trim: true, uppercase: true },
   expiresAt: { type: Date, required: true },
 });
 
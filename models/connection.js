@@ -20,6 +20,10 @@ try {
   // Créer les index après connexion
   const createIndexes = (await import('./indexes.js')).default;
   await createIndexes();
+
+  // Créer les logements par défaut s'ils n'existent pas
+  const Property = (await import('./property.js')).default;
+  await Property.seedDefaults();
 } catch (error) {
   console.error("❌ Database connection error:", error);
   process.exit(1);
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+// length_of_stay : séjour d'au moins minNights nuits (semaine, mois)
+// early_bird     : réservation faite au moins minDaysBeforeArrival jours avant l'arrivée
+// last_minute    : réservation faite au plus maxDaysBeforeArrival jours avant l'arrivée
+export const DISCOUNT_TYPES = ["length_of_stay", "early_bird", "last_minute"];
+
+const discountRuleSchema = new mongoose.Schema(
+  {
+    // Slug du logement, null = tous les logements
+    property: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: DISCOUNT_TYPES,
+      required: true,
+    },
+    // percent : pourcentage du prix des nuits, fixed : montant par séjour
+    valueType: {
+      type: String,
+      enum: ["percent", "fixed"],
+      default: "percent",
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: function (value) {
+          return this.valueType !== "percent" || value <= 100;
+        },
+        message: "Une réduction en pourcentage ne peut pas dépasser 100",
+      },
+    },
+    minNights: {
+      type: Number,
+      min: 1,
+      required: function () {
+        return this.type === "length_of_stay";
+      },
+    },
+    minDaysBeforeArrival: {
+      type: Number,
+      min: 0,
+      required: function () {
+        return this.type === "early_bird";
+      },
+    },
+    maxDaysBeforeArrival: {
+      type: Number,
+      min: 0,
+      required: function () {
+        return this.type === "last_minute";
+      },
+    },
+    // Fenêtre optionnelle sur la date d'arrivée
+    validFrom: { type: Date },
+    validTo: { type: Date },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+discountRuleSchema.index({ property: 1, isActive: 1, type: 1 });
+
+const DiscountRule =
+  mongoose.models.DiscountRule || mongoose.model("DiscountRule", discountRuleSchema);
+
+export default DiscountRule;
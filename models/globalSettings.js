@@ -1,28 +1,41 @@
 import mongoose from "mongoose";
 
+// Paramètres communs à tous les logements
+export const GLOBAL_SETTING_KEYS = [
+  "cleaning_fee",
+  "linen_option_price",
+  "minimum_nights_default",
+  "payment_rules",
+  "booking_settings"
+];
+
+// Paramètres déclinés par logement : `${prefix}_${property.settingsKey}`
+export const PROPERTY_SETTING_PREFIXES = [
+  "cleaning_fee",
+  "linen_option_price",
+  "minimum_nights",
+  "fixed_arrival_days",
+  "fixed_departure_days"
+];
+
+const PROPERTY_SETTING_REGEX = new RegExp(
+  `^(${PROPERTY_SETTING_PREFIXES.join("|")})_[a-z0-9]+$`
+);
+
+function isValidSettingKey(key) {
+  return GLOBAL_SETTING_KEYS.includes(key) || PROPERTY_SETTING_REGEX.test(key);
+}
+
 const globalSettingsSchema = new mongoose.Schema({
   // Paramètres système
   settingKey: {
     type: String,
     required: true,
     unique: true,
-    enum: [
-      "cleaning_fee",
-      "linen_option_price",
-      "minimum_nights_default",
-      "payment_rules",
-      "booking_settings",
-      "cleaning_fee_valery",
-      "cleaning_fee_touquet",
-      "linen_option_price_valery",
-      "linen_option_price_touquet",
-      "minimum_nights_valery",
-      "minimum_nights_touquet",
-      "fixed_arrival_days_valery",
-      "fixed_arrival_days_touquet",
-      "fixed_departure_days_valery",
-      "fixed_departure_days_touquet"
-    ]
+    validate: {
+      validator: isValidSettingKey,
+      message: (props) => `Clé de paramètre inconnue: ${props.value}`
+    }
   },
   settingValue: {
     type: mongoose.Schema.Types.Mixed,
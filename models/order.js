@@ -5,6 +5,11 @@ const orderItemSchema = new mongoose.Schema({
   startDate: { type: Date, required: true },
   endDate: { type: Date, required: true },
   price: { type: Number, required: true },
+  // Total du séjour (devis serveur : frais, suppléments, taxe, réductions)
+  totalPrice: { type: Number },
+  promoCode: { type: String },
+  // Réservation temporaire créée pour cet article
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
 });
 
 const orderSchema = new mongoose.Schema({
@@ -28,15 +33,28 @@ const orderSchema = new mongoose.Schema({
   },
   paymentId: { type: String }, // ID du paiement (Stripe, PayPal, etc.)
   paymentDetails: { type: Object }, // Détails du paiement
+  // Commande créée chez le prestataire au checkout et montant qu'elle doit encaisser
+  paymentProvider: { type: String },
+  providerOrderId: { type: String },
+  expectedPayment: {
+    amount: { type: Number },
+    currency: { type: String },
+    createdAt: { type: Date },
+  },
   createdAt: { type: Date, default: Date.now },
   expiresAt: { type: Date, required: true },
   completedAt: { type: Date },
   cancelledAt: { type: Date },
+  failedAt: { type: Date },
+  expiredAt: { type: Date },
+  failureReason: { type: String, trim: true },
 });
 
 // Index pour améliorer les performances
 orderSchema.index({ userId: 1, status: 1 });
 orderSchema.index({ expiresAt: 1 });
+orderSchema.index({ status: 1, expiresAt: 1 });
+orderSchema.index({ providerOrderId: 1 }, { sparse: true });
 
 const Order = mongoose.models.Order || mongoose.model("Order", orderSchema);
 
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// Registre des mouvements d'argent : chaque autorisation, capture, remboursement
+// ou paiement manuel est une écriture. Les soldes des réservations en sont dérivés.
+const paymentTransactionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "authorization", // Commande de paiement créée chez le prestataire
+        "capture", // Fonds encaissés
+        "refund", // Remboursement
+        "manual", // Paiement hors ligne enregistré par un administrateur
+      ],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "completed", "failed"],
+      default: "completed",
+    },
+    // paypal, mock, manual...
+    provider: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // ID chez le prestataire : commande (autorisation), capture ou remboursement
+    providerReference: {
+      type: String,
+    },
+    // Commande du prestataire à l'origine de la capture
+    providerOrderId: {
+      type: String,
+    },
+    // Capture remboursée (remboursements)
+    captureReference: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "EUR",
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    // Échéance réglée (index dans Booking.paymentSchedule)
+    instalment: {
+      type: Number,
+    },
+    // Administrateur ayant saisi un paiement manuel
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Réponse brute du prestataire
+    raw: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentTransactionSchema.index({ booking: 1, createdAt: 1 });
+paymentTransactionSchema.index({ order: 1 });
+// Une même opération du prestataire n'est enregistrée qu'une fois par réservation
+// (retour client et webhook peuvent signaler la même capture)
+paymentTransactionSchema.index(
+  { provider: 1, type: 1, providerReference: 1, booking: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: "string" } } }
+);
+
+export default mongoose.model("PaymentTransaction", paymentTransactionSchema);
@@ -1,11 +1,14 @@
 import mongoose from "mongoose";
+import Property from "./property.js";
+import { resolvePeriodPrices, sortRules } from "../modules/priceResolver.js";
 
 const priceRuleSchema = new mongoose.Schema(
   {
+    // Slug du logement (voir models/property.js)
     property: {
       type: String,
       required: true,
-      enum: ["valery-sources-baie", "touquet-pinede"],
+      trim: true,
     },
     name: {
       type: String,
@@ -20,9 +23,12 @@ const priceRuleSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    // Prix fixe par nuit (règles "period" et "holiday")
     pricePerNight: {
       type: Number,
-      required: true,
+      required: function () {
+        return ["period", "holiday"].includes(this.type);
+      },
       min: 0,
     },
     isActive: {
@@ -33,11 +39,59 @@ const priceRuleSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // period  : prix fixe sur la période
+    // weekday : prix par jour de la semaine sur la période
+    // holiday : nuits fixes (jours fériés, fêtes) à prix fixe
+    // weekend : supplément ajouté aux nuits de week-end (vendredi/samedi)
     type: {
       type: String,
-      enum: ["period"],
+      enum: ["period", "weekday", "holiday", "weekend"],
       default: "period",
     },
+    // Prix par jour de la semaine (règles "weekday", 0 = dimanche)
+    weekdayPrices: [
+      {
+        _id: false,
+        day: { type: Number, required: true, min: 0, max: 6 },
+        price: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Nuits concernées par le supplément (règles "weekend")
+    weekendDays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: undefined,
+    },
+    // Supplément par nuit : montant fixe ou pourcentage du prix de base
+    surchargeAmount: {
+      type: Number,
+      min: 0,
+    },
+    surchargePercent: {
+      type: Number,
+      min: 0,
+      max: 500,
+    },
+    // Contraintes de séjour optionnelles, prioritaires sur les GlobalSettings
+    // du logement pour une arrivée dans la période (tableau vide = hérité)
+    minNights: {
+      type: Number,
+      min: 1,
+    },
+    maxNights: {
+      type: Number,
+      min: 1,
+    },
+    arrivalDays: [{ type: Number, min: 0, max: 6 }], // 0 = dimanche
+    departureDays: [{ type: Number, min: 0, max: 6 }],
+    // Règles créées par report d'une année sur l'autre (lot à valider)
+    batchId: {
+      type: String,
+      trim: true,
+    },
+    sourceRuleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceRule",
+    },
   },
   {
     timestamps: true,
@@ -46,56 +100,43 @@ const priceRuleSchema = new mongoose.Schema(
 
 priceRuleSchema.index({ property: 1, startDate: 1, endDate: 1 });
 priceRuleSchema.index({ property: 1, isActive: 1, priority: -1 });
+priceRuleSchema.index({ batchId: 1 }, { sparse: true });
 
 priceRuleSchema.statics.getPriceForDate = async function (property, date) {
   const targetDate = new Date(date);
   targetDate.setUTCHours(0, 0, 0, 0);
 
-  const rule = await this.findOne({
-    property,
-    isActive: true,
-    type: "period",
-    startDate: { $lte: targetDate },
-    endDate: { $gte: targetDate },
-  }).sort({ priority: -1, createdAt: -1 });
-
-  if (rule) {
-    return rule.pricePerNight;
-  }
-
-  const defaultPrices = {
-    "valery-sources-baie": 120,
-    "touquet-pinede": 150,
-  };
+  const prices = await this.getPricesForPeriod(property, targetDate, targetDate);
 
-  return defaultPrices[property] || 100;
+  return prices[targetDate.toISOString().split("T")[0]];
 };
 
+// Charge en une requête toutes les règles actives chevauchant la période,
+// puis résout chaque nuit en mémoire
 priceRuleSchema.statics.getPricesForPeriod = async function (
   property,
   startDate,
   endDate
 ) {
-  const prices = {};
-
   const start = new Date(startDate);
   start.setUTCHours(0, 0, 0, 0);
 
   const end = new Date(endDate);
   end.setUTCHours(0, 0, 0, 0);
 
-  const currentDate = new Date(start);
-
-  while (currentDate <= end) {
-    const dateKey = currentDate.toISOString().split("T")[0];
-    prices[dateKey] = await this.getPriceForDate(
+  const [rules, propertyDoc] = await Promise.all([
+    this.find({
       property,
-      new Date(currentDate)
-    );
-    currentDate.setUTCDate(currentDate.getUTCDate() + 1);
-  }
+      isActive: true,
+      startDate: { $lte: end },
+      endDate: { $gte: start },
+    }).lean(),
+    Property.findOne({ slug: property }).select("defaultNightlyPrice").lean(),
+  ]);
+
+  const defaultPrice = propertyDoc?.defaultNightlyPrice ?? 100;
 
-  return prices;
+  return resolvePeriodPrices(sortRules(rules), start, end, defaultPrice);
 };
 
 export default mongoose.model("PriceRule", priceRuleSchema);
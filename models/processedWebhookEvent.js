@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Notification de prestataire déjà reçue : l'index unique (provider, eventId)
+// garantit qu'un événement relivré n'est traité qu'une seule fois.
+const processedWebhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    eventType: {
+      type: String,
+    },
+    // Capture, remboursement... concerné par l'événement
+    resourceId: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "processed"],
+      default: "processing",
+    },
+    // Traitements lancés (un traitement interrompu est repris, voir PaymentWebhookService)
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+    // Résultat du traitement (booking_confirmed, refund_recorded, ignored...)
+    outcome: {
+      type: String,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+processedWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+// PayPal relivre pendant 3 jours au plus : l'historique est conservé 30 jours
+processedWebhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model("ProcessedWebhookEvent", processedWebhookEventSchema);
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    // Code saisi par le client, stocké en majuscules
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: /^[A-Z0-9_-]{3,32}$/,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // percent : pourcentage du prix des nuits, fixed : montant par réservation
+    valueType: {
+      type: String,
+      enum: ["percent", "fixed"],
+      default: "percent",
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: function (value) {
+          return this.valueType !== "percent" || value <= 100;
+        },
+        message: "Une réduction en pourcentage ne peut pas dépasser 100",
+      },
+    },
+    // Fenêtre de validité (date de la réservation)
+    validFrom: { type: Date },
+    validTo: { type: Date },
+    // Slugs des logements concernés, vide = tous les logements
+    properties: [{ type: String, trim: true }],
+    // Nombre total d'utilisations (null = illimité)
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Nombre d'utilisations par client (null = illimité)
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    minNights: {
+      type: Number,
+      min: 1,
+    },
+    // Une utilisation = une réservation ayant bénéficié du code
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PromoCode =
+  mongoose.models.PromoCode || mongoose.model("PromoCode", promoCodeSchema);
+
+export default PromoCode;
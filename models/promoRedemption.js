@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Utilisations d'un code promo par un client : compteur mis à jour atomiquement
+// pour que la limite par client (PromoCode.perUserLimit) tienne en cas de
+// demandes simultanées, comme usedCount pour la limite globale.
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    // Code promo (majuscules, voir models/promoCode.js)
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    // Réservations du client ayant bénéficié du code
+    uses: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoRedemptionSchema.index({ code: 1, userId: 1 }, { unique: true });
+
+const PromoRedemption =
+  mongoose.models.PromoRedemption || mongoose.model("PromoRedemption", promoRedemptionSchema);
+
+export default PromoRedemption;
@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+
+// Logement proposé à la location (remplace les chaînes "valery"/"touquet" codées en dur)
+const propertySchema = new mongoose.Schema(
+  {
+    // Identifiant technique utilisé par les règles de prix (ex: "valery-sources-baie")
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    },
+    // Clé courte utilisée dans les GlobalSettings (ex: "cleaning_fee_valery")
+    settingsKey: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9]+$/,
+    },
+    // Nom affiché
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Autres libellés envoyés par le frontend comme apartmentId
+    aliases: [{ type: String, trim: true }],
+    address: {
+      street: { type: String, trim: true },
+      postalCode: { type: String, trim: true },
+      city: { type: String, trim: true },
+      country: { type: String, trim: true, default: "France" },
+    },
+    capacity: {
+      maxGuests: { type: Number, min: 1 },
+      bedrooms: { type: Number, min: 0 },
+    },
+    // Prix par nuit appliqué quand aucune règle de prix ne couvre la date
+    defaultNightlyPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Frais par défaut (surchargés par les GlobalSettings de la propriété)
+    fees: {
+      cleaning: { type: Number, min: 0, default: 50 },
+      linen: { type: Number, min: 0, default: 50 },
+    },
+    // Politique d'annulation : pourcentage remboursé selon le délai avant l'arrivée
+    // (le palier au délai le plus long atteint s'applique, aucun remboursement sinon)
+    cancellationPolicy: {
+      tiers: {
+        type: [
+          {
+            _id: false,
+            daysBeforeArrival: { type: Number, required: true, min: 0 },
+            refundPercent: { type: Number, required: true, min: 0, max: 100 },
+          },
+        ],
+        default: () => [
+          { daysBeforeArrival: 30, refundPercent: 100 },
+          { daysBeforeArrival: 14, refundPercent: 50 },
+        ],
+      },
+    },
+    // Règlement intérieur : capacité et animaux
+    houseRules: {
+      // Vide = pas de limite propre (capacity.maxGuests sert de limite totale)
+      maxAdults: { type: Number, min: 1 },
+      maxGuests: { type: Number, min: 1 },
+      petsAllowed: { type: Boolean, default: true },
+      // Tailles acceptées, vide = toutes
+      allowedPetSizes: [{ type: String, enum: ["petit", "moyen", "grand"] }],
+    },
+    // Suppléments selon les voyageurs (0 = pas de supplément)
+    guestSurcharges: {
+      // Personnes comprises dans le prix de la nuit (vide = pas de supplément)
+      baseOccupancy: { type: Number, min: 1 },
+      // Par personne au-delà de baseOccupancy et par nuit
+      extraGuestFee: { type: Number, min: 0, default: 0 },
+      // Les enfants plus jeunes sont gratuits et ne comptent pas dans l'occupation
+      infantAgeThreshold: { type: Number, min: 0, default: 2 },
+      // Par animal selon sa taille, facturé par séjour ou par nuit
+      petFees: {
+        petit: { type: Number, min: 0, default: 0 },
+        moyen: { type: Number, min: 0, default: 0 },
+        grand: { type: Number, min: 0, default: 0 },
+      },
+      petFeePer: {
+        type: String,
+        enum: ["stay", "night"],
+        default: "stay",
+      },
+    },
+    // Taxe de séjour collectée pour la commune
+    // per_person : tarif fixe par personne taxable et par nuit (hébergement classé)
+    // percentage : pourcentage du prix par personne et par nuit, plafonné (non classé)
+    touristTax: {
+      mode: {
+        type: String,
+        enum: ["none", "per_person", "percentage"],
+        default: "none",
+      },
+      rate: { type: Number, min: 0, default: 0 },
+      percentage: { type: Number, min: 0, max: 100, default: 0 },
+      cap: { type: Number, min: 0 },
+      // Les voyageurs plus jeunes sont exonérés (mineurs)
+      exemptUnderAge: { type: Number, min: 0, default: 18 },
+    },
+    timezone: {
+      type: String,
+      default: "Europe/Paris",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+propertySchema.index({ isActive: 1 });
+
+// Logements historiques, créés au démarrage s'ils n'existent pas encore
+const DEFAULT_PROPERTIES = [
+  {
+    slug: "valery-sources-baie",
+    settingsKey: "valery",
+    name: "St valery - Aux sources de la baie",
+    aliases: ["valery", "St valery - Aux sources de la baie"],
+    address: { city: "Saint-Valery-sur-Somme", country: "France" },
+    defaultNightlyPrice: 120,
+  },
+  {
+    slug: "touquet-pinede",
+    settingsKey: "touquet",
+    name: "Le Touquet - La pinède au plein soleil",
+    aliases: ["touquet", "Le Touquet - La pinède au plein soleil"],
+    address: { city: "Le Touquet-Paris-Plage", country: "France" },
+    defaultNightlyPrice: 150,
+    houseRules: { petsAllowed: false },
+  },
+];
+
+/**
+ * Liste de tous les libellés qui désignent ce logement
+ * @returns {Array<string>} slug, clé courte, nom et alias
+ */
+propertySchema.methods.identifiers = function () {
+  return [
+    ...new Set([this.slug, this.settingsKey, this.name, ...(this.aliases || [])]),
+  ];
+};
+
+/**
+ * Crée les logements par défaut sans écraser les valeurs modifiées par l'admin
+ */
+propertySchema.statics.seedDefaults = async function () {
+  await Promise.all(
+    DEFAULT_PROPERTIES.map((property) =>
+      this.updateOne(
+        { slug: property.slug },
+        { $setOnInsert: property },
+        { upsert: true }
+      )
+    )
+  );
+};
+
+const Property =
+  mongoose.models.Property || mongoose.model("Property", propertySchema);
+
+export default Property;
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Verrou d'une nuit d'un logement : l'index unique (property, night) garantit
+// qu'une même nuit ne peut être réservée que par une seule réservation active.
+// Sans réservation, le verrou est une option temporaire posée par le panier.
+const reservationLockSchema = new mongoose.Schema(
+  {
+    // Slug du logement (voir models/property.js)
+    property: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Nuit occupée, à minuit UTC (date de séjour)
+    night: {
+      type: Date,
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: function () {
+        return !this.expiresAt;
+      },
+    },
+    // Option du panier : client, article du panier et fin de validité
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+    cartItem: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // Option du panier convertie en verrou de réservation : rendue au panier
+    // si la réservation n'aboutit pas (voir ReservationService.restoreHolds)
+    heldBy: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "users" },
+      cartItem: { type: mongoose.Schema.Types.ObjectId },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reservationLockSchema.index({ property: 1, night: 1 }, { unique: true });
+reservationLockSchema.index({ booking: 1 });
+reservationLockSchema.index({ userId: 1, cartItem: 1 }, { sparse: true });
+// MongoDB supprime les options expirées (la purge à la demande couvre le délai du TTL)
+reservationLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("ReservationLock", reservationLockSchema);
@@ -0,0 +1,39 @@
+import { roundAmount } from "./money.js";
+import { toStayDate } from "./dateUtils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Politique par défaut : remboursement total jusqu'à 30 jours, 50 % jusqu'à 14 jours, rien ensuite
+export const DEFAULT_CANCELLATION_TIERS = [
+  { daysBeforeArrival: 30, refundPercent: 100 },
+  { daysBeforeArrival: 14, refundPercent: 50 },
+];
+
+/**
+ * Montant remboursable d'une annulation selon la politique du logement
+ * @param {Object} policy - Property.cancellationPolicy ({ tiers }), tiers vide = non remboursable
+ * @param {Object} params - { startDate, paidAmount, now }
+ * @returns {Object} { daysBeforeArrival, refundPercent, refundableAmount }
+ */
+export function computeRefund(policy, { startDate, paidAmount = 0, now = new Date() }) {
+  // Politique par défaut seulement si le logement n'en définit aucune
+  const tiers = Array.isArray(policy?.tiers) ? policy.tiers : DEFAULT_CANCELLATION_TIERS;
+
+  // Jours entiers entre aujourd'hui et la date d'arrivée (dates de séjour UTC)
+  const daysBeforeArrival = Math.floor(
+    (toStayDate(startDate) - toStayDate(now)) / DAY_MS
+  );
+
+  // Le palier au délai le plus long encore atteint s'applique
+  const tier = [...tiers]
+    .sort((a, b) => b.daysBeforeArrival - a.daysBeforeArrival)
+    .find((candidate) => daysBeforeArrival >= candidate.daysBeforeArrival);
+
+  const refundPercent = tier ? tier.refundPercent : 0;
+
+  return {
+    daysBeforeArrival,
+    refundPercent,
+    refundableAmount: roundAmount((Math.max(Number(paidAmount) || 0, 0) * refundPercent) / 100),
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Échappe une valeur pour une cellule CSV
+ * @param {*} value - Valeur brute
+ * @param {string} delimiter - Séparateur de colonnes
+ * @returns {string} Cellule prête à écrire
+ */
+function escapeCell(value, delimiter) {
+  if (value === undefined || value === null) return "";
+
+  const text = String(value);
+  if (text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Génère un CSV à partir d'objets
+ * @param {Array<Object>} rows - Lignes à exporter
+ * @param {Array<string>} columns - Colonnes, dans l'ordre
+ * @param {string} delimiter - Séparateur (";" par défaut, lu directement par Excel FR)
+ * @returns {string} Contenu CSV avec en-tête
+ */
+export function toCsv(rows, columns, delimiter = ";") {
+  const lines = [columns.join(delimiter)];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(row[column], delimiter)).join(delimiter));
+  }
+
+  return lines.join("\r\n");
+}
+
+/**
+ * Lit un CSV avec en-tête (séparateur "," ou ";" détecté sur la première ligne)
+ * @param {string} text - Contenu CSV
+ * @returns {Array<Object>} Lignes indexées par nom de colonne (lignes vides ignorées)
+ */
+export function parseCsv(text) {
+  const content = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  // Découpage caractère par caractère pour gérer les guillemets et retours à la ligne
+  const records = [];
+  let record = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header = [], ...lines] = records;
+  const columns = header.map((column) => column.trim());
+
+  return lines
+    .filter((line) => line.some((value) => value.trim() !== ""))
+    .map((line) =>
+      Object.fromEntries(columns.map((column, index) => [column, (line[index] ?? "").trim()]))
+    );
+}
@@ -0,0 +1,77 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convertit une date reçue (YYYY-MM-DD, ISO ou Date) en date de séjour à minuit UTC
+ * La date UTC représente la date logique du séjour, comme dans le calendrier
+ * @param {string|Date} value - Date à normaliser
+ * @returns {Date|null} Date à 00:00 UTC, ou null si invalide
+ */
+export function toStayDate(value) {
+  if (!value) return null;
+
+  const date =
+    typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(`${value}T00:00:00.000Z`)
+      : new Date(value);
+
+  if (isNaN(date.getTime())) return null;
+
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Formate une date en clé YYYY-MM-DD (UTC)
+ * @param {Date} date - Date à formater
+ * @returns {string} Clé de date
+ */
+export function formatDateKey(date) {
+  return new Date(date).toISOString().split("T")[0];
+}
+
+/**
+ * Ajoute un nombre de jours à une date (UTC)
+ * @param {Date} date - Date de départ
+ * @param {number} days - Nombre de jours (négatif possible)
+ * @returns {Date} Nouvelle date
+ */
+export function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+/**
+ * Nombre de nuits entre l'arrivée et le départ
+ * @param {Date} startDate - Date d'arrivée
+ * @param {Date} endDate - Date de départ
+ * @returns {number} Nombre de nuits
+ */
+export function countNights(startDate, endDate) {
+  return Math.round((toStayDate(endDate) - toStayDate(startDate)) / DAY_MS);
+}
+
+// Durée maximale d'une période de prix consultée en une requête (18 mois)
+export const MAX_PERIOD_DAYS = 548;
+
+/**
+ * Valide une période reçue d'un client : dates lisibles, fin au plus tôt le jour
+ * du début, durée bornée (chaque nuit est calculée et mise en cache)
+ * @param {string|Date} startDate - Début de la période
+ * @param {string|Date} endDate - Fin de la période
+ * @param {number} maxDays - Durée maximale en jours
+ * @returns {Object} { start, end } ou { code: INVALID_DATES | PERIOD_TOO_LONG, error }
+ */
+export function parsePeriod(startDate, endDate, maxDays = MAX_PERIOD_DAYS) {
+  const start = toStayDate(startDate);
+  const end = toStayDate(endDate);
+
+  if (!start || !end) {
+    return { code: "INVALID_DATES", error: "Dates invalides (format attendu : YYYY-MM-DD)" };
+  }
+  if (end < start) {
+    return { code: "INVALID_DATES", error: "La date de fin doit suivre la date de début" };
+  }
+  if (countNights(start, end) > maxDays) {
+    return { code: "PERIOD_TOO_LONG", error: `Période trop longue (${maxDays} jours maximum)` };
+  }
+  return { start, end };
+}
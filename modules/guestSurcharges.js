@@ -0,0 +1,59 @@
+import { roundAmount } from "./money.js";
+
+const PET_SIZE_LABELS = { petit: "petit", moyen: "moyen", grand: "grand" };
+
+// Taille facturée quand le client ne la précise pas
+const DEFAULT_PET_SIZE = "moyen";
+
+/**
+ * Calcule les suppléments liés aux voyageurs d'un séjour
+ * - Personnes au-delà de l'occupation de base (adultes + enfants hors bébés), par nuit
+ * - Animaux selon leur taille, par séjour ou par nuit
+ * @param {Object} config - Property.guestSurcharges
+ * @param {Object} stay - { nights, adults, children: [{ age }], pets: [{ size }] }
+ * @returns {Array} Lignes { code, label, quantity, unitPrice, amount }
+ */
+export function computeGuestSurcharges(config, { nights, adults = 1, children = [], pets = [] }) {
+  if (!config) return [];
+
+  const lines = [];
+
+  const infantAgeThreshold = config.infantAgeThreshold ?? 2;
+  const countedChildren = children.filter((child) => !(Number(child?.age) < infantAgeThreshold)).length;
+  const guests = adults + countedChildren;
+
+  if (config.baseOccupancy && config.extraGuestFee > 0 && guests > config.baseOccupancy) {
+    const extraGuests = guests - config.baseOccupancy;
+    lines.push({
+      code: "extra_guest",
+      label: `Voyageur(s) supplémentaire(s) (${extraGuests} × ${nights} nuit(s))`,
+      quantity: extraGuests * nights,
+      unitPrice: config.extraGuestFee,
+      amount: roundAmount(extraGuests * nights * config.extraGuestFee),
+    });
+  }
+
+  // Une ligne par taille d'animal
+  const petsBySize = {};
+  for (const pet of pets) {
+    const size = PET_SIZE_LABELS[pet?.size] ? pet.size : DEFAULT_PET_SIZE;
+    petsBySize[size] = (petsBySize[size] || 0) + 1;
+  }
+
+  const perNight = config.petFeePer === "night";
+  for (const [size, count] of Object.entries(petsBySize)) {
+    const fee = config.petFees?.[size] || 0;
+    if (fee <= 0) continue;
+
+    const quantity = perNight ? count * nights : count;
+    lines.push({
+      code: `pet_${size}`,
+      label: `Animal ${PET_SIZE_LABELS[size]} (${count}${perNight ? ` × ${nights} nuit(s)` : ""})`,
+      quantity,
+      unitPrice: fee,
+      amount: roundAmount(quantity * fee),
+    });
+  }
+
+  return lines;
+}
@@ -0,0 +1,21 @@
+// Tolérance d'arrondi acceptée entre deux montants (centimes)
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Arrondit un montant au centime
+ * @param {number} amount - Montant en euros
+ * @returns {number} Montant arrondi à 2 décimales
+ */
+export function roundAmount(amount) {
+  return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Compare deux montants à l'arrondi près
+ * @param {number} a - Premier montant
+ * @param {number} b - Second montant
+ * @returns {boolean} true si les montants sont égaux au centime près
+ */
+export function amountsMatch(a, b) {
+  return Math.abs(roundAmount(a) - roundAmount(b)) < AMOUNT_TOLERANCE;
+}
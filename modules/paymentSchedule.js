@@ -0,0 +1,122 @@
+import { roundAmount } from "./money.js";
+import { toStayDate, addDays } from "./dateUtils.js";
+
+// Règles par défaut : 30 % d'acompte sous 3 jours après l'acceptation,
+// solde 30 jours avant l'arrivée, rappel 7 jours avant chaque échéance
+export const DEFAULT_PAYMENT_RULES = {
+  depositPercent: 30,
+  depositDueDays: 3,
+  balanceDueDays: 30,
+  reminderDays: 7,
+};
+
+// Borne une valeur numérique de paramètre, valeur par défaut si invalide
+function readNumber(value, fallback, { min = 0, max = Infinity } = {}) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === "" || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * Règles de paiement d'un logement depuis GlobalSettings.payment_rules
+ * Format : { depositPercent, depositDueDays, balanceDueDays, reminderDays,
+ *            properties: { <settingsKey>: { ...mêmes champs } } }
+ * @param {Object} settingValue - Valeur du paramètre payment_rules (optionnelle)
+ * @param {string} settingsKey - Clé courte du logement
+ * @returns {Object} Règles complètes
+ */
+export function resolvePaymentRules(settingValue, settingsKey) {
+  const global = settingValue && typeof settingValue === "object" ? settingValue : {};
+  const local = global.properties?.[settingsKey] || {};
+  const value = (field) => local[field] ?? global[field];
+
+  return {
+    depositPercent: readNumber(value("depositPercent"), DEFAULT_PAYMENT_RULES.depositPercent, { max: 100 }),
+    depositDueDays: Math.round(readNumber(value("depositDueDays"), DEFAULT_PAYMENT_RULES.depositDueDays)),
+    balanceDueDays: Math.round(readNumber(value("balanceDueDays"), DEFAULT_PAYMENT_RULES.balanceDueDays)),
+    reminderDays: Math.round(readNumber(value("reminderDays"), DEFAULT_PAYMENT_RULES.reminderDays)),
+  };
+}
+
+/**
+ * Échéancier d'une réservation acceptée : acompte puis solde, ou paiement unique
+ * si le solde tomberait avant l'échéance de l'acompte (réservation tardive).
+ * Les montants déjà payés (commande du panier) soldent les premières échéances.
+ * @param {Object} rules - Résultat de resolvePaymentRules
+ * @param {Object} params - { totalPrice, paidAmount, startDate, acceptedAt }
+ * @returns {Array<Object>} Échéances { kind, amount, dueDate, status }
+ */
+export function buildPaymentSchedule(rules, { totalPrice, paidAmount = 0, startDate, acceptedAt = new Date() }) {
+  const total = roundAmount(totalPrice);
+  const arrival = toStayDate(startDate);
+  const depositDueDate = new Date(Math.min(addDays(acceptedAt, rules.depositDueDays), arrival));
+  const balanceDueDate = addDays(arrival, -rules.balanceDueDays);
+
+  let instalments;
+  if (rules.depositPercent >= 100 || balanceDueDate <= depositDueDate) {
+    instalments = [{ kind: "full", amount: total, dueDate: depositDueDate }];
+  } else if (rules.depositPercent <= 0) {
+    instalments = [{ kind: "full", amount: total, dueDate: balanceDueDate }];
+  } else {
+    const deposit = roundAmount((total * rules.depositPercent) / 100);
+    instalments = [
+      { kind: "deposit", amount: deposit, dueDate: depositDueDate },
+      { kind: "balance", amount: roundAmount(total - deposit), dueDate: balanceDueDate },
+    ];
+  }
+
+  return allocatePayments(instalments.map((instalment) => ({ ...instalment, status: "pending" })), paidAmount);
+}
+
+/**
+ * Répartit le montant payé sur les échéances, dans l'ordre : une échéance entièrement
+ * couverte est réglée. Les échéances déjà réglées gardent leurs informations de paiement.
+ * @param {Array<Object>} schedule - Échéances
+ * @param {number} paidAmount - Montant total payé
+ * @param {Date} now - Date de règlement des échéances nouvellement couvertes
+ * @returns {Array<Object>} Échéances mises à jour
+ */
+export function allocatePayments(schedule, paidAmount, now = new Date()) {
+  let remainingPaid = roundAmount(paidAmount);
+  return schedule.map((instalment) => {
+    const paid = remainingPaid >= instalment.amount;
+    if (paid) remainingPaid = roundAmount(remainingPaid - instalment.amount);
+    if (paid === (instalment.status === "paid")) return instalment;
+    if (paid) return { ...instalment, status: "paid", paidAt: now };
+
+    const { paidAt, paymentId, captureId, ...unpaid } = instalment;
+    return { ...unpaid, status: "pending" };
+  });
+}
+
+/**
+ * Prochaine échéance à régler
+ * @param {Array<Object>} schedule - Booking.paymentSchedule
+ * @returns {Object|null} { index, instalment } ou null si tout est réglé
+ */
+export function nextDueInstalment(schedule = []) {
+  const index = schedule.findIndex((instalment) => instalment.status !== "paid");
+  return index === -1 ? null : { index, instalment: schedule[index] };
+}
+
+/**
+ * Échéance non réglée dont la date est passée
+ * @param {Object} instalment - Échéance
+ * @param {Date} now - Date de référence
+ * @returns {boolean} true si en retard
+ */
+export function isInstalmentOverdue(instalment, now = new Date()) {
+  return instalment.status !== "paid" && new Date(instalment.dueDate) < now;
+}
+
+/**
+ * Reste à payer sur une réservation
+ * @param {number} totalPrice - Prix total
+ * @param {number} paidAmount - Montant déjà payé
+ * @returns {number} Montant restant (jamais négatif)
+ */
+export function computeBalanceDue(totalPrice, paidAmount = 0) {
+  return Math.max(roundAmount(totalPrice - paidAmount), 0);
+}
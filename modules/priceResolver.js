@@ -0,0 +1,122 @@
+import { roundAmount } from "./money.js";
+import { addDays, formatDateKey } from "./dateUtils.js";
+
+// Règles qui fixent le prix de base d'une nuit (la plus prioritaire l'emporte)
+export const BASE_RULE_TYPES = ["period", "weekday", "holiday"];
+
+// Règles qui s'ajoutent au prix de base
+export const SURCHARGE_RULE_TYPES = ["weekend"];
+
+// Nuits de week-end par défaut : vendredi et samedi
+export const DEFAULT_WEEKEND_DAYS = [5, 6];
+
+/**
+ * Trie les règles par priorité décroissante puis de la plus récente à la plus ancienne
+ * @param {Array} rules - Règles de prix
+ * @returns {Array} Nouvelle liste triée
+ */
+export function sortRules(rules) {
+  return [...rules].sort(
+    (a, b) =>
+      (b.priority || 0) - (a.priority || 0) ||
+      new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+  );
+}
+
+/**
+ * Vérifie qu'une règle active couvre une nuit (bornes incluses)
+ * @param {Object} rule - Règle de prix
+ * @param {Date} date - Nuit à 00:00 UTC
+ * @returns {boolean}
+ */
+export function ruleCoversDate(rule, date) {
+  return (
+    rule.isActive !== false &&
+    new Date(rule.startDate) <= date &&
+    new Date(rule.endDate) >= date
+  );
+}
+
+/**
+ * Prix de base proposé par une règle pour une nuit
+ * @param {Object} rule - Règle period, weekday ou holiday
+ * @param {Date} date - Nuit à 00:00 UTC
+ * @returns {number|null} Prix, ou null si la règle ne fixe pas cette nuit
+ */
+function baseRulePrice(rule, date) {
+  if (rule.type === "weekday") {
+    const entry = (rule.weekdayPrices || []).find((p) => p.day === date.getUTCDay());
+    return entry ? entry.price : null;
+  }
+  return rule.pricePerNight ?? null;
+}
+
+/**
+ * Résout le prix d'une nuit à partir des règles applicables
+ * - Prix de base : règle period/weekday/holiday la plus prioritaire qui fixe la nuit
+ * - Suppléments week-end : cumulés s'ils sont au moins aussi prioritaires que la
+ *   règle de base (une règle "holiday" plus prioritaire les neutralise)
+ * @param {Array} rules - Règles triées par sortRules
+ * @param {Date} date - Nuit à 00:00 UTC
+ * @param {number} defaultPrice - Prix par défaut du logement
+ * @returns {Object} { price, basePrice, baseRule, surcharges }
+ */
+export function resolveNightPrice(rules, date, defaultPrice) {
+  const applicable = rules.filter((rule) => ruleCoversDate(rule, date));
+
+  let baseRule = null;
+  let basePrice = defaultPrice;
+
+  for (const rule of applicable) {
+    if (!BASE_RULE_TYPES.includes(rule.type || "period")) continue;
+    const price = baseRulePrice(rule, date);
+    if (price !== null) {
+      baseRule = rule;
+      basePrice = price;
+      break;
+    }
+  }
+
+  const basePriority = baseRule ? baseRule.priority || 0 : -Infinity;
+
+  const surcharges = applicable
+    .filter(
+      (rule) =>
+        SURCHARGE_RULE_TYPES.includes(rule.type) &&
+        (rule.priority || 0) >= basePriority &&
+        (rule.weekendDays?.length ? rule.weekendDays : DEFAULT_WEEKEND_DAYS).includes(
+          date.getUTCDay()
+        )
+    )
+    .map((rule) => ({
+      ruleId: rule._id,
+      name: rule.name,
+      amount: roundAmount(
+        (rule.surchargeAmount || 0) + (basePrice * (rule.surchargePercent || 0)) / 100
+      ),
+    }));
+
+  const price = roundAmount(
+    basePrice + surcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0)
+  );
+
+  return { price, basePrice, baseRule, surcharges };
+}
+
+/**
+ * Résout le prix de chaque nuit d'une période en une seule passe
+ * @param {Array} rules - Règles chevauchant la période, triées par sortRules
+ * @param {Date} start - Première nuit à 00:00 UTC
+ * @param {Date} end - Dernière nuit à 00:00 UTC (incluse)
+ * @param {number} defaultPrice - Prix par défaut du logement
+ * @returns {Object} Prix indexés par date YYYY-MM-DD
+ */
+export function resolvePeriodPrices(rules, start, end, defaultPrice) {
+  const prices = {};
+
+  for (let date = new Date(start); date <= end; date = addDays(date, 1)) {
+    prices[formatDateKey(date)] = resolveNightPrice(rules, date, defaultPrice).price;
+  }
+
+  return prices;
+}
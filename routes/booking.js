@@ -1,13 +1,21 @@
 import express from "express";
+import mongoose from "mongoose";
 import nodemailer from "nodemailer";
 import Cart from "../models/cart.js";
 import Booking from "../models/booking.js";
 import User from "../models/users.js";
-import GlobalSettings from "../models/globalSettings.js";
 import { authenticateToken, requireRole } from "../middleware/auth.js";
 import { rateLimitConfig } from "../middleware/security.js";
 import { EmailActionService } from "../services/emailActionService.js";
 import { EmailService } from "../services/emailService.js";
+import { QuoteService } from "../services/quoteService.js";
+import { PromoCodeService } from "../services/promoCodeService.js";
+import { ReservationService } from "../services/reservationService.js";
+import { BookingLifecycleService, historyEntry } from "../services/bookingLifecycleService.js";
+import { CancellationService } from "../services/cancellationService.js";
+import { LedgerService } from "../services/ledgerService.js";
+import { PAYABLE_STATUSES } from "../services/paymentScheduleService.js";
+import { roundAmount } from "../modules/money.js";
 
 const router = express.Router();
 
@@ -49,34 +57,79 @@ router.post("/create-request", authenticateToken, async (req, res) => {
 
     console.log(`✅ [BOOKING] ${cartItems.length} articles trouvés dans le panier`);
 
-    // ✅ CORRECTION - Vérifier les conflits avant de créer la réservation
-    console.log("🔍 [BOOKING] Vérification des conflits de dates...");
-    for (const item of cartItems) {
-      console.log(`🔍 [BOOKING] Vérification ${item.apartmentId} du ${item.startDate} au ${item.endDate}`);
-
-      const conflictingBookings = await Booking.find({
-        apartmentId: item.apartmentId,
-        status: { $in: ["pending", "accepted", "confirmed"] },
-        $or: [
-          // Conflit réel : chevauchement SAUF si endDate existant = startDate nouveau (départ = arrivée OK)
-          {
-            startDate: { $lt: item.endDate }, // Début existant < fin nouveau (strictement)
-            endDate: { $gt: item.startDate }  // Fin existant > début nouveau (strictement)
-          }
-        ]
-      });
+    // ✅ Préférences de services (linge choisi par propriété)
+    const servicePreferences = {
+      includeCleaning: guestDetails?.includeCleaning || false,
+      includeLinen: guestDetails?.includeLinen || {} // Objet par propriété
+    };
 
-      console.log(`🔍 [BOOKING] Conflits trouvés pour ${item.apartmentId}:`, conflictingBookings.length);
+    // ✅ Code promo : envoyé avec la demande ou attaché au panier
+    let promoCode = req.body.promoCode;
+    if (!promoCode) {
+      const cart = await Cart.findOne({ userId: req.user.userId }).select("promoCode").lean();
+      promoCode = cart?.promoCode;
+    }
 
-      if (conflictingBookings.length > 0) {
-        console.log("❌ [BOOKING] Conflit détecté:", conflictingBookings);
+    let promo = null;
+    let promoAllowance = 0; // Réservations pouvant encore bénéficier du code
+    if (promoCode) {
+      const promoCheck = await PromoCodeService.validate(promoCode, { userId: req.user.userId });
+      if (!promoCheck.success) {
+        console.log(`❌ [BOOKING] Code promo refusé (${promoCode}):`, promoCheck.error);
         return res.status(400).json({
           result: false,
-          error: `Dates non disponibles pour ${item.apartmentId}. Une réservation existe déjà sur cette période.`
+          code: promoCheck.code,
+          error: promoCheck.error
         });
       }
+      promo = promoCheck.promo;
+      promoAllowance = promoCheck.allowance;
     }
-    console.log("✅ [BOOKING] Aucun conflit de dates détecté");
+
+    // Recalculer chaque séjour côté serveur : le prix du frontend n'est qu'indicatif
+    // (règles de séjour, règlement du logement, prix et code promo vérifiés au passage)
+    const quoted = await QuoteService.quoteStays(cartItems, {
+      guestDetails,
+      includeLinen: servicePreferences.includeLinen,
+      promo,
+      promoAllowance
+    });
+    if (!quoted.success) {
+      console.log(`❌ [BOOKING] Demande refusée${quoted.apartmentId ? ` pour ${quoted.apartmentId}` : ""}:`, quoted.code, quoted.error);
+      return res.status(quoted.code === "PRICE_MISMATCH" ? 409 : 400).json({
+        result: false,
+        code: quoted.code,
+        error: quoted.error,
+        apartmentId: quoted.apartmentId,
+        errors: quoted.errors,
+        expectedPrice: quoted.expectedPrice
+      });
+    }
+    const { quotes, promoUses } = quoted;
+
+    // ✅ Verrouiller les nuits de chaque séjour (atomique face aux demandes simultanées)
+    console.log("🔒 [BOOKING] Verrouillage des dates...");
+    const bookingIds = cartItems.map(() => new mongoose.Types.ObjectId());
+    const reservation = await ReservationService.reserve(
+      cartItems.map((item, index) => ({
+        apartmentId: item.apartmentId,
+        startDate: item.startDate,
+        endDate: item.endDate,
+        bookingId: bookingIds[index]
+      })),
+      { userId: req.user.userId } // Les options du panier du client deviennent des verrous
+    );
+
+    if (!reservation.success) {
+      console.log(`❌ [BOOKING] Dates indisponibles pour ${reservation.apartmentId}: ${reservation.code}`);
+      return res.status(409).json({
+        result: false,
+        code: reservation.code,
+        error: reservation.error,
+        apartmentId: reservation.apartmentId
+      });
+    }
+    console.log("✅ [BOOKING] Dates verrouillées, aucun conflit");
 
     // ✅ CORRECTION - Les détails invités sont déjà définis dans la destructuration
     // Validation des détails invités avec valeurs par défaut
@@ -90,79 +143,24 @@ router.post("/create-request", authenticateToken, async (req, res) => {
       reason: guestDetails?.reason || ""
     };
 
-    // ✅ Séparer les données de services pour la logique de calcul
-    const servicePreferences = {
-      includeCleaning: guestDetails?.includeCleaning || false,
-      includeLinen: guestDetails?.includeLinen || {} // Objet par propriété
-    };
-
     console.log("💾 [BOOKING] Préparation de l'insertion en base...");
     console.log("💾 [BOOKING] Détails invités validés:", validatedGuestDetails);
 
-    // ✅ CORRECTION - Fonction utilitaire pour récupérer les paramètres par propriété
-    const getPropertySettings = async (apartmentId) => {
-      let propertyName = "valery"; // par défaut
+    // ✅ Construire les réservations à partir des devis serveur
+    const bookingDocuments = cartItems.map((item, index) => {
+      const quote = quotes[index];
 
-      if (apartmentId) {
-        const lowerApartmentId = apartmentId.toLowerCase();
-
-        // ✅ CORRECTION - Amélioration de la détection Touquet
-        if (lowerApartmentId.includes("touquet") ||
-            lowerApartmentId.includes("pinede") ||
-            lowerApartmentId.includes("pinède") ||
-            lowerApartmentId.includes("le touquet")) {
-          propertyName = "touquet";
-        }
-      }
-
-      try {
-        console.log("🔧 [BOOKING] Récupération paramètres pour propriété:", propertyName, "apartment:", apartmentId);
-
-        // ✅ CORRECTION - Récupérer les bonnes clés séparées
-        const cleaningKey = `cleaning_fee_${propertyName}`;
-        const linenKey = `linen_option_price_${propertyName}`;
-
-        // Récupérer les paramètres individuellement
-        const [cleaningSetting, linenSetting] = await Promise.all([
-          GlobalSettings.findOne({ settingKey: cleaningKey }),
-          GlobalSettings.findOne({ settingKey: linenKey })
-        ]);
-
-        const cleaningFee = cleaningSetting?.settingValue || 50;
-        const linenFee = linenSetting?.settingValue || 50;
-
-        console.log("🔧 [BOOKING] Paramètres trouvés pour", propertyName, ":", { cleaningFee, linenFee });
-        return { cleaningFee, linenFee, propertyName };
-      } catch (settingsError) {
-        console.error("Erreur récupération paramètres propriété:", settingsError);
-        return { cleaningFee: 50, linenFee: 50, propertyName };
-      }
-    };
-
-    // ✅ CORRECTION - Calculer les frais pour chaque item individuellement
-    const bookingDocuments = await Promise.all(cartItems.map(async (item) => {
-      // Récupérer les paramètres spécifiques à cette propriété
-      const { cleaningFee, linenFee, propertyName } = await getPropertySettings(item.apartmentId);
-
-      // Calculer les services additionnels pour cet item spécifique
-      const includeCleaning = true; // Toujours inclus
-      // ✅ CHANGEMENT: Vérifier le linge pour cette propriété spécifique
-      const includeLinen = servicePreferences.includeLinen[propertyName] || false;
-
-      const cleaningCost = cleaningFee; // Toujours inclus
-      const linenCost = includeLinen ? linenFee : 0;
-      const totalPrice = item.price + cleaningCost + linenCost;
-
-      console.log(`🔧 [BOOKING] Item ${item.apartmentId} (${propertyName}): prix=${item.price}, ménage=${cleaningCost}, linge=${linenCost}, total=${totalPrice}`);
+      console.log(`🔧 [BOOKING] Item ${item.apartmentId} (${quote.property.settingsKey}): prix=${quote.accommodation}, ménage=${quote.fees.cleaning}, linge=${quote.fees.linen}, suppléments=${quote.surchargesTotal}, taxes=${quote.taxesTotal}, total=${quote.total}`);
 
       const bookingDoc = {
+        _id: bookingIds[index],
         userId: req.user.userId,
         apartmentId: item.apartmentId,
         startDate: item.startDate,
         endDate: item.endDate,
-        price: item.price, // Prix de base du logement
-        totalPrice: totalPrice, // Prix total avec services
+        ...QuoteService.toBookingFields(quote),
         status: "pending", // En attente validation hôte
+        statusHistory: [historyEntry(null, "pending", { actor: req.user.userId, channel: "guest" })],
         bookedAt: new Date(),
         guestDetails: {
           adults: validatedGuestDetails.adults,
@@ -172,25 +170,41 @@ router.post("/create-request", authenticateToken, async (req, res) => {
           arrivalTime: validatedGuestDetails.arrivalTime,
           contactPhone: validatedGuestDetails.contactPhone,
           reason: validatedGuestDetails.reason
-        },
-        additionalServices: {
-          cleaning: {
-            included: includeCleaning,
-            price: cleaningCost
-          },
-          linen: {
-            included: includeLinen,
-            price: linenCost
-          }
         }
       };
 
       console.log(`💾 [BOOKING] Document préparé pour ${item.apartmentId}:`, bookingDoc);
       return bookingDoc;
-    }));
+    });
+
+    // ✅ Enregistrer les utilisations du code promo avant l'insertion (limite atomique)
+    if (promoUses > 0) {
+      const redeemed = await PromoCodeService.redeem(promo, promoUses, { userId: req.user.userId });
+      if (!redeemed.success) {
+        // Les options du panier restent au client, seule la demande échoue
+        await ReservationService.restoreHolds(bookingIds);
+        await ReservationService.release(bookingIds);
+        console.log(`❌ [BOOKING] Code promo ${promo.code} refusé entre-temps: ${redeemed.code}`);
+        return res.status(409).json({
+          result: false,
+          code: redeemed.code,
+          error: redeemed.error
+        });
+      }
+    }
 
     console.log(`💾 [BOOKING] Insertion de ${bookingDocuments.length} réservations...`);
-    const bookings = await Booking.insertMany(bookingDocuments);
+    let bookings;
+    try {
+      bookings = await Booking.insertMany(bookingDocuments);
+    } catch (insertError) {
+      await ReservationService.restoreHolds(bookingIds);
+      await ReservationService.release(bookingIds);
+      if (promoUses > 0) {
+        await PromoCodeService.release(promo.code, promoUses, { userId: req.user.userId });
+      }
+      throw insertError;
+    }
     console.log(`✅ [BOOKING] ${bookings.length} réservations insérées avec succès!`);
 
     // Envoyer un email à l'hôte avec le nouveau système de templates
@@ -222,6 +236,7 @@ router.post("/create-request", authenticateToken, async (req, res) => {
     // (Le frontend se charge déjà de vider le panier côté client)
     try {
       const cartDeleteResult = await Cart.deleteOne({ userId: req.user.userId });
+      await ReservationService.releaseHolds({ userId: req.user.userId });
       console.log("🗑️ [BOOKING] Suppression panier serveur:", cartDeleteResult);
     } catch (cartError) {
       console.log("ℹ️ [BOOKING] Info: Aucun panier côté serveur à supprimer");
@@ -239,6 +254,10 @@ router.post("/create-request", authenticateToken, async (req, res) => {
         startDate: b.startDate,
         endDate: b.endDate,
         price: b.price,
+        discounts: b.discounts,
+        surcharges: b.surcharges,
+        promoCode: b.promoCode,
+        touristTax: b.touristTax?.amount || 0,
         totalPrice: b.totalPrice,
         status: b.status
       })),
@@ -277,23 +296,28 @@ router.post(
       }
 
       // Vérifier que le statut peut être modifié
-      if (booking.status !== "pending") {
+      const transition = await BookingLifecycleService.transition(booking, "accepted", {
+        actor: req.user.userId,
+        channel: "admin"
+      });
+      if (!transition.success) {
         return res.status(400).json({ 
           result: false, 
+          code: transition.code,
           error: "Cette réservation ne peut plus être modifiée" 
         });
       }
 
-      booking.status = "accepted";
-      await booking.save();
-
       // Log sécurisé pour audit
       console.log(`Admin ${req.user.userId} a accepté la réservation ${req.params.id}`);
 
       res.json({ 
         result: true, 
-        message: "Réservation acceptée avec succès",
-        bookingId: booking._id 
+        message: transition.booking.status === "confirmed"
+          ? "Réservation acceptée et confirmée (déjà réglée)"
+          : "Réservation acceptée avec succès",
+        bookingId: booking._id,
+        status: transition.booking.status
       });
     } catch (err) {
       console.error("Erreur accept:", err);
@@ -328,17 +352,19 @@ router.post(
         });
       }
 
-      // Vérifier que le statut peut être modifié
-      if (booking.status !== "pending") {
+      // Vérifier que le statut peut être modifié (un refus libère les dates et le code promo)
+      const transition = await BookingLifecycleService.transition(booking, "refused", {
+        actor: req.user.userId,
+        channel: "admin"
+      });
+      if (!transition.success) {
         return res.status(400).json({ 
           result: false, 
+          code: transition.code,
           error: "Cette réservation ne peut plus être modifiée" 
         });
       }
 
-      booking.status = "refused";
-      await booking.save();
-
       // Log sécurisé pour audit
       console.log(`Admin ${req.user.userId} a refusé la réservation ${req.params.id}`);
 
@@ -539,7 +565,51 @@ router.get(
 );
 
 // -------------------------
-// 6. ACTIONS PUBLIQUES VIA EMAIL - ROUTES SÉCURISÉES
+// 7. CLIENT - ANNULER UNE RÉSERVATION
+// -------------------------
+// Remboursement selon la politique d'annulation du logement, dates libérées
+router.post("/:id/cancel", authenticateToken, async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.slice(0, 500) : undefined;
+    const cancellation = await CancellationService.cancelByGuest(req.params.id, req.user.userId, { reason });
+
+    if (!cancellation.success) {
+      const status = cancellation.code === "BOOKING_NOT_FOUND" ? 404 : 400;
+      return res.status(status).json({
+        result: false,
+        code: cancellation.code,
+        error: cancellation.error
+      });
+    }
+
+    // Emails à l'hôte et au client (non bloquant)
+    try {
+      const clientUser = await User.findById(req.user.userId);
+      await EmailService.sendCancellationEmails(cancellation.booking, clientUser);
+    } catch (emailError) {
+      console.error("⚠️ [BOOKING] Erreur envoi emails annulation (non bloquant):", emailError);
+    }
+
+    res.json({
+      result: true,
+      message: "Réservation annulée",
+      booking: {
+        _id: cancellation.booking._id,
+        apartmentId: cancellation.booking.apartmentId,
+        startDate: cancellation.booking.startDate,
+        endDate: cancellation.booking.endDate,
+        status: cancellation.booking.status
+      },
+      refund: cancellation.refund
+    });
+  } catch (err) {
+    console.error("Erreur annulation:", err);
+    res.status(500).json({ result: false, error: "Erreur serveur" });
+  }
+});
+
+// -------------------------
+// 8. ACTIONS PUBLIQUES VIA EMAIL - ROUTES SÉCURISÉES
 // -------------------------
 
 // Route publique pour les actions via email (accept/refuse)
@@ -653,7 +723,7 @@ router.get(
             <div class="detail-row">
               <span class="label">Statut:</span> 
               <span class="value" style="color: ${actionColor}; font-weight: bold;">
-                ${result.booking.status === 'accepted' ? 'Acceptée' : 'Refusée'}
+                ${{ accepted: 'Acceptée', confirmed: 'Confirmée' }[result.booking.status] || 'Refusée'}
               </span>
             </div>
           </div>
@@ -691,7 +761,7 @@ router.get(
 );
 
 // -------------------------
-// 7. PRÉVISUALISATION EMAIL (DEV SEULEMENT)
+// 9. PRÉVISUALISATION EMAIL (DEV SEULEMENT)
 // -------------------------
 
 // Route de test pour prévisualiser l'email
@@ -718,6 +788,117 @@ router.get(
   }
 );
 
+// -------------------------
+// 10. ADMIN - REGISTRE DES PAIEMENTS D'UNE RÉSERVATION
+// -------------------------
+router.get(
+  "/:id/transactions",
+  authenticateToken,
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ result: false, error: "ID de réservation invalide" });
+      }
+
+      const booking = await Booking.findById(req.params.id).lean();
+      if (!booking) {
+        return res.status(404).json({ result: false, error: "Réservation introuvable" });
+      }
+
+      // Le solde reprend au passage un paiement antérieur au registre
+      const balance = await LedgerService.getBookingBalance(booking._id);
+      const transactions = await LedgerService.listForBooking(booking._id);
+
+      res.json({
+        result: true,
+        bookingId: booking._id,
+        transactions,
+        balance: {
+          ...balance,
+          totalPrice: booking.totalPrice || booking.price,
+          balanceDue: booking.balanceDue ?? null
+        }
+      });
+    } catch (err) {
+      console.error("Erreur registre paiements:", err);
+      res.status(500).json({ result: false, error: "Erreur serveur" });
+    }
+  }
+);
+
+// Paiement reçu hors ligne (virement, espèces...) saisi par un administrateur
+router.post(
+  "/:id/transactions",
+  authenticateToken,
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ result: false, error: "ID de réservation invalide" });
+      }
+
+      const amount = Number(req.body?.amount);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ result: false, error: "Montant invalide" });
+      }
+      const note = typeof req.body?.note === "string" ? req.body.note.slice(0, 500) : undefined;
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({ result: false, error: "Réservation introuvable" });
+      }
+      if (!PAYABLE_STATUSES.includes(booking.status)) {
+        return res.status(400).json({
+          result: false,
+          code: "NOT_PAYABLE",
+          error: `Une réservation au statut "${booking.status}" ne peut pas recevoir de paiement`
+        });
+      }
+
+      const transaction = await LedgerService.record({
+        type: "manual",
+        provider: "manual",
+        amount: roundAmount(amount),
+        currency: "EUR",
+        booking: booking._id,
+        recordedBy: req.user.userId,
+        note
+      });
+      let updated = await LedgerService.syncBooking(booking._id);
+
+      // Le premier paiement confirme la réservation acceptée
+      if (updated.status === "accepted") {
+        const transition = await BookingLifecycleService.transition(updated, "confirmed", {
+          actor: req.user.userId,
+          channel: "admin",
+          reason: "Paiement manuel",
+          set: { paymentDate: new Date() }
+        });
+        if (transition.success) updated = transition.booking;
+      }
+
+      console.log(`💶 Admin ${req.user.userId} a enregistré un paiement manuel de ${transaction.amount} € sur la réservation ${booking._id}`);
+
+      res.status(201).json({
+        result: true,
+        transaction,
+        booking: {
+          _id: updated._id,
+          status: updated.status,
+          paidAmount: updated.paidAmount,
+          balanceDue: updated.balanceDue,
+          paymentSchedule: updated.paymentSchedule,
+          paymentOverdue: updated.paymentOverdue
+        }
+      });
+    } catch (err) {
+      console.error("Erreur paiement manuel:", err);
+      res.status(500).json({ result: false, error: "Erreur serveur" });
+    }
+  }
+);
+
 // -------------------------
 // NOTE : ANCIEN SYSTÈME EMAIL REMPLACÉ
 // -------------------------
@@ -3,6 +3,11 @@ import BlockedDate from "../models/calendar.js";
 import { authenticateToken } from "../middleware/auth.js";
 import Booking from "../models/booking.js";
 import PriceRule from "../models/priceRule.js";
+import { PropertyService } from "../services/propertyService.js";
+import { StayRulesService } from "../services/stayRulesService.js";
+import { ReservationService, occupyingBookingFilter } from "../services/reservationService.js";
+import { PriceCacheService } from "../services/priceCache.js";
+import { parsePeriod } from "../modules/dateUtils.js";
 
 const router = express.Router();
 
@@ -209,29 +214,43 @@ router.post("/checkAvailability", authenticateToken, async (req, res) => {
   try {
     const start = new Date(startDate);
     const end = new Date(endDate);
+    // Couvrir tous les libellés du même logement (slug, nom, alias)
+    const apartmentFilter = await PropertyService.apartmentFilter(apartmentId);
     
     // ✅ CORRECTION - Vérifier les dates bloquées ET toutes les réservations actives
     const [blockedConflicts, bookingConflicts] = await Promise.all([
       BlockedDate.find({
-        apartmentId,
+        apartmentId: apartmentFilter,
         $or: [
           { startDate: { $lte: end }, endDate: { $gte: start } }
         ],
       }),
       Booking.find({
-        apartmentId,
-        status: { $in: ["pending", "accepted", "confirmed"] }, // Bloquer pending, accepted et confirmed
-        $or: [
-          { startDate: { $lte: end }, endDate: { $gte: start } }
-        ],
+        apartmentId: apartmentFilter,
+        ...occupyingBookingFilter(), // Bloquer pending, accepted, confirmed et temporaires non expirées
+        startDate: { $lte: end },
+        endDate: { $gte: start },
       })
     ]);
 
     const allConflicts = [...blockedConflicts, ...bookingConflicts];
 
+    // Règles de séjour du logement (nuits minimum, jours d'arrivée/départ)
+    const property = await PropertyService.resolve(apartmentId);
+    const stayCheck = property
+      ? await StayRulesService.validateStay(property, startDate, endDate)
+      : { valid: true, errors: [] };
+
+    // Nuits retenues dans le panier d'un autre client
+    const heldNights = property
+      ? await ReservationService.getHeldNights(property.slug, start, { to: end, excludeUserId: req.user.userId })
+      : [];
+
     res.json({
       result: true,
-      available: allConflicts.length === 0,
+      available: allConflicts.length === 0 && heldNights.length === 0 && stayCheck.valid,
+      heldNights,
+      stayRuleErrors: stayCheck.errors,
       conflicts: allConflicts,
       blockedDates: blockedConflicts,
       bookings: bookingConflicts
@@ -252,11 +271,14 @@ router.get("/disabledDates", async (req, res) => {
   try {
     const now = new Date();
     now.setHours(0, 0, 0, 0);
+    const apartmentFilter = await PropertyService.apartmentFilter(apartmentId);
+
+    const property = await PropertyService.resolve(apartmentId, { includeInactive: true });
 
     // Requêtes parallèles optimisées avec sélection des champs nécessaires
-    const [blockedDates, bookings] = await Promise.all([
+    const [blockedDates, bookings, heldNights] = await Promise.all([
       BlockedDate.find({ 
-        apartmentId,
+        apartmentId: apartmentFilter,
         endDate: { $gte: now } // Seulement les dates futures
       })
       .select('startDate endDate reason')
@@ -264,13 +286,16 @@ router.get("/disabledDates", async (req, res) => {
       .lean(), // Plus rapide pour lecture seule
 
       Booking.find({
-        apartmentId,
-        status: { $in: ["pending", "accepted", "confirmed"] }, // ✅ CORRECTION - Inclure toutes les réservations actives
+        apartmentId: apartmentFilter,
+        ...occupyingBookingFilter(), // Réservations actives et commandes en attente de paiement
         endDate: { $gte: now } // Seulement les réservations futures
       })
       .select('startDate endDate status') // Inclure le statut pour debug
       .sort({ startDate: 1 })
-      .lean()
+      .lean(),
+
+      // Nuits retenues dans le panier d'un client
+      property ? ReservationService.getHeldNights(property.slug, now) : []
     ]);
 
     // Générer un tableau de toutes les dates désactivées individuelles
@@ -333,6 +358,8 @@ router.get("/disabledDates", async (req, res) => {
       }
     });
 
+    disabledDates.push(...heldNights);
+
     // Supprimer les doublons et trier
     const uniqueDisabledDates = [...new Set(disabledDates)].sort();
     const availableDepartureDates = [...departureDates].sort();
@@ -364,29 +391,31 @@ router.get("/prices", async (req, res) => {
   }
 
   try {
-    // Mappage des apartmentId vers les property names
-    const propertyMap = {
-      'valery-sources-baie': 'valery-sources-baie',
-      'touquet-pinede': 'touquet-pinede',
-      'St valery - Aux sources de la baie': 'valery-sources-baie',
-      'Le Touquet - La pinède au plein soleil': 'touquet-pinede'
-    };
-
-    const property = propertyMap[apartmentId];
-    if (!property) {
-      console.log(`❌ Appartement non reconnu: "${apartmentId}". Mapping disponible:`, Object.keys(propertyMap));
+    // Résolution de l'apartmentId (slug, nom ou alias) vers le logement
+    const propertyDoc = await PropertyService.resolve(apartmentId);
+    if (!propertyDoc) {
+      console.log(`❌ Appartement non reconnu: "${apartmentId}"`);
       return res.json({ result: false, error: "Appartement non reconnu" });
     }
 
-    console.log(`✅ Mapping trouvé: "${apartmentId}" -> "${property}"`);
+    const property = propertyDoc.slug;
+    console.log(`✅ Logement trouvé: "${apartmentId}" -> "${property}"`);
 
-    // Normaliser les dates reçues en format ISO (YYYY-MM-DD)
-    const normalizedStartDate = new Date(startDate + 'T00:00:00.000Z');
-    const normalizedEndDate = new Date(endDate + 'T00:00:00.000Z');
+    // Normaliser les dates reçues (YYYY-MM-DD) et borner la période
+    const period = parsePeriod(startDate, endDate);
+    if (period.error) {
+      return res.json({ result: false, error: period.error });
+    }
+    const { start: normalizedStartDate, end: normalizedEndDate } = period;
 
     // ✅ CORRECTION - Calculer le prix pour les nuits (du début jusqu'à la veille du départ)
     const lastNightDate = new Date(normalizedEndDate.getTime() - 24 * 60 * 60 * 1000);
-    const prices = await PriceRule.getPricesForPeriod(property, normalizedStartDate, lastNightDate);
+    const [prices, stayConstraints] = await Promise.all([
+      // Toutes les nuits résolues en une passe (cache par période)
+      PriceCacheService.getPricesForPeriod(property, normalizedStartDate, lastNightDate),
+      // Contraintes de séjour pour une arrivée à chaque date (saisonnières ou du logement)
+      StayRulesService.getConstraintsForPeriod(propertyDoc, normalizedStartDate, normalizedEndDate)
+    ]);
     
     // Calculer le prix total
     const totalPrice = Object.values(prices).reduce((sum, price) => sum + price, 0);
@@ -397,6 +426,7 @@ router.get("/prices", async (req, res) => {
       startDate,
       endDate,
       dailyPrices: prices,
+      stayConstraints,
       totalPrice,
       numberOfNights: Object.keys(prices).length
     });
@@ -411,16 +441,13 @@ router.get("/price/:apartmentId/:date", async (req, res) => {
   const { apartmentId, date } = req.params;
 
   try {
-    const propertyMap = {
-      'valery-sources-baie': 'valery-sources-baie',
-      'touquet-pinede': 'touquet-pinede'
-    };
-
-    const property = propertyMap[apartmentId];
-    if (!property) {
+    const propertyDoc = await PropertyService.resolve(apartmentId);
+    if (!propertyDoc) {
       return res.json({ result: false, error: "Appartement non reconnu" });
     }
 
+    const property = propertyDoc.slug;
+
     // Normaliser la date reçue en format ISO (YYYY-MM-DD)
     const normalizedDate = new Date(date + 'T00:00:00.000Z');
     const price = await PriceRule.getPriceForDate(property, normalizedDate);
@@ -448,11 +475,12 @@ router.get("/adminCalendarData", authenticateToken, async (req, res) => {
   try {
     const now = new Date();
     now.setHours(0, 0, 0, 0);
+    const apartmentFilter = await PropertyService.apartmentFilter(apartmentId);
 
     // Requêtes parallèles pour récupérer toutes les données
     const [blockedDates, bookings] = await Promise.all([
       BlockedDate.find({
-        apartmentId,
+        apartmentId: apartmentFilter,
         endDate: { $gte: now }
       })
       .select('startDate endDate reason')
@@ -460,7 +488,7 @@ router.get("/adminCalendarData", authenticateToken, async (req, res) => {
       .lean(),
 
       Booking.find({
-        apartmentId,
+        apartmentId: apartmentFilter,
         status: { $in: ["pending", "accepted", "confirmed"] },
         endDate: { $gte: now }
       })
@@ -1,12 +1,27 @@
 import express from "express";
+import mongoose from "mongoose";
 import Cart from "../models/cart.js";
 import Booking from "../models/booking.js";
+import Order from "../models/order.js";
 import { authenticateToken } from "../middleware/auth.js";
-import fetch from "node-fetch";
-import nodemailer from "nodemailer";
+import { PropertyService } from "../services/propertyService.js";
+import { QuoteService } from "../services/quoteService.js";
+import { StayRulesService } from "../services/stayRulesService.js";
+import { ReservationService } from "../services/reservationService.js";
+import { PromoCodeService } from "../services/promoCodeService.js";
+import { OrderService } from "../services/orderService.js";
+import { getPaymentProvider } from "../services/payments/index.js";
+import { PaymentService, paymentMatches } from "../services/paymentService.js";
+import { PaymentScheduleService, PAYABLE_STATUSES } from "../services/paymentScheduleService.js";
+import { LedgerService } from "../services/ledgerService.js";
+import { roundAmount, amountsMatch } from "../modules/money.js";
+import { EmailService } from "../services/emailService.js";
 
 const router = express.Router();
 
+// Devise des paiements en ligne
+const PAYMENT_CURRENCY = "EUR";
+
 // ======================================
 // --- CART MANAGEMENT ROUTES ---
 // ======================================
@@ -16,9 +31,10 @@ router.get("/", authenticateToken, async (req, res) => {
   try {
     let cart = await Cart.findOne({ userId: req.user.userId });
 
-    // Si le panier existe mais est expiré, on le supprime
+    // Si le panier existe mais est expiré, on le supprime avec ses options
     if (cart && cart.expiresAt < new Date()) {
       await Cart.deleteOne({ _id: cart._id });
+      await ReservationService.releaseHolds({ userId: req.user.userId });
       cart = null;
     }
 
@@ -44,17 +60,63 @@ router.get("/", authenticateToken, async (req, res) => {
 // --- Add Item to Cart ---
 router.post("/add", authenticateToken, async (req, res) => {
   try {
-    const { apartmentId, startDate, endDate, price } = req.body;
+    // guestDetails optionnel : permet de refuser tôt un séjour hors règlement
+    const { apartmentId, startDate, endDate, price, guestDetails } = req.body;
     if (!apartmentId || !startDate || !endDate || !price) {
       return res.status(400).json({ result: false, error: "Champs manquants" });
     }
 
+    const property = await PropertyService.resolve(apartmentId);
+    if (!property) {
+      return res.status(400).json({ result: false, error: "Logement inconnu" });
+    }
+
+    // Règles de séjour (nuits minimum, jours d'arrivée/départ)
+    const stayCheck = await StayRulesService.validateStay(property, startDate, endDate);
+    if (!stayCheck.valid) {
+      return res.status(400).json({
+        result: false,
+        code: stayCheck.errors[0].code,
+        error: stayCheck.errors[0].error,
+        errors: stayCheck.errors
+      });
+    }
+
+    // Capacité et animaux acceptés (si les voyageurs sont déjà connus)
+    if (guestDetails) {
+      const houseRuleErrors = StayRulesService.checkHouseRules(property, guestDetails);
+      if (houseRuleErrors.length > 0) {
+        return res.status(400).json({
+          result: false,
+          code: houseRuleErrors[0].code,
+          error: houseRuleErrors[0].error,
+          errors: houseRuleErrors
+        });
+      }
+    }
+
+    // Recalculer le prix côté serveur et refuser un prix modifié par le client
+    const quoteResult = await QuoteService.computeQuote({ apartmentId, startDate, endDate });
+    if (!quoteResult.success) {
+      return res.status(400).json({ result: false, code: quoteResult.code, error: quoteResult.error });
+    }
+
+    const priceError = QuoteService.checkClientPrice(quoteResult.quote, price);
+    if (priceError) {
+      return res.status(409).json({
+        result: false,
+        code: priceError.code,
+        error: priceError.error,
+        expectedPrice: priceError.expectedPrice
+      });
+    }
+
     // ✅ CORRECTION - Vérifier les conflits en excluant les jours de départ/arrivée
     const itemStart = new Date(startDate);
     const itemEnd = new Date(endDate);
 
     const conflictingBookings = await Booking.find({
-      apartmentId,
+      apartmentId: { $in: property.identifiers() },
       status: { $in: ["pending", "accepted", "confirmed"] },
       $or: [
         // Conflit réel : chevauchement SAUF si endDate existant = startDate nouveau (départ = arrivée OK)
@@ -72,24 +134,104 @@ router.post("/add", authenticateToken, async (req, res) => {
       });
     }
 
-    let cart = await Cart.findOne({ userId: req.user.userId });
+    // Prolonge expiration à chaque ajout
+    const expiresAt = new Date(Date.now() + 30 * 60 * 1000); // 30 min
+    const itemId = new mongoose.Types.ObjectId();
 
-    if (!cart) {
-      cart = new Cart({
-        userId: req.user.userId,
-        items: [],
-        expiresAt: new Date(Date.now() + 30 * 60 * 1000), // 30 min
+    // Option sur les nuits jusqu'à l'expiration du panier (atomique face aux autres clients)
+    const held = await ReservationService.hold(property.slug, itemStart, itemEnd, {
+      userId: req.user.userId,
+      cartItem: itemId,
+      expiresAt
+    });
+    if (!held) {
+      return res.status(409).json({
+        result: false,
+        code: "DATES_UNAVAILABLE",
+        error: "Ces dates sont déjà réservées ou dans le panier d'un autre client."
       });
     }
 
-    cart.items.push({ apartmentId, startDate, endDate, price });
-    // Prolonge expiration à chaque ajout
-    cart.expiresAt = new Date(Date.now() + 30 * 60 * 1000);
+    try {
+      let cart = await Cart.findOne({ userId: req.user.userId });
+
+      if (!cart) {
+        cart = new Cart({
+          userId: req.user.userId,
+          items: [],
+          expiresAt,
+        });
+      }
+
+      cart.items.push({ _id: itemId, apartmentId, startDate, endDate, price: quoteResult.quote.accommodation });
+      cart.expiresAt = expiresAt;
+
+      await cart.save();
+      await ReservationService.extendHolds(req.user.userId, expiresAt);
+      res.json({ result: true, cart });
+    } catch (saveError) {
+      await ReservationService.releaseHolds({ cartItem: itemId });
+      throw saveError;
+    }
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ result: false, error: "Erreur serveur" });
+  }
+});
+
+// --- Apply Promo Code ---
+router.post("/promo", authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ result: false, error: "Code promo manquant" });
+    }
 
+    const promoCheck = await PromoCodeService.validate(code, { userId: req.user.userId });
+    if (!promoCheck.success) {
+      return res.status(400).json({ result: false, code: promoCheck.code, error: promoCheck.error });
+    }
+
+    const cart = await Cart.findOne({ userId: req.user.userId });
+    if (!cart || cart.expiresAt < new Date()) {
+      return res.status(404).json({ result: false, error: "Panier introuvable ou expiré" });
+    }
+
+    // Le code est vérifié à nouveau sur chaque séjour lors de la demande de réservation
+    cart.promoCode = promoCheck.promo.code;
     await cart.save();
+
+    const { promo } = promoCheck;
+    res.json({
+      result: true,
+      cart,
+      promo: {
+        code: promo.code,
+        description: promo.description,
+        valueType: promo.valueType,
+        value: promo.value,
+        minNights: promo.minNights,
+        properties: promo.properties
+      }
+    });
+  } catch (err) {
+    console.error("Erreur application code promo:", err);
+    res.status(500).json({ result: false, error: "Erreur serveur" });
+  }
+});
+
+// --- Remove Promo Code ---
+router.delete("/promo", authenticateToken, async (req, res) => {
+  try {
+    const cart = await Cart.findOneAndUpdate(
+      { userId: req.user.userId },
+      { $unset: { promoCode: "" } },
+      { new: true }
+    );
+
     res.json({ result: true, cart });
   } catch (err) {
-    console.error(err);
+    console.error("Erreur suppression code promo:", err);
     res.status(500).json({ result: false, error: "Erreur serveur" });
   }
 });
@@ -110,6 +252,9 @@ router.delete("/deleteAll", authenticateToken, async (req, res) => {
         .json({ result: false, error: "Panier introuvable" });
     }
 
+    // Libérer les dates retenues par le panier
+    await ReservationService.releaseHolds({ userId: req.user.userId });
+
     res.json({ result: true, cart });
   } catch (err) {
     console.error("Erreur deleteAll:", err);
@@ -135,6 +280,9 @@ router.delete("/:itemId", authenticateToken, async (req, res) => {
         .json({ result: false, error: "Panier introuvable" });
     }
 
+    // Libérer les dates retenues par cet article
+    await ReservationService.releaseHolds({ userId: req.user.userId, cartItem: itemId });
+
     res.json({ result: true, cart });
   } catch (err) {
     console.error("Erreur suppression item:", err);
@@ -146,7 +294,31 @@ router.delete("/:itemId", authenticateToken, async (req, res) => {
 // --- CHECKOUT & PAYMENT ROUTES ---
 // ======================================
 
-// --- Transform Cart to Booking ---
+// Codes d'échec de commande signalant un conflit (dates prises, prix ou code promo changés)
+const ORDER_CONFLICT_CODES = ["PRICE_MISMATCH", "DATES_UNAVAILABLE", "PROMO_EXHAUSTED", "PROMO_USER_LIMIT", "AMOUNT_MISMATCH", "ORDER_NOT_PAYABLE", "PAYMENT_NOT_STARTED"];
+
+// Statut HTTP d'un échec de commande ou de paiement
+function orderErrorStatus(code) {
+  if (code === "ORDER_EXPIRED") return 410;
+  if (ORDER_CONFLICT_CODES.includes(code)) return 409;
+  return 400;
+}
+
+// Réponse d'erreur d'une commande (détails du devis refusé inclus)
+function orderErrorBody(failure) {
+  return {
+    result: false,
+    code: failure.code,
+    error: failure.error,
+    apartmentId: failure.apartmentId,
+    errors: failure.errors,
+    expectedPrice: failure.expectedPrice
+  };
+}
+
+// --- Transform Cart to Order ---
+// Les séjours sont chiffrés par le serveur et la commande de paiement est créée
+// chez le prestataire : le client n'a plus qu'à l'approuver
 router.post("/checkout", authenticateToken, async (req, res) => {
   try {
     const cart = await Cart.findOne({ userId: req.user.userId });
@@ -156,21 +328,37 @@ router.post("/checkout", authenticateToken, async (req, res) => {
 
     if (cart.expiresAt < new Date()) {
       await Cart.deleteOne({ _id: cart._id });
+      await ReservationService.releaseHolds({ userId: req.user.userId });
       return res.status(410).json({ result: false, error: "Panier expiré" });
     }
 
-    // Calculer le total
-    const totalPrice = cart.items.reduce((sum, item) => sum + item.price, 0);
+    // Commande réelle : les articles deviennent des réservations temporaires
+    const orderResult = await OrderService.createFromCart(cart, { guestDetails: req.body?.guestDetails || {} });
+    if (!orderResult.success) {
+      return res.status(orderErrorStatus(orderResult.code)).json(orderErrorBody(orderResult));
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const paymentResult = await OrderService.startPayment(orderResult.order, {
+      returnUrl: `${frontendUrl}/payment?status=success`,
+      cancelUrl: `${frontendUrl}/payment?status=cancel`
+    });
+    if (!paymentResult.success) {
+      return res.status(502).json({ result: false, code: paymentResult.code, error: paymentResult.error });
+    }
 
-    // Pour l'instant, retourner les infos sans créer de commande complexe
+    const { order, approvalUrl } = paymentResult;
     res.json({
       result: true,
       order: {
-        orderId: `temp_${Date.now()}`,
-        totalPrice,
-        items: cart.items,
-        expiresAt: new Date(Date.now() + 15 * 60 * 1000),
+        orderId: order._id,
+        status: order.status,
+        totalPrice: order.totalPrice,
+        items: order.items,
+        expiresAt: order.expiresAt,
       },
+      paypalOrderId: order.providerOrderId,
+      approvalUrl,
       message: "Prêt pour le paiement",
     });
   } catch (err) {
@@ -179,40 +367,79 @@ router.post("/checkout", authenticateToken, async (req, res) => {
   }
 });
 
-// --- Validate Payment (Simplified) ---
+// --- Validate Payment ---
+// Le paiement est capturé auprès du prestataire : un paymentId envoyé par le client est ignoré
 router.post("/validate-payment", authenticateToken, async (req, res) => {
   try {
-    const { orderId, paymentId } = req.body;
+    const { orderId } = req.body;
+    if (!orderId) {
+      return res.status(400).json({ result: false, error: "orderId requis" });
+    }
 
-    const cart = await Cart.findOne({ userId: req.user.userId });
-    if (!cart || cart.items.length === 0) {
-      return res.status(400).json({ result: false, error: "Panier vide" });
+    const order = await OrderService.findForUser(orderId, req.user.userId);
+    if (!order) {
+      return res.status(404).json({ result: false, error: "Commande introuvable" });
     }
 
-    if (cart.expiresAt < new Date()) {
-      await Cart.deleteOne({ _id: cart._id });
-      return res.status(410).json({ result: false, error: "Panier expiré" });
+    const paymentResult = await OrderService.capturePayment(order);
+    if (!paymentResult.success) {
+      const status = paymentResult.code === "PROVIDER_ERROR" ? 502 : orderErrorStatus(paymentResult.code);
+      return res.status(status).json({ result: false, code: paymentResult.code, error: paymentResult.error });
     }
 
-    // Créer des bookings pour chaque item (logique existante)
-    const bookings = await Booking.insertMany(
-      cart.items.map((item) => ({
-        userId: req.user.userId,
-        apartmentId: item.apartmentId,
-        startDate: item.startDate,
-        endDate: item.endDate,
-        price: item.price,
-        bookedAt: new Date(),
-        paymentId: paymentId, // Ajouter l'ID de paiement
-      }))
-    );
+    res.json({
+      result: true,
+      order: paymentResult.order,
+      bookings: paymentResult.bookings,
+      message: "Paiement validé"
+    });
+  } catch (err) {
+    console.error("Erreur validate-payment:", err);
+    res.status(500).json({ result: false, error: "Erreur serveur" });
+  }
+});
 
-    // Supprimer le panier
-    await Cart.deleteOne({ _id: cart._id });
+// --- Get Order ---
+router.get("/orders/:orderId", authenticateToken, async (req, res) => {
+  try {
+    const order = await OrderService.findForUser(req.params.orderId, req.user.userId);
+    if (!order) {
+      return res.status(404).json({ result: false, error: "Commande introuvable" });
+    }
 
-    res.json({ result: true, bookings, message: "Paiement validé" });
+    res.json({ result: true, order });
   } catch (err) {
-    console.error("Erreur validate-payment:", err);
+    console.error("Erreur lecture commande:", err);
+    res.status(500).json({ result: false, error: "Erreur serveur" });
+  }
+});
+
+// --- Payment Failed / Order Cancelled ---
+// Le paiement a échoué ou le client abandonne : les dates sont libérées
+router.post("/orders/:orderId/:event(payment-failed|cancel)", authenticateToken, async (req, res) => {
+  try {
+    const order = await OrderService.findForUser(req.params.orderId, req.user.userId);
+    if (!order) {
+      return res.status(404).json({ result: false, error: "Commande introuvable" });
+    }
+
+    const status = req.params.event === "cancel" ? "cancelled" : "failed";
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.slice(0, 200) : undefined;
+    const closed = await OrderService.close(order, status, reason, {
+      actor: req.user.userId,
+      channel: status === "failed" ? "payment" : "guest"
+    });
+    if (!closed) {
+      return res.status(409).json({
+        result: false,
+        code: "ORDER_NOT_PENDING",
+        error: `Cette commande n'est plus en attente de paiement (${order.status})`
+      });
+    }
+
+    res.json({ result: true, order: closed });
+  } catch (err) {
+    console.error("Erreur clôture commande:", err);
     res.status(500).json({ result: false, error: "Erreur serveur" });
   }
 });
@@ -225,269 +452,91 @@ router.get("/capture-paypal-order", authenticateToken, async (req, res) => {
     if (!token)
       return res.status(400).json({ success: false, error: "Token manquant" });
 
-    // Capture du paiement PayPal
-    const response = await fetch(
-      `https://api-m.sandbox.paypal.com/v2/checkout/orders/${token}/capture`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Basic ${Buffer.from(
-            `${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_SECRET}`
-          ).toString("base64")}`,
-        },
-      }
-    );
+    // Retrouver la réservation liée à cette commande PayPal
+    const payableBooking = await Booking.findOne({
+      paypalOrderId: token,
+      userId: req.user.userId
+    });
 
-    const data = await response.json();
-    if (!data || !data.status) {
-      return res
-        .status(500)
-        .json({ success: false, error: "Réponse PayPal invalide", data });
+    // Commande du panier : capturée par le service des commandes
+    if (!payableBooking) {
+      const cartOrder = await Order.findOne({ providerOrderId: token, userId: req.user.userId });
+      if (cartOrder) {
+        const paid = await OrderService.capturePayment(cartOrder);
+        if (!paid.success) {
+          const status = paid.code === "PROVIDER_ERROR" ? 502 : orderErrorStatus(paid.code);
+          return res.status(status).json({ success: false, code: paid.code, error: paid.error });
+        }
+        return res.json({ success: true, order: paid.order, bookings: paid.bookings });
+      }
     }
 
-    // Vérification statut
-    if (data.status !== "COMPLETED") {
+    if (!payableBooking || !PAYABLE_STATUSES.includes(payableBooking.status)) {
       return res
-        .status(400)
-        .json({ success: false, error: "Paiement non complété", data });
+        .status(404)
+        .json({ success: false, error: "Réservation non trouvée pour ce paiement" });
     }
 
-    // Récupération infos
-    const transactionId = data.id;
-    const payerEmail = data.payer?.email_address;
+    const expected = payableBooking.expectedPayment;
+    const provider = getPaymentProvider();
 
-    // ⚡ Mise à jour de la réservation en BDD
-    // Le token PayPal correspond à l'ID de l'ordre PayPal, pas à la réservation
-    // Il faut d'abord retrouver quelle réservation correspond à ce paiement
-    // Pour l'instant, on met à jour la réservation de l'utilisateur connecté qui est "accepted"
-    const updatedBooking = await Booking.findOneAndUpdate(
-      { 
-        userId: req.user.userId, 
-        status: "accepted" 
-      },
-      { 
-        status: "confirmed", 
-        paymentDate: new Date(), 
-        paymentId: transactionId,
-        paypalOrderId: token 
-      },
-      { new: true }
-    );
-
-    if (!updatedBooking) {
+    // Vérifier le montant de la commande avant de capturer les fonds
+    const orderStatus = await provider.getOrder(token);
+    if (!orderStatus.success) {
       return res
-        .status(404)
-        .json({ success: false, error: "Réservation non trouvée pour ce paiement" });
+        .status(502)
+        .json({ success: false, code: orderStatus.code, error: orderStatus.error });
+    }
+    if (!paymentMatches(orderStatus.order, expected)) {
+      console.error(`❌ Commande PayPal ${token}: montant ${orderStatus.order.amount} ${orderStatus.order.currency} ≠ attendu ${expected?.amount} ${expected?.currency}`);
+      return res.status(409).json({
+        success: false,
+        code: "AMOUNT_MISMATCH",
+        error: "Le montant de la commande PayPal ne correspond pas à la réservation"
+      });
     }
 
-    // Récupérer le montant réellement payé depuis PayPal
-    const paypalAmount = data.purchase_units?.[0]?.payments?.captures?.[0]?.amount?.value;
-    const totalPrice = updatedBooking.totalPrice || updatedBooking.price;
+    // Capture du paiement auprès du prestataire
+    const captureResult = await provider.captureOrder(token);
+    if (!captureResult.success) {
+      return res
+        .status(502)
+        .json({ success: false, code: captureResult.code, error: captureResult.error });
+    }
+    const { capture } = captureResult;
 
-    // Utiliser le montant PayPal réel, mais en fallback sur totalPrice si PayPal défaillant
-    let paidAmount = paypalAmount ? parseFloat(paypalAmount) : totalPrice;
+    // Vérification statut
+    if (capture.status !== "COMPLETED") {
+      return res
+        .status(400)
+        .json({ success: false, error: "Paiement non complété", data: capture.raw });
+    }
 
-    // Si le montant PayPal semble aberrant (trop petit), utiliser totalPrice
-    if (paidAmount < (totalPrice * 0.2)) { // Si moins de 20% du total, probablement une erreur
-      console.log(`⚠️ Montant PayPal suspect (${paidAmount}€), utilisation du totalPrice (${totalPrice}€)`);
-      paidAmount = totalPrice;
+    // Le montant capturé doit être celui attendu (sinon à traiter manuellement)
+    const applied = await PaymentService.applyBookingCapture(payableBooking, capture, {
+      actor: req.user.userId
+    });
+    if (!applied.success) {
+      return applied.code === "AMOUNT_MISMATCH"
+        ? res.status(409).json({ success: false, code: applied.code, error: applied.error })
+        : res.status(404).json({ success: false, error: "Réservation non trouvée pour ce paiement" });
     }
+    const updatedBooking = applied.booking;
 
     console.log("💰 Montants de debug:", {
-      paypalAmount,
-      paidAmount,
+      paidAmount: capture.amount,
       bookingPrice: updatedBooking.price,
       bookingTotalPrice: updatedBooking.totalPrice,
-      paypalData: data.purchase_units?.[0]?.payments?.captures?.[0]
+      paypalData: capture.raw
     });
 
-    // ✅ CORRECTION - Email confirmation client depuis notre BD utilisateur
-    try {
-      // Récupérer l'email de l'utilisateur depuis notre base de données
-      const User = (await import("../models/users.js")).default;
-      const clientUser = await User.findById(req.user.userId);
-
-      if (clientUser && clientUser.email) {
-        const transporter = nodemailer.createTransport({
-          host: process.env.SMTP_HOST || "smtp.gmail.com",
-          port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 465,
-          secure: true,
-          auth: {
-            user: process.env.RECEIVER_EMAIL,
-            pass: process.env.SMTP_PASS,
-          },
-        });
-
-        await transporter.sendMail({
-          from: `"🏠 ImmoVA - Paiement" <${process.env.RECEIVER_EMAIL}>`,
-          to: clientUser.email,
-          subject: "✅ Confirmation de paiement - Réservation confirmée",
-          html: `
-            <h2>Bonjour ${clientUser.firstname} ${clientUser.lastname},</h2>
-            <p>Votre paiement de <strong>${paidAmount} €</strong> a bien été reçu ✅.</p>
-            ${paidAmount < totalPrice ?
-              `<p><strong>⚠️ Paiement partiel reçu</strong> - Montant restant : <strong>${(totalPrice - paidAmount).toFixed(2)} €</strong></p>` :
-              '<p><strong>Votre réservation est maintenant confirmée !</strong></p>'
-            }
-            <hr style="margin: 20px 0;">
-            <p><strong>📋 Détails de votre réservation :</strong></p>
-            <p>• Numéro : <strong>${updatedBooking._id}</strong></p>
-            <p>• Logement : <strong>${updatedBooking.apartmentId}</strong></p>
-            <p>• Période : Du ${new Date(updatedBooking.startDate).toLocaleDateString()} au ${new Date(updatedBooking.endDate).toLocaleDateString()}</p>
-            <p>• Montant payé : <strong>${paidAmount} €</strong></p>
-            <hr style="margin: 20px 0;">
-            <p>💡 <strong>Informations importantes :</strong></p>
-            <p>• Vous recevrez les informations d'accès quelques jours avant votre arrivée</p>
-            <p>• Pour toute question, n'hésitez pas à nous contacter</p>
-            <br>
-            <p>Merci de votre confiance ! 🏠</p>
-            <p><em>L'équipe ImmoVA</em></p>
-          `,
-        });
-
-        console.log(`✅ Email de confirmation de paiement envoyé au client: ${clientUser.email}`);
-      } else {
-        console.log(`⚠️ Impossible d'envoyer l'email de confirmation : utilisateur ou email introuvable`);
-        // Fallback avec l'email PayPal si disponible
-        if (payerEmail) {
-          console.log(`🔄 Tentative avec l'email PayPal: ${payerEmail}`);
-          const transporter = nodemailer.createTransport({
-            host: process.env.SMTP_HOST || "smtp.gmail.com",
-            port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 465,
-            secure: true,
-            auth: {
-              user: process.env.RECEIVER_EMAIL,
-              pass: process.env.SMTP_PASS,
-            },
-          });
-
-          await transporter.sendMail({
-            from: `"🏠 ImmoVA - Paiement" <${process.env.RECEIVER_EMAIL}>`,
-            to: payerEmail,
-            subject: "✅ Confirmation de paiement",
-            html: `
-              <h2>Bonjour,</h2>
-              <p>Votre paiement de <strong>${paidAmount} €</strong> a bien été reçu ✅.</p>
-              <p>Numéro de réservation : <strong>${updatedBooking._id}</strong></p>
-              <p>Appartement : ${updatedBooking.apartmentId}</p>
-              <p>Du ${new Date(updatedBooking.startDate).toLocaleDateString()} au ${new Date(updatedBooking.endDate).toLocaleDateString()}</p>
-              <p>Merci de votre confiance.</p>
-            `,
-          });
-          console.log(`✅ Email de confirmation envoyé via PayPal email: ${payerEmail}`);
-        }
-      }
-    } catch (emailError) {
-      console.error("⚠️ Erreur envoi email confirmation client (non bloquant):", emailError);
-    }
-
-    // Email admin
-    const adminTransporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST || "smtp.gmail.com",
-      port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 465,
-      secure: true,
-      auth: {
-        user: process.env.RECEIVER_EMAIL,
-        pass: process.env.SMTP_PASS,
-      },
-    });
-
-    await adminTransporter.sendMail({
-      from: `"VILEAU" <${process.env.RECEIVER_EMAIL}>`,
-      to: process.env.RECEIVER_EMAIL,
-      subject: `${paidAmount < totalPrice ? 'Accompte reçu' : 'Nouvelle réservation payée'}`,
-      html: `
-        <h2>${paidAmount < totalPrice ? '💰 Accompte reçu' : 'Nouvelle réservation confirmée 🎉'}</h2>
-        <p>Client : ${payerEmail}</p>
-        <p>Montant payé : <strong>${paidAmount} €</strong></p>
-        <p>Montant total : <strong>${totalPrice} €</strong></p>
-        ${paidAmount < totalPrice ? `<p><strong>⚠️ Reste à payer : ${(totalPrice - paidAmount).toFixed(2)} €</strong></p>` : ''}
-        <p>Réservation : ${updatedBooking._id}</p>
-        <p>Appartement : ${updatedBooking.apartmentId}</p>
-        <p>Période : ${new Date(updatedBooking.startDate).toLocaleDateString()} - ${new Date(updatedBooking.endDate).toLocaleDateString()}</p>
-      `,
-    });
-
-    // ✅ NOUVEAU - Email à la personne tiers (préparation logements)
-    if (process.env.THIRD_PARTY_EMAIL) {
-      try {
-        // Récupérer les infos client pour l'email tiers
-        const User = (await import("../models/users.js")).default;
-        const clientUser = await User.findById(req.user.userId);
-
-        const thirdPartyTransporter = nodemailer.createTransport({
-          host: process.env.SMTP_HOST || "smtp.gmail.com",
-          port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 465,
-          secure: true,
-          auth: {
-            user: process.env.RECEIVER_EMAIL,
-            pass: process.env.SMTP_PASS,
-          },
-        });
-
-        // Déterminer si c'est un paiement partiel ou complet
-        const isPartialPayment = paidAmount < totalPrice;
-        const paymentType = isPartialPayment ? "ACCOMPTE" : "PAIEMENT COMPLET";
-        const remainingAmount = isPartialPayment ? (totalPrice - paidAmount) : 0;
-
-        await thirdPartyTransporter.sendMail({
-          from: `"🏠 ImmoVA - Préparation" <${process.env.RECEIVER_EMAIL}>`,
-          to: process.env.THIRD_PARTY_EMAIL,
-          subject: `🔔 Nouvelle arrivée à préparer - ${updatedBooking.apartmentId}`,
-          html: `
-            <h2>🏠 Nouvelle réservation confirmée - Préparation requise</h2>
-            <hr>
-
-            <h3>📋 Informations logement :</h3>
-            <p><strong>Logement :</strong> ${updatedBooking.apartmentId}</p>
-            <p><strong>Arrivée :</strong> ${new Date(updatedBooking.startDate).toLocaleDateString("fr-FR")}</p>
-            <p><strong>Départ :</strong> ${new Date(updatedBooking.endDate).toLocaleDateString("fr-FR")}</p>
-            <p><strong>Réservation :</strong> #${updatedBooking._id}</p>
-
-            <hr>
-
-            <h3>👥 Informations client :</h3>
-            <p><strong>Nom :</strong> ${clientUser?.lastname || 'N/C'} ${clientUser?.firstname || 'N/C'}</p>
-            <p><strong>Email :</strong> ${clientUser?.email || payerEmail || 'N/C'}</p>
-            <p><strong>Téléphone :</strong> ${updatedBooking.guestDetails?.contactPhone || clientUser?.phone || 'N/C'}</p>
-
-            <hr>
-
-            <h3>🎫 Détails séjour :</h3>
-            <p><strong>Adultes :</strong> ${updatedBooking.guestDetails?.adults || 1}</p>
-            <p><strong>Enfants :</strong> ${updatedBooking.guestDetails?.children?.length || 0}</p>
-            <p><strong>Animaux :</strong> ${updatedBooking.guestDetails?.pets?.length || 0}</p>
-            <p><strong>Pack linge :</strong> ${updatedBooking.additionalServices?.linen?.included ? '✅ OUI' : '❌ NON'}</p>
-
-            <hr>
-
-            <h3>💰 Paiement :</h3>
-            <p><strong>Type :</strong> <span style="color: ${isPartialPayment ? 'orange' : 'green'}; font-weight: bold;">${paymentType}</span></p>
-            <p><strong>Montant payé :</strong> ${paidAmount} €</p>
-            <p><strong>Montant total :</strong> ${totalPrice} €</p>
-            ${isPartialPayment ? `<p><strong>⚠️ Reste à payer :</strong> <span style="color: red; font-weight: bold;">${remainingAmount.toFixed(2)} €</span></p>` : ''}
-
-            <hr>
-
-            ${updatedBooking.guestDetails?.specialRequests ? `
-            <h3>💬 Demandes spéciales :</h3>
-            <p><em>"${updatedBooking.guestDetails.specialRequests}"</em></p>
-            <hr>
-            ` : ''}
-
-            <p style="background: #e3f2fd; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <strong>📝 Action requise :</strong> Merci de préparer le logement pour l'arrivée du ${new Date(updatedBooking.startDate).toLocaleDateString("fr-FR")}.
-            </p>
-
-            <p><em>Cet email est généré automatiquement par le système ImmoVA.</em></p>
-          `,
-        });
-
-        console.log(`✅ Email de préparation envoyé à la personne tiers: ${process.env.THIRD_PARTY_EMAIL}`);
-      } catch (thirdPartyError) {
-        console.error("⚠️ Erreur envoi email personne tiers (non bloquant):", thirdPartyError);
-      }
+    // Emails déjà envoyés si le webhook a enregistré le paiement en premier
+    if (!applied.alreadyApplied) {
+      await EmailService.sendPaymentConfirmationEmails(updatedBooking, {
+        paidAmount: capture.amount,
+        payerEmail: capture.payerEmail,
+        confirmed: applied.confirmed
+      });
     }
 
     // Réponse front
@@ -498,77 +547,109 @@ router.get("/capture-paypal-order", authenticateToken, async (req, res) => {
   }
 });
 
-// --- Create PayPal Order ---
-router.post("/create-paypal-order", authenticateToken, async (req, res) => {
+// --- Pay Next Instalment ---
+// Crée la commande PayPal de la prochaine échéance (acompte, solde ou paiement unique)
+// d'une réservation acceptée ou confirmée ; create-paypal-order est l'ancien nom de la route
+router.post(["/pay-next-instalment", "/create-paypal-order"], authenticateToken, async (req, res) => {
   try {
-    const { orderId, amountToPay } = req.body;
+    const { amountToPay } = req.body;
+    // L'orderId (ancien nom) correspond à l'ID de la réservation (depuis "Mes locations")
+    const bookingId = req.body.bookingId || req.body.orderId;
 
-    // L'orderId correspond à l'ID de la réservation acceptée (depuis "Mes locations")
-    if (!orderId) {
+    if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
       return res.status(400).json({ result: false, error: "ID de réservation manquant" });
     }
 
     // Vérifier que la réservation existe et appartient à l'utilisateur connecté
-    const booking = await Booking.findOne({ 
-      _id: orderId, 
+    const booking = await Booking.findOne({
+      _id: bookingId,
       userId: req.user.userId,
-      status: "accepted" // Seules les réservations acceptées peuvent être payées
+      status: { $in: PAYABLE_STATUSES }
     });
 
     if (!booking) {
-      return res.status(404).json({ 
-        result: false, 
-        error: "Réservation non trouvée ou non autorisée pour le paiement" 
+      return res.status(404).json({
+        result: false,
+        error: "Réservation non trouvée ou non autorisée pour le paiement"
       });
     }
 
-    // Utiliser amountToPay si fourni, sinon utiliser le prix de la réservation
-    const totalPrice = amountToPay || booking.price;
-
+    // Montant fixé par le serveur : prochaine échéance de l'échéancier
+    const due = PaymentScheduleService.nextInstalment(booking);
+    if (!due) {
+      return res.status(400).json({ result: false, error: "Cette réservation est déjà réglée" });
+    }
+    const totalPrice = due.instalment.amount;
 
-    const response = await fetch(
-      "https://api-m.sandbox.paypal.com/v2/checkout/orders",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Basic ${Buffer.from(
-            `${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_SECRET}`
-          ).toString("base64")}`,
-        },
-        body: JSON.stringify({
-          intent: "CAPTURE",
-          purchase_units: [
-            { amount: { currency_code: "EUR", value: totalPrice.toFixed(2) } },
-          ],
-          application_context: {
-            return_url: `${
-              process.env.FRONTEND_URL || "http://localhost:5173"
-            }/payment?status=success`,
-            cancel_url: `${
-              process.env.FRONTEND_URL || "http://localhost:5173"
-            }/payment?status=cancel`,
-          },
-        }),
-      }
-    );
+    // amountToPay n'est qu'indicatif : un montant différent est refusé
+    if (amountToPay !== undefined && !amountsMatch(amountToPay, totalPrice)) {
+      return res.status(409).json({
+        result: false,
+        code: "AMOUNT_MISMATCH",
+        error: "Le montant à payer a changé, veuillez rafraîchir la page",
+        expectedAmount: totalPrice
+      });
+    }
 
-    const data = await response.json();
-    
-    
-    const approvalUrl = data.links?.find(
-      (link) => link.rel === "approve"
-    )?.href;
+    const orderResult = await getPaymentProvider().createOrder({
+      amount: totalPrice,
+      currency: PAYMENT_CURRENCY,
+      reference: booking._id,
+      returnUrl: `${
+        process.env.FRONTEND_URL || "http://localhost:5173"
+      }/payment?status=success`,
+      cancelUrl: `${
+        process.env.FRONTEND_URL || "http://localhost:5173"
+      }/payment?status=cancel`,
+    });
 
-    if (!approvalUrl) {
+    if (!orderResult.success) {
       return res.json({
         result: false,
         error: "Erreur création commande PayPal",
-        data,
+        data: orderResult.raw,
       });
     }
 
-    res.json({ result: true, orderId: data.id, approvalUrl, totalPrice, paypalOrderId: data.id });
+    const { id: paypalOrderId, approvalUrl } = orderResult.order;
+
+    await LedgerService.record({
+      type: "authorization",
+      provider: getPaymentProvider().name,
+      providerReference: paypalOrderId,
+      amount: totalPrice,
+      currency: PAYMENT_CURRENCY,
+      booking: booking._id,
+      instalment: due.index,
+      status: "pending",
+      raw: orderResult.order.raw
+    });
+
+    // Lier la commande PayPal à la réservation et au montant attendu
+    await Booking.updateOne(
+      { _id: booking._id },
+      {
+        $set: {
+          paypalOrderId,
+          expectedPayment: {
+            amount: totalPrice,
+            currency: PAYMENT_CURRENCY,
+            instalment: due.index,
+            createdAt: new Date()
+          }
+        }
+      }
+    );
+
+    res.json({
+      result: true,
+      orderId: paypalOrderId,
+      approvalUrl,
+      totalPrice,
+      paypalOrderId,
+      instalment: due.instalment,
+      balanceDue: booking.balanceDue ?? roundAmount((booking.totalPrice || booking.price) - (booking.paidAmount || 0))
+    });
   } catch (err) {
     console.error("Erreur PayPal:", err);
     res.status(500).json({ result: false, error: "Erreur serveur" });
@@ -0,0 +1,57 @@
+import express from "express";
+import crypto from "crypto";
+import { OrderService } from "../services/orderService.js";
+import { PaymentScheduleService } from "../services/paymentScheduleService.js";
+
+const router = express.Router();
+
+// ======================================
+// --- SCHEDULED TASKS (Vercel Cron) ---
+// ======================================
+
+// Vercel Cron envoie "Authorization: Bearer <CRON_SECRET>"
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret || ""}`);
+  const received = Buffer.from(req.headers.authorization || "");
+
+  if (
+    !secret ||
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return res.status(401).json({ result: false, error: "Non autorisé" });
+  }
+
+  next();
+}
+
+// --- Expire Unpaid Orders ---
+// Les commandes impayées sont aussi libérées à la lecture : nuits reprises à la réservation
+// (verrous périmés), utilisations de code promo rendues à sa vérification. Cette tâche
+// quotidienne solde le reste (statut des commandes et réservations temporaires)
+router.get("/expire-orders", requireCronSecret, async (req, res) => {
+  try {
+    const expired = await OrderService.expireOverdue();
+    console.log(`⏰ [CRON] ${expired} commande(s) expirée(s)`);
+    res.json({ result: true, expired });
+  } catch (err) {
+    console.error("❌ Erreur expiration commandes:", err);
+    res.status(500).json({ result: false, error: "Erreur serveur" });
+  }
+});
+
+// --- Payment Reminders ---
+// Rappel avant chaque échéance d'acompte ou de solde, puis signalement des retards
+router.get("/payment-reminders", requireCronSecret, async (req, res) => {
+  try {
+    const { reminded, overdue } = await PaymentScheduleService.processDueInstalments();
+    console.log(`⏰ [CRON] ${reminded} rappel(s) de paiement, ${overdue} échéance(s) en retard`);
+    res.json({ result: true, reminded, overdue });
+  } catch (err) {
+    console.error("❌ Erreur rappels de paiement:", err);
+    res.status(500).json({ result: false, error: "Erreur serveur" });
+  }
+});
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import DiscountRule, { DISCOUNT_TYPES } from '../models/discountRule.js';
+import { PropertyService } from '../services/propertyService.js';
+
+const router = express.Router();
+
+// Champs modifiables d'une règle de réduction
+const EDITABLE_FIELDS = [
+  'property',
+  'name',
+  'type',
+  'valueType',
+  'value',
+  'minNights',
+  'minDaysBeforeArrival',
+  'maxDaysBeforeArrival',
+  'validFrom',
+  'validTo',
+  'isActive'
+];
+
+// Extrait les champs modifiables et normalise le logement (null = tous)
+async function parseDiscountBody(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+
+  if (data.type !== undefined && !DISCOUNT_TYPES.includes(data.type)) {
+    return { error: `Type de réduction invalide (${DISCOUNT_TYPES.join(', ')})` };
+  }
+
+  if (data.property !== undefined && data.property !== null && data.property !== '') {
+    const propertyDoc = await PropertyService.resolve(data.property);
+    if (!propertyDoc) {
+      return { error: 'Propriété invalide' };
+    }
+    data.property = propertyDoc.slug;
+  } else if (data.property === '') {
+    data.property = null;
+  }
+
+  return { data };
+}
+
+// GET - Lister les règles de réduction (filtre optionnel ?property=)
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.property) {
+      const propertyDoc = await PropertyService.resolve(req.query.property);
+      if (!propertyDoc) {
+        return res.status(400).json({ message: 'Propriété invalide' });
+      }
+      filter.property = { $in: [propertyDoc.slug, null] };
+    }
+
+    const rules = await DiscountRule.find(filter).sort({ type: 1, createdAt: -1 }).lean();
+    res.json(rules);
+  } catch (error) {
+    console.error('Erreur récupération réductions:', error);
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
+
+// POST - Créer une règle de réduction
+router.post('/', async (req, res) => {
+  try {
+    const { data, error } = await parseDiscountBody(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (!data.name || !data.type || data.value === undefined) {
+      return res.status(400).json({ message: 'Champs requis: name, type, value' });
+    }
+
+    const discountRule = await DiscountRule.create(data);
+
+    console.log(`🏷️ [DISCOUNT] Règle créée: ${discountRule.name} (${discountRule.type})`);
+
+    res.status(201).json(discountRule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Erreur création réduction:', error);
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
+
+// PUT - Modifier une règle de réduction
+router.put('/:id', async (req, res) => {
+  try {
+    const discountRule = await DiscountRule.findById(req.params.id);
+    if (!discountRule) {
+      return res.status(404).json({ message: 'Règle de réduction non trouvée' });
+    }
+
+    const { data, error } = await parseDiscountBody(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    discountRule.set(data);
+    await discountRule.save();
+
+    res.json(discountRule);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
+
+// DELETE - Supprimer une règle de réduction
+router.delete('/:id', async (req, res) => {
+  try {
+    const discountRule = await DiscountRule.findByIdAndDelete(req.params.id);
+
+    if (!discountRule) {
+      return res.status(404).json({ message: 'Règle de réduction non trouvée' });
+    }
+
+    res.json({ message: 'Règle de réduction supprimée avec succès' });
+  } catch (error) {
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
+
+// PATCH - Activer/désactiver une règle de réduction
+router.patch('/:id/toggle', async (req, res) => {
+  try {
+    const discountRule = await DiscountRule.findById(req.params.id);
+
+    if (!discountRule) {
+      return res.status(404).json({ message: 'Règle de réduction non trouvée' });
+    }
+
+    discountRule.isActive = !discountRule.isActive;
+    await discountRule.save();
+
+    res.json(discountRule);
+  } catch (error) {
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from "express";
-import GlobalSettings from "../models/globalSettings.js";
+import GlobalSettings, { PROPERTY_SETTING_PREFIXES } from "../models/globalSettings.js";
 import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { PropertyService } from "../services/propertyService.js";
 
 const router = express.Router();
 
@@ -34,26 +35,16 @@ router.get("/fees/:property", async (req, res) => {
   try {
     const { property } = req.params;
 
-    // Valider la propriété
-    if (!['valery', 'touquet'].includes(property)) {
+    // Valider la propriété (clé courte, slug ou nom)
+    const propertyDoc = await PropertyService.resolve(property);
+    if (!propertyDoc) {
       return res.status(400).json({
         result: false,
-        error: "Propriété invalide. Utilisez 'valery' ou 'touquet'"
+        error: "Propriété invalide"
       });
     }
 
-    // ✅ CORRECTION - Récupérer les bonnes clés séparées
-    const cleaningKey = `cleaning_fee_${property}`;
-    const linenKey = `linen_option_price_${property}`;
-
-    // Récupérer les paramètres individuellement
-    const [cleaningSetting, linenSetting] = await Promise.all([
-      GlobalSettings.findOne({ settingKey: cleaningKey }),
-      GlobalSettings.findOne({ settingKey: linenKey })
-    ]);
-
-    const cleaningFee = cleaningSetting?.settingValue || 50;
-    const linenFee = linenSetting?.settingValue || 50;
+    const { cleaningFee, linenFee } = await PropertyService.getFees(propertyDoc);
 
     console.log(`🔧 [FEES] ${property}: cleaning=${cleaningFee}, linen=${linenFee}`);
 
@@ -150,37 +141,33 @@ router.get("/property/:property", async (req, res) => {
     const { property } = req.params;
 
     // Valider la propriété
-    if (!["valery", "touquet"].includes(property)) {
+    const propertyDoc = await PropertyService.resolve(property);
+    if (!propertyDoc) {
       return res.status(400).json({
         result: false,
-        error: "Propriété non valide. Utiliser 'valery' ou 'touquet'"
+        error: "Propriété non valide"
       });
     }
+    const settingsKey = propertyDoc.settingsKey;
 
     // Récupérer les paramètres spécifiques à la propriété
     const propertySettings = await GlobalSettings.find({
       settingKey: {
-        $in: [
-          `cleaning_fee_${property}`,
-          `linen_option_price_${property}`,
-          `minimum_nights_${property}`,
-          `fixed_arrival_days_${property}`,
-          `fixed_departure_days_${property}`
-        ]
+        $in: PROPERTY_SETTING_PREFIXES.map(prefix => `${prefix}_${settingsKey}`)
       }
     }).select("-updatedBy");
 
-    // Transformer en objet plus pratique
+    // Transformer en objet plus pratique (valeurs par défaut du logement)
     const settingsObject = {
-      cleaning_fee: 0,
-      linen_option_price: 25,
+      cleaning_fee: propertyDoc.fees?.cleaning ?? 0,
+      linen_option_price: propertyDoc.fees?.linen ?? 25,
       minimum_nights: 1,
       fixed_arrival_days: [],
       fixed_departure_days: []
     };
 
     propertySettings.forEach(setting => {
-      const key = setting.settingKey.replace(`_${property}`, '');
+      const key = setting.settingKey.replace(`_${settingsKey}`, '');
       settingsObject[key] = setting.settingValue;
     });
 
@@ -206,12 +193,14 @@ router.post("/property/:property", authenticateToken, requireRole(["admin"]), as
     const { settings } = req.body;
 
     // Valider la propriété
-    if (!["valery", "touquet"].includes(property)) {
+    const propertyDoc = await PropertyService.resolve(property);
+    if (!propertyDoc) {
       return res.status(400).json({
         result: false,
-        error: "Propriété non valide. Utiliser 'valery' ou 'touquet'"
+        error: "Propriété non valide"
       });
     }
+    const settingsKey = propertyDoc.settingsKey;
 
     if (!settings || typeof settings !== 'object') {
       return res.status(400).json({
@@ -222,17 +211,26 @@ router.post("/property/:property", authenticateToken, requireRole(["admin"]), as
 
     const updatedSettings = [];
 
+    // Refuser les clés qui ne sont pas des paramètres de propriété
+    const unknownKeys = Object.keys(settings).filter(key => !PROPERTY_SETTING_PREFIXES.includes(key));
+    if (unknownKeys.length > 0) {
+      return res.status(400).json({
+        result: false,
+        error: `Paramètres inconnus: ${unknownKeys.join(", ")}`
+      });
+    }
+
     // Mettre à jour chaque paramètre
     for (const [key, value] of Object.entries(settings)) {
-      const settingKey = `${key}_${property}`;
+      const settingKey = `${key}_${settingsKey}`;
 
       // Descriptions par défaut
       const descriptions = {
-        [`cleaning_fee_${property}`]: `Frais de ménage pour ${property}`,
-        [`linen_option_price_${property}`]: `Prix option linge pour ${property}`,
-        [`minimum_nights_${property}`]: `Nombre minimum de nuits pour ${property}`,
-        [`fixed_arrival_days_${property}`]: `Jours d'arrivée autorisés pour ${property}`,
-        [`fixed_departure_days_${property}`]: `Jours de départ autorisés pour ${property}`
+        [`cleaning_fee_${settingsKey}`]: `Frais de ménage pour ${propertyDoc.name}`,
+        [`linen_option_price_${settingsKey}`]: `Prix option linge pour ${propertyDoc.name}`,
+        [`minimum_nights_${settingsKey}`]: `Nombre minimum de nuits pour ${propertyDoc.name}`,
+        [`fixed_arrival_days_${settingsKey}`]: `Jours d'arrivée autorisés pour ${propertyDoc.name}`,
+        [`fixed_departure_days_${settingsKey}`]: `Jours de départ autorisés pour ${propertyDoc.name}`
       };
 
       const setting = await GlobalSettings.findOneAndUpdate(
@@ -0,0 +1,40 @@
+import express from "express";
+import { getWebhookVerifier } from "../services/payments/index.js";
+import { PaymentWebhookService } from "../services/paymentWebhookService.js";
+
+const router = express.Router();
+
+// ======================================
+// --- PAYMENT PROVIDER WEBHOOKS ---
+// ======================================
+
+// --- PayPal Webhook ---
+// Déclarer https://<api>/payments/webhooks/paypal chez PayPal (événements PAYMENT.CAPTURE.*)
+// et renseigner son ID dans PAYPAL_WEBHOOK_ID. Toute réponse hors 2xx est relivrée par PayPal.
+router.post("/paypal", async (req, res) => {
+  try {
+    const verification = await getWebhookVerifier().verify({
+      headers: req.headers,
+      rawBody: req.rawBody,
+    });
+    if (!verification.success) {
+      console.error(`❌ [WEBHOOK] Signature PayPal refusée: ${verification.code}`);
+      return res
+        .status(401)
+        .json({ result: false, code: verification.code, error: verification.error });
+    }
+
+    const result = await PaymentWebhookService.processPaypalEvent(req.body);
+    if (!result.success) {
+      // Événement en cours de traitement : une réponse d'erreur fait relivrer PayPal plus tard
+      return res.status(result.code === "EVENT_IN_PROGRESS" ? 409 : 400).json({ result: false, code: result.code, error: result.error });
+    }
+
+    res.json({ result: true, outcome: result.outcome, duplicate: result.duplicate });
+  } catch (err) {
+    console.error("❌ Erreur webhook PayPal:", err);
+    res.status(500).json({ result: false, error: "Erreur serveur" });
+  }
+});
+
+export default router;
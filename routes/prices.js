@@ -2,20 +2,244 @@ import express from 'express';
 import PriceRule from '../models/priceRule.js';
 import { authenticateToken as auth } from '../middleware/auth.js';
 import { PriceCacheService } from '../services/priceCache.js';
+import { PropertyService } from '../services/propertyService.js';
+import { PriceRuleService, describeOverlap, rulesOverlap } from '../services/priceRuleService.js';
+import { PricingAdvisorService } from '../services/pricingAdvisorService.js';
+import { normalizeWeekdays } from '../services/stayRulesService.js';
+import { toCsv, parseCsv } from '../modules/csv.js';
+import { formatDateKey, parsePeriod } from '../modules/dateUtils.js';
 
 const router = express.Router();
 
+// Extrait et valide les contraintes de séjour optionnelles d'une règle
+function parseStayConstraints(body) {
+  const constraints = {};
+
+  for (const field of ['minNights', 'maxNights']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      constraints[field] = null; // Retour à la valeur du logement
+      continue;
+    }
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 1) {
+      return { error: `${field} doit être un entier positif` };
+    }
+    constraints[field] = value;
+  }
+
+  for (const field of ['arrivalDays', 'departureDays']) {
+    if (body[field] !== undefined) {
+      constraints[field] = normalizeWeekdays(body[field]);
+    }
+  }
+
+  if (constraints.minNights && constraints.maxNights && constraints.minNights > constraints.maxNights) {
+    return { error: 'minNights ne peut pas dépasser maxNights' };
+  }
+
+  return { constraints };
+}
+
+// Mode aperçu : ?dryRun=true ou { dryRun: true } dans le corps
+const isDryRun = (req) => req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+// Types de règles acceptés (voir models/priceRule.js)
+const RULE_TYPES = ['period', 'weekday', 'holiday', 'weekend'];
+const RULE_TYPE_FIELDS = ['type', 'pricePerNight', 'weekdayPrices', 'weekendDays', 'surchargeAmount', 'surchargePercent'];
+
+// Extrait et valide les champs propres au type de règle
+function parseRuleTypeFields(body, type) {
+  if (!RULE_TYPES.includes(type)) {
+    return { error: `Type de règle invalide (${RULE_TYPES.join(', ')})` };
+  }
+
+  const fields = { type };
+
+  if (type === 'period' || type === 'holiday') {
+    const price = Number(body.pricePerNight);
+    if (body.pricePerNight === undefined || body.pricePerNight === '' || !Number.isFinite(price) || price < 0) {
+      return { error: 'pricePerNight requis pour ce type de règle' };
+    }
+    fields.pricePerNight = price;
+  }
+
+  if (type === 'weekday') {
+    const entries = Array.isArray(body.weekdayPrices) ? body.weekdayPrices : [];
+    const weekdayPrices = [];
+    for (const entry of entries) {
+      const [day] = normalizeWeekdays(entry?.day);
+      const price = Number(entry?.price);
+      if (day === undefined || !Number.isFinite(price) || price < 0) {
+        return { error: 'weekdayPrices doit contenir des entrées { day, price } valides' };
+      }
+      weekdayPrices.push({ day, price });
+    }
+    if (weekdayPrices.length === 0) {
+      return { error: 'weekdayPrices requis pour une règle weekday' };
+    }
+    if (new Set(weekdayPrices.map(p => p.day)).size !== weekdayPrices.length) {
+      return { error: 'Un même jour apparaît plusieurs fois dans weekdayPrices' };
+    }
+    fields.weekdayPrices = weekdayPrices;
+  }
+
+  if (type === 'weekend') {
+    for (const field of ['surchargeAmount', 'surchargePercent']) {
+      if (body[field] === undefined || body[field] === null || body[field] === '') continue;
+      const value = Number(body[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: `${field} doit être un nombre positif` };
+      }
+      fields[field] = value;
+    }
+    if (!fields.surchargeAmount && !fields.surchargePercent) {
+      return { error: 'surchargeAmount ou surchargePercent requis pour une règle weekend' };
+    }
+    if (body.weekendDays !== undefined) {
+      fields.weekendDays = normalizeWeekdays(body.weekendDays);
+    }
+  }
+
+  return { fields };
+}
+
+// Une règle "holiday" peut couvrir une seule nuit (début = fin)
+function checkRuleDates(start, end, type) {
+  if (isNaN(start) || isNaN(end)) {
+    return 'Dates invalides';
+  }
+  if (type === 'holiday' ? start > end : start >= end) {
+    return 'La date de fin doit être postérieure à la date de début';
+  }
+  return null;
+}
+
+// Construit et valide une règle (non enregistrée) à partir des champs reçus
+async function buildPriceRule(input) {
+  const { name, startDate, endDate, priority } = input;
+  const type = input.type || 'period';
+  
+  if (!input.property || !name || !startDate || !endDate) {
+    return { error: 'Champs requis: property, name, startDate, endDate' };
+  }
+  
+  const { fields: typeFields, error: typeError } = parseRuleTypeFields(input, type);
+  if (typeError) {
+    return { error: typeError };
+  }
+  
+  const propertyDoc = await PropertyService.resolve(input.property);
+  if (!propertyDoc) {
+    return { error: 'Propriété invalide' };
+  }
+  
+  const { constraints, error: constraintsError } = parseStayConstraints(input);
+  if (constraintsError) {
+    return { error: constraintsError };
+  }
+  
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const datesError = checkRuleDates(start, end, type);
+  if (datesError) {
+    return { error: datesError };
+  }
+  
+  const priceRule = new PriceRule({
+    property: propertyDoc.slug,
+    name,
+    startDate: start,
+    endDate: end,
+    priority: Number(priority) || 0,
+    ...(input.isActive !== undefined && { isActive: input.isActive }),
+    ...typeFields,
+    ...constraints
+  });
+  
+  try {
+    await priceRule.validate();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { error: error.message };
+    }
+    throw error;
+  }
+  
+  return { priceRule };
+}
+
+// Colonnes de l'export/import (jours : 0 = dimanche, listes séparées par "|")
+const EXPORT_COLUMNS = [
+  'name', 'type', 'startDate', 'endDate', 'pricePerNight', 'priority', 'isActive',
+  'weekdayPrices', 'weekendDays', 'surchargeAmount', 'surchargePercent',
+  'minNights', 'maxNights', 'arrivalDays', 'departureDays'
+];
+const MAX_IMPORT_ROWS = 1000;
+
+// Règle -> ligne d'export (CSV : listes aplaties, ex. weekdayPrices "1:90|5:130")
+function ruleToRow(rule, flatten) {
+  const joinList = (list) => (list?.length ? list.join('|') : undefined);
+  const weekdayPrices = rule.weekdayPrices?.length ? rule.weekdayPrices.map(p => ({ day: p.day, price: p.price })) : undefined;
+
+  return {
+    name: rule.name,
+    type: rule.type || 'period',
+    startDate: formatDateKey(rule.startDate),
+    endDate: formatDateKey(rule.endDate),
+    pricePerNight: rule.pricePerNight,
+    priority: rule.priority || 0,
+    isActive: rule.isActive,
+    weekdayPrices: flatten ? joinList(weekdayPrices?.map(p => `${p.day}:${p.price}`)) : weekdayPrices,
+    weekendDays: flatten ? joinList(rule.weekendDays) : rule.weekendDays,
+    surchargeAmount: rule.surchargeAmount,
+    surchargePercent: rule.surchargePercent,
+    minNights: rule.minNights,
+    maxNights: rule.maxNights,
+    arrivalDays: flatten ? joinList(rule.arrivalDays) : rule.arrivalDays,
+    departureDays: flatten ? joinList(rule.departureDays) : rule.departureDays
+  };
+}
+
+// Ligne importée (CSV ou JSON) -> champs attendus par buildPriceRule
+function rowToInput(row) {
+  const input = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (value !== '' && value !== null && value !== undefined) {
+      input[key] = value;
+    }
+  }
+  
+  const splitList = (value) => (typeof value === 'string' ? value.split('|').map(v => v.trim()) : value);
+  for (const field of ['weekendDays', 'arrivalDays', 'departureDays']) {
+    if (input[field] !== undefined) input[field] = splitList(input[field]);
+  }
+  
+  if (typeof input.weekdayPrices === 'string') {
+    input.weekdayPrices = splitList(input.weekdayPrices).map(entry => {
+      const [day, price] = entry.split(':');
+      return { day: day?.trim(), price: price?.trim() };
+    });
+  }
+  
+  if (typeof input.isActive === 'string') {
+    input.isActive = ['true', '1', 'oui', 'yes'].includes(input.isActive.toLowerCase());
+  }
+  
+  return input;
+}
+
 // GET - Récupérer toutes les règles de prix pour une propriété (avec cache)
 router.get('/:property', auth, async (req, res) => {
   try {
-    const { property } = req.params;
+    const propertyDoc = await PropertyService.resolve(req.params.property);
     
-    if (!['valery-sources-baie', 'touquet-pinede'].includes(property)) {
+    if (!propertyDoc) {
       return res.status(400).json({ message: 'Propriété invalide' });
     }
     
     // Utilisation du cache pour améliorer les performances
-    const rules = await PriceCacheService.getPriceRules(property);
+    const rules = await PriceCacheService.getPriceRules(propertyDoc.slug);
     
     res.json(rules);
   } catch (error) {
@@ -27,14 +251,15 @@ router.get('/:property', auth, async (req, res) => {
 // GET - Récupérer le prix pour une date spécifique (avec cache)
 router.get('/:property/date/:date', async (req, res) => {
   try {
-    const { property, date } = req.params;
+    const { date } = req.params;
+    const propertyDoc = await PropertyService.resolve(req.params.property);
     
-    if (!['valery-sources-baie', 'touquet-pinede'].includes(property)) {
+    if (!propertyDoc) {
       return res.status(400).json({ message: 'Propriété invalide' });
     }
     
     // Utilisation du cache pour les calculs de prix
-    const priceData = await PriceCacheService.getPriceForDate(property, date);
+    const priceData = await PriceCacheService.getPriceForDate(propertyDoc.slug, date);
     res.json(priceData);
   } catch (error) {
     console.error('Erreur calcul prix pour date:', error);
@@ -45,103 +270,327 @@ router.get('/:property/date/:date', async (req, res) => {
 // GET - Récupérer les prix pour une période
 router.get('/:property/period/:startDate/:endDate', async (req, res) => {
   try {
-    const { property, startDate, endDate } = req.params;
+    const { startDate, endDate } = req.params;
+    const propertyDoc = await PropertyService.resolve(req.params.property);
     
-    if (!['valery-sources-baie', 'touquet-pinede'].includes(property)) {
+    if (!propertyDoc) {
       return res.status(400).json({ message: 'Propriété invalide' });
     }
     
-    const prices = await PriceRule.getPricesForPeriod(property, startDate, endDate);
+    const period = parsePeriod(startDate, endDate);
+    if (period.error) {
+      return res.status(400).json({ message: period.error });
+    }
+
+    const property = propertyDoc.slug;
+    // Règles chargées une fois, nuits résolues en mémoire (cache par période)
+    const prices = await PriceCacheService.getPricesForPeriod(property, period.start, period.end);
     res.json({ property, startDate, endDate, prices });
   } catch (error) {
     res.status(500).json({ message: 'Erreur serveur', error: error.message });
   }
 });
 
-// POST - Créer une nouvelle règle de prix
-router.post('/', auth, async (req, res) => {
+// GET - Exporter les règles d'une propriété (?format=csv|json)
+router.get('/:property/export', auth, async (req, res) => {
+  try {
+    const propertyDoc = await PropertyService.resolve(req.params.property);
+    if (!propertyDoc) {
+      return res.status(400).json({ message: 'Propriété invalide' });
+    }
+    
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const rules = await PriceRule.find({ property: propertyDoc.slug })
+      .sort({ startDate: 1, priority: -1 })
+      .lean();
+    
+    if (format === 'csv') {
+      const csv = toCsv(rules.map(rule => ruleToRow(rule, true)), EXPORT_COLUMNS);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="price-rules-${propertyDoc.slug}.csv"`);
+      return res.send(csv);
+    }
+    
+    res.json({
+      property: propertyDoc.slug,
+      exportedAt: new Date().toISOString(),
+      rules: rules.map(rule => ruleToRow(rule, false))
+    });
+  } catch (error) {
+    console.error('Erreur export règles de prix:', error);
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
+
+// POST - Importer des règles pour une propriété
+// Corps : { format: 'csv', content: '...' } ou { format: 'json', rules: [...] }
+// ?mode=atomic : rien n'est enregistré si une ligne est invalide
+router.post('/:property/import', auth, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ message: 'Accès non autorisé' });
     }
     
-    const {
-      property,
-      name,
-      startDate,
-      endDate,
-      pricePerNight,
-      priority
-    } = req.body;
+    const propertyDoc = await PropertyService.resolve(req.params.property);
+    if (!propertyDoc) {
+      return res.status(400).json({ message: 'Propriété invalide' });
+    }
     
-    // Validation des champs requis
-    if (!property || !name || !startDate || !endDate || !pricePerNight) {
-      return res.status(400).json({ 
-        message: 'Champs requis: property, name, startDate, endDate, pricePerNight' 
-      });
+    const atomic = (req.query.mode || req.body.mode) === 'atomic';
+    const format = req.body.format === 'csv' ? 'csv' : 'json';
+    
+    let rows;
+    if (format === 'csv') {
+      rows = parseCsv(req.body.content);
+    } else {
+      rows = typeof req.body.content === 'string' ? JSON.parse(req.body.content) : req.body.rules;
+      rows = Array.isArray(rows) ? rows : rows?.rules;
+    }
+    
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ message: 'Aucune règle à importer' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Import limité à ${MAX_IMPORT_ROWS} règles` });
+    }
+    
+    // Valider chaque ligne (numéro de ligne du fichier : en-tête CSV = ligne 1)
+    const accepted = [];
+    const errors = [];
+    for (const [index, row] of rows.entries()) {
+      const line = format === 'csv' ? index + 2 : index + 1;
+      const input = rowToInput(row);
+      
+      if (input.property) {
+        const rowProperty = await PropertyService.resolve(input.property);
+        if (rowProperty?.slug !== propertyDoc.slug) {
+          errors.push({ row: line, name: input.name, error: 'Ligne destinée à une autre propriété' });
+          continue;
+        }
+      }
+      
+      const { priceRule, error } = await buildPriceRule({ ...input, property: propertyDoc.slug });
+      if (error) {
+        errors.push({ row: line, name: input.name, error });
+        continue;
+      }
+      
+      // Même priorité sur la même période, en base ou plus haut dans le fichier
+      const conflicts = [
+        ...(await PriceRuleService.findOverlaps(priceRule)),
+        ...accepted.filter(other => other.isActive && rulesOverlap(priceRule, other)).map(other => describeOverlap(priceRule, other))
+      ].filter(overlap => overlap.ambiguous);
+      if (conflicts.length > 0) {
+        errors.push({
+          row: line,
+          name: input.name,
+          error: `Conflit avec une règle de même priorité: ${conflicts.map(c => c.name).join(', ')}`
+        });
+        continue;
+      }
+      
+      accepted.push(priceRule);
     }
     
-    // Vérifier les dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    console.log(`📥 [PRICE RULE] Import ${propertyDoc.slug}: ${accepted.length} valides, ${errors.length} en erreur (${atomic ? 'atomique' : 'partiel'})`);
+    
+    if (isDryRun(req)) {
+      return res.json({ dryRun: true, valid: accepted.length, errors });
+    }
     
-    if (start >= end) {
-      return res.status(400).json({ 
-        message: 'La date de fin doit être postérieure à la date de début' 
+    if (atomic && errors.length > 0) {
+      return res.status(400).json({
+        message: 'Import annulé : certaines lignes sont invalides',
+        imported: 0,
+        errors
       });
     }
     
-    // Vérifier les conflits de dates pour les règles de période
-    console.log(`🔍 [PRICE RULE] Vérification conflits pour ${property} du ${startDate} au ${endDate}`);
-
-    const conflictingRules = await PriceRule.find({
-      property,
-      isActive: true,
-      $or: [
-        {
-          startDate: { $lte: end },
-          endDate: { $gte: start }
+    if (accepted.length > 0) {
+      try {
+        await PriceRule.insertMany(accepted);
+      } catch (insertError) {
+        // Mode atomique : retirer ce qui a pu être inséré avant l'échec
+        if (atomic) {
+          await PriceRule.deleteMany({ _id: { $in: accepted.map(rule => rule._id) } });
         }
-      ]
+        throw insertError;
+      } finally {
+        // Une seule invalidation pour tout l'import
+        PriceCacheService.invalidatePriceCache(propertyDoc.slug);
+      }
+    }
+    
+    res.status(accepted.length > 0 ? 201 : 400).json({
+      message: `${accepted.length} règle(s) importée(s)`,
+      imported: accepted.length,
+      errors
     });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ message: 'JSON invalide' });
+    }
+    console.error('Erreur import règles de prix:', error);
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
 
-    console.log(`🔍 [PRICE RULE] Conflits trouvés: ${conflictingRules.length}`);
-    if (conflictingRules.length > 0) {
-      console.log(`🔍 [PRICE RULE] Règles en conflit:`, conflictingRules.map(r => ({
-        name: r.name,
-        startDate: r.startDate,
-        endDate: r.endDate,
-        priority: r.priority
-      })));
+// POST - Reporter les règles d'une année sur l'année suivante
+// Corps : { fromYear, toYear?, increasePercent? } — règles créées inactives (batchId)
+router.post('/:property/roll-forward', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Accès non autorisé' });
+    }
+    
+    const propertyDoc = await PropertyService.resolve(req.params.property);
+    if (!propertyDoc) {
+      return res.status(400).json({ message: 'Propriété invalide' });
+    }
+    
+    const fromYear = Number(req.body.fromYear);
+    const toYear = req.body.toYear !== undefined ? Number(req.body.toYear) : fromYear + 1;
+    const increasePercent = Number(req.body.increasePercent || 0);
+    
+    if (!Number.isInteger(fromYear) || !Number.isInteger(toYear) || toYear <= fromYear) {
+      return res.status(400).json({ message: 'fromYear requis et toYear doit être postérieure' });
+    }
+    if (!Number.isFinite(increasePercent) || increasePercent < -50 || increasePercent > 100) {
+      return res.status(400).json({ message: 'increasePercent doit être compris entre -50 et 100' });
+    }
+    
+    const dryRun = isDryRun(req);
+    const { batchId, rules, skipped } = await PriceRuleService.rollForward(propertyDoc.slug, {
+      fromYear,
+      toYear,
+      increasePercent,
+      dryRun
+    });
+    
+    console.log(`📅 [PRICE RULE] Report ${propertyDoc.slug} ${fromYear} -> ${toYear}: ${rules.length} règle(s)${dryRun ? ' (aperçu)' : ''}`);
+    
+    if (!dryRun && rules.length > 0) {
+      PriceCacheService.invalidatePriceCache(propertyDoc.slug);
+    }
+    
+    res.status(dryRun || rules.length === 0 ? 200 : 201).json({
+      message: `${rules.length} règle(s) reportée(s) sur ${toYear}, à activer après vérification`,
+      dryRun,
+      batchId,
+      rules,
+      skipped
+    });
+  } catch (error) {
+    console.error('Erreur report règles de prix:', error);
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
 
-      return res.status(409).json({
-        message: 'Conflit détecté avec une règle existante',
-        conflictingRules: conflictingRules.map(r => ({
-          name: r.name,
-          startDate: r.startDate,
-          endDate: r.endDate,
-          priority: r.priority
-        }))
-      });
+// GET - Suggestions de prix selon l'occupation (?weeks=12)
+router.get('/:property/advisor', auth, async (req, res) => {
+  try {
+    const propertyDoc = await PropertyService.resolve(req.params.property);
+    if (!propertyDoc) {
+      return res.status(400).json({ message: 'Propriété invalide' });
     }
     
-    const priceRule = new PriceRule({
-      property,
-      name,
-      startDate: start,
-      endDate: end,
-      pricePerNight: Number(pricePerNight),
-      priority: priority || 0,
-      type: 'period'
+    const suggestions = await PricingAdvisorService.getSuggestions(propertyDoc, {
+      weeks: req.query.weeks
     });
     
+    res.json({ property: propertyDoc.slug, generatedAt: new Date().toISOString(), suggestions });
+  } catch (error) {
+    console.error('Erreur suggestions de prix:', error);
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
+
+// POST - Accepter une suggestion : crée une règle prioritaire sur la semaine
+// Corps : { weekStart: 'YYYY-MM-DD' } (lundi de la semaine suggérée)
+router.post('/:property/advisor/accept', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Accès non autorisé' });
+    }
+    
+    const propertyDoc = await PropertyService.resolve(req.params.property);
+    if (!propertyDoc) {
+      return res.status(400).json({ message: 'Propriété invalide' });
+    }
+    
+    const result = await PricingAdvisorService.acceptSuggestion(propertyDoc, req.body.weekStart);
+    if (!result.success) {
+      return res.status(result.code === 'NO_SUGGESTION' ? 409 : 400).json({
+        message: result.error,
+        code: result.code
+      });
+    }
+    
+    PriceCacheService.invalidatePriceCache(propertyDoc.slug);
+    
+    console.log(`📈 [PRICE RULE] Suggestion acceptée pour ${propertyDoc.slug}: ${result.priceRule.name}`);
+    
+    res.status(201).json({ priceRule: result.priceRule, suggestion: result.suggestion });
+  } catch (error) {
+    console.error('Erreur acceptation suggestion:', error);
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
+
+// POST - Créer une nouvelle règle de prix
+router.post('/', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Accès non autorisé' });
+    }
+    
+    const { startDate, endDate } = req.body;
+    
+    const { priceRule, error: ruleError } = await buildPriceRule(req.body);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+    const { property, type } = priceRule;
+    
+    // Règles actives qui chevauchent la nouvelle période
+    console.log(`🔍 [PRICE RULE] Vérification chevauchements ${type} pour ${property} du ${startDate} au ${endDate}`);
+    const overlappingRules = await PriceRuleService.findOverlaps(priceRule);
+    const conflictingRules = overlappingRules.filter(rule => rule.ambiguous);
+    console.log(`🔍 [PRICE RULE] Chevauchements: ${overlappingRules.length}, dont ${conflictingRules.length} de même priorité`);
+    
+    // Aperçu sans enregistrement : prix par nuit avant/après
+    if (isDryRun(req)) {
+      const previews = await PriceRuleService.previewChange({
+        next: { ...priceRule.toObject(), createdAt: new Date() }
+      });
+      return res.json({
+        dryRun: true,
+        rule: priceRule,
+        overlappingRules,
+        conflictingRules,
+        previews
+      });
+    }
+    
+    // Même priorité sur la même période : l'ordre de création déciderait en silence
+    if (conflictingRules.length > 0) {
+      return res.status(409).json({
+        message: 'Conflit détecté avec une règle existante de même priorité',
+        conflictingRules,
+        overlappingRules
+      });
+    }
+    
     await priceRule.save();
     
     // Invalider le cache après création
     PriceCacheService.invalidatePriceCache(property);
     
-    res.status(201).json(priceRule);
+    res.status(201).json({ ...priceRule.toObject(), overlappingRules });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Erreur création règle de prix:', error);
     res.status(500).json({ message: 'Erreur serveur', error: error.message });
   }
@@ -155,35 +604,97 @@ router.put('/:id', auth, async (req, res) => {
     }
     
     const { id } = req.params;
-    const updates = req.body;
+    const { _id, createdAt, updatedAt, __v, dryRun, ...updates } = req.body;
+    
+    const priceRule = await PriceRule.findById(id);
+    if (!priceRule) {
+      return res.status(404).json({ message: 'Règle de prix non trouvée' });
+    }
+    const previous = priceRule.toObject();
+    
+    const { constraints, error: constraintsError } = parseStayConstraints(updates);
+    if (constraintsError) {
+      return res.status(400).json({ message: constraintsError });
+    }
+    Object.assign(updates, constraints);
+    
+    // Revalider les champs du type si l'un d'eux est modifié
+    if (RULE_TYPE_FIELDS.some(field => updates[field] !== undefined)) {
+      const type = updates.type || previous.type || 'period';
+      const { fields: typeFields, error: typeError } = parseRuleTypeFields(
+        { ...previous, ...updates },
+        type
+      );
+      if (typeError) {
+        return res.status(400).json({ message: typeError });
+      }
+      Object.assign(updates, typeFields);
+    }
+    
+    // Normaliser la propriété si elle est modifiée
+    if (updates.property !== undefined) {
+      const propertyDoc = await PropertyService.resolve(updates.property);
+      if (!propertyDoc) {
+        return res.status(400).json({ message: 'Propriété invalide' });
+      }
+      updates.property = propertyDoc.slug;
+    }
     
     // Validation des dates si modifiées
-    if (updates.startDate && updates.endDate) {
-      const start = new Date(updates.startDate);
-      const end = new Date(updates.endDate);
+    if (updates.startDate || updates.endDate) {
+      const start = new Date(updates.startDate || previous.startDate);
+      const end = new Date(updates.endDate || previous.endDate);
       
-      if (start >= end) {
-        return res.status(400).json({ 
-          message: 'La date de fin doit être postérieure à la date de début' 
-        });
+      const datesError = checkRuleDates(start, end, updates.type || previous.type);
+      if (datesError) {
+        return res.status(400).json({ message: datesError });
       }
     }
     
-    const priceRule = await PriceRule.findByIdAndUpdate(
-      id,
-      { ...updates, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    );
+    priceRule.set(updates);
+    await priceRule.validate();
     
-    if (!priceRule) {
-      return res.status(404).json({ message: 'Règle de prix non trouvée' });
+    // Règles actives qui chevauchent la période modifiée
+    const overlappingRules = await PriceRuleService.findOverlaps(priceRule);
+    const conflictingRules = overlappingRules.filter(rule => rule.ambiguous);
+    
+    // Aperçu sans enregistrement : prix par nuit avant/après
+    if (isDryRun(req)) {
+      const previews = await PriceRuleService.previewChange({
+        previous,
+        next: priceRule.toObject()
+      });
+      return res.json({
+        dryRun: true,
+        rule: priceRule,
+        overlappingRules,
+        conflictingRules,
+        previews
+      });
     }
     
-    // Invalider le cache après modification
-    PriceCacheService.invalidatePriceCache(priceRule.property);
+    if (conflictingRules.length > 0) {
+      return res.status(409).json({
+        message: 'Conflit détecté avec une règle existante de même priorité',
+        conflictingRules,
+        overlappingRules
+      });
+    }
     
-    res.json(priceRule);
+    await priceRule.save();
+    
+    // Invalider le cache après modification (toutes les propriétés si la règle a changé de logement)
+    if (priceRule.property !== previous.property) {
+      PriceCacheService.invalidateAllPriceCache();
+    } else {
+      PriceCacheService.invalidatePriceCache(priceRule.property);
+    }
+    
+    res.json({ ...priceRule.toObject(), overlappingRules });
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Erreur serveur', error: error.message });
   }
 });
@@ -211,6 +722,64 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// PATCH - Activer/désactiver plusieurs règles de prix
+// Corps : { ids: [...] } ou { batchId }, isActive optionnel (sinon bascule chaque règle)
+router.patch('/bulk-toggle', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Accès non autorisé' });
+    }
+    
+    const { ids, batchId, isActive } = req.body;
+    if (!batchId && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({ message: 'ids ou batchId requis' });
+    }
+    
+    const priceRules = await PriceRule.find(batchId ? { batchId } : { _id: { $in: ids } });
+    if (priceRules.length === 0) {
+      return res.status(404).json({ message: 'Aucune règle de prix trouvée' });
+    }
+    
+    const activated = [];
+    const deactivatedIds = [];
+    for (const priceRule of priceRules) {
+      const nextActive = typeof isActive === 'boolean' ? isActive : !priceRule.isActive;
+      if (nextActive && !priceRule.isActive) activated.push(priceRule);
+      if (!nextActive && priceRule.isActive) deactivatedIds.push(priceRule._id);
+    }
+    
+    // Comme à la création : pas d'activation qui laisserait deux règles de même priorité se chevaucher
+    const conflicts = await PriceRuleService.findActivationConflicts(activated, deactivatedIds);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        message: `Conflit de même priorité pour ${conflicts.length} règle(s), aucune règle modifiée`,
+        conflicts
+      });
+    }
+    
+    for (const priceRule of priceRules) {
+      priceRule.isActive = typeof isActive === 'boolean' ? isActive : !priceRule.isActive;
+    }
+    await PriceRule.bulkSave(priceRules);
+    
+    // Une invalidation par propriété concernée
+    for (const property of new Set(priceRules.map(rule => rule.property))) {
+      PriceCacheService.invalidatePriceCache(property);
+    }
+    
+    res.json({
+      message: `${priceRules.length} règle(s) mise(s) à jour`,
+      updated: priceRules.length,
+      rules: priceRules
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'ID de règle invalide' });
+    }
+    res.status(500).json({ message: 'Erreur serveur', error: error.message });
+  }
+});
+
 // PATCH - Activer/désactiver une règle de prix
 router.patch('/:id/toggle', auth, async (req, res) => {
   try {
@@ -225,6 +794,16 @@ router.patch('/:id/toggle', auth, async (req, res) => {
       return res.status(404).json({ message: 'Règle de prix non trouvée' });
     }
     
+    if (!priceRule.isActive) {
+      const [conflict] = await PriceRuleService.findActivationConflicts([priceRule]);
+      if (conflict) {
+        return res.status(409).json({
+          message: 'Conflit détecté avec une règle existante de même priorité',
+          conflictingRules: conflict.conflictingRules
+        });
+      }
+    }
+    
     priceRule.isActive = !priceRule.isActive;
     await priceRule.save();
     
@@ -0,0 +1,149 @@
+import express from "express";
+import PromoCode from "../models/promoCode.js";
+import { PropertyService } from "../services/propertyService.js";
+
+const router = express.Router();
+
+// Champs modifiables par l'admin (usedCount est géré par les réservations)
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "valueType",
+  "value",
+  "validFrom",
+  "validTo",
+  "properties",
+  "maxUses",
+  "perUserLimit",
+  "minNights",
+  "isActive"
+];
+
+// Extrait les champs modifiables et normalise les logements en slugs
+async function parsePromoBody(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+
+  if (data.properties !== undefined) {
+    const identifiers = Array.isArray(data.properties) ? data.properties : [data.properties];
+    const slugs = [];
+    for (const identifier of identifiers) {
+      const property = await PropertyService.resolve(identifier);
+      if (!property) {
+        return { error: `Logement inconnu: ${identifier}` };
+      }
+      slugs.push(property.slug);
+    }
+    data.properties = [...new Set(slugs)];
+  }
+
+  if (data.validFrom && data.validTo && new Date(data.validFrom) > new Date(data.validTo)) {
+    return { error: "La date de fin de validité doit suivre la date de début" };
+  }
+
+  return { data };
+}
+
+// ✅ RÉCUPÉRER - Liste des codes promo
+router.get("/", async (req, res) => {
+  try {
+    const promoCodes = await PromoCode.find().sort({ createdAt: -1 }).lean();
+
+    res.json({ result: true, promoCodes });
+  } catch (error) {
+    console.error("Erreur récupération codes promo:", error);
+    res.status(500).json({ result: false, error: "Erreur récupération codes promo" });
+  }
+});
+
+// ✅ CRÉER - Nouveau code promo
+router.post("/", async (req, res) => {
+  try {
+    const { data, error } = await parsePromoBody(req.body);
+    if (error) {
+      return res.status(400).json({ result: false, error });
+    }
+
+    if (!data.code || data.value === undefined) {
+      return res.status(400).json({ result: false, error: "Paramètres manquants: code, value requis" });
+    }
+
+    const promoCode = await PromoCode.create(data);
+
+    console.log(`Admin ${req.user.userId} a créé le code promo ${promoCode.code}`);
+
+    res.status(201).json({ result: true, promoCode, message: "Code promo créé avec succès" });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ result: false, error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ result: false, error: "Ce code promo existe déjà" });
+    }
+    console.error("Erreur création code promo:", error);
+    res.status(500).json({ result: false, error: "Erreur création code promo" });
+  }
+});
+
+// ✅ MODIFIER - Code promo existant
+router.put("/:id", async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ result: false, error: "ID de code promo invalide" });
+    }
+
+    const promoCode = await PromoCode.findById(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ result: false, error: "Code promo introuvable" });
+    }
+
+    const { data, error } = await parsePromoBody(req.body);
+    if (error) {
+      return res.status(400).json({ result: false, error });
+    }
+
+    // Le code est référencé par les réservations qui l'ont utilisé
+    if (data.code && data.code.toUpperCase() !== promoCode.code && promoCode.usedCount > 0) {
+      return res.status(409).json({ result: false, error: "Impossible de renommer un code déjà utilisé" });
+    }
+
+    promoCode.set(data);
+    await promoCode.save();
+
+    res.json({ result: true, promoCode, message: "Code promo mis à jour avec succès" });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ result: false, error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ result: false, error: "Ce code promo existe déjà" });
+    }
+    console.error("Erreur mise à jour code promo:", error);
+    res.status(500).json({ result: false, error: "Erreur mise à jour code promo" });
+  }
+});
+
+// ✅ SUPPRIMER - Code promo (les réservations conservent le code utilisé)
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ result: false, error: "ID de code promo invalide" });
+    }
+
+    const promoCode = await PromoCode.findByIdAndDelete(req.params.id);
+    if (!promoCode) {
+      return res.status(404).json({ result: false, error: "Code promo introuvable" });
+    }
+
+    res.json({ result: true, message: "Code promo supprimé avec succès" });
+  } catch (error) {
+    console.error("Erreur suppression code promo:", error);
+    res.status(500).json({ result: false, error: "Erreur suppression code promo" });
+  }
+});
+
+export default router;
@@ -0,0 +1,242 @@
+import express from "express";
+import Property from "../models/property.js";
+import Booking from "../models/booking.js";
+import PriceRule from "../models/priceRule.js";
+import GlobalSettings, { PROPERTY_SETTING_PREFIXES } from "../models/globalSettings.js";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { PropertyService } from "../services/propertyService.js";
+import { PriceCacheService } from "../services/priceCache.js";
+
+const router = express.Router();
+
+// Champs modifiables par l'admin
+const EDITABLE_FIELDS = [
+  "slug",
+  "settingsKey",
+  "name",
+  "aliases",
+  "address",
+  "capacity",
+  "defaultNightlyPrice",
+  "fees",
+  "houseRules",
+  "cancellationPolicy",
+  "guestSurcharges",
+  "touristTax",
+  "timezone",
+  "isActive"
+];
+
+function pickEditableFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  return data;
+}
+
+/**
+ * Données encore liées à l'ancien slug ou à l'ancienne clé courte d'un logement renommé
+ * Une réservation reste liée si l'ancien identifiant est conservé dans les alias
+ * @param {Object} property - Logement avant modification
+ * @param {Object} updates - Champs modifiés
+ * @returns {Array<string>} Libellés des données bloquantes (vide si le renommage est possible)
+ */
+async function findRenameConflicts(property, updates) {
+  const slugChanged = updates.slug && updates.slug !== property.slug;
+  const keyChanged = updates.settingsKey && updates.settingsKey !== property.settingsKey;
+  if (!slugChanged && !keyChanged) return [];
+
+  const next = {
+    slug: updates.slug || property.slug,
+    settingsKey: updates.settingsKey || property.settingsKey,
+    name: updates.name || property.name,
+    aliases: updates.aliases || property.aliases || []
+  };
+  const nextIdentifiers = [next.slug, next.settingsKey, next.name, ...next.aliases];
+  const droppedIdentifiers = [slugChanged && property.slug, keyChanged && property.settingsKey]
+    .filter(identifier => identifier && !nextIdentifiers.includes(identifier));
+
+  const key = property.settingsKey;
+  const [rules, bookings, settings, paymentRules] = await Promise.all([
+    slugChanged ? PriceRule.countDocuments({ property: property.slug }) : 0,
+    droppedIdentifiers.length > 0 ? Booking.countDocuments({ apartmentId: { $in: droppedIdentifiers } }) : 0,
+    keyChanged
+      ? GlobalSettings.countDocuments({ settingKey: { $in: PROPERTY_SETTING_PREFIXES.map(prefix => `${prefix}_${key}`) } })
+      : 0,
+    keyChanged
+      ? GlobalSettings.countDocuments({ settingKey: "payment_rules", [`settingValue.properties.${key}`]: { $exists: true } })
+      : 0
+  ]);
+
+  return [
+    rules > 0 && `${rules} règle(s) de prix`,
+    bookings > 0 && `${bookings} réservation(s) (gardez l'ancien identifiant dans les alias)`,
+    settings > 0 && `${settings} paramètre(s) du logement`,
+    paymentRules > 0 && "les règles de paiement"
+  ].filter(Boolean);
+}
+
+// ✅ RÉCUPÉRER - Liste des logements actifs (public pour frontend)
+router.get("/", async (req, res) => {
+  try {
+    const properties = await PropertyService.getAll();
+
+    res.json({ result: true, properties });
+  } catch (error) {
+    console.error("Erreur récupération logements:", error);
+    res.status(500).json({ result: false, error: "Erreur récupération logements" });
+  }
+});
+
+// ✅ RÉCUPÉRER - Tous les logements, y compris désactivés (admin only)
+router.get("/admin/all", authenticateToken, requireRole(["admin"]), async (req, res) => {
+  try {
+    const properties = await PropertyService.getAll({ includeInactive: true });
+
+    res.json({ result: true, properties });
+  } catch (error) {
+    console.error("Erreur récupération logements admin:", error);
+    res.status(500).json({ result: false, error: "Erreur récupération logements" });
+  }
+});
+
+// ✅ RÉCUPÉRER - Un logement par slug, clé courte ou nom
+router.get("/:property", async (req, res) => {
+  try {
+    const property = await PropertyService.resolve(req.params.property);
+
+    if (!property) {
+      return res.status(404).json({ result: false, error: "Logement introuvable" });
+    }
+
+    res.json({ result: true, property });
+  } catch (error) {
+    console.error("Erreur récupération logement:", error);
+    res.status(500).json({ result: false, error: "Erreur récupération logement" });
+  }
+});
+
+// ✅ CRÉER - Nouveau logement (admin only)
+router.post("/", authenticateToken, requireRole(["admin"]), async (req, res) => {
+  try {
+    const data = pickEditableFields(req.body);
+
+    if (!data.slug || !data.settingsKey || !data.name || data.defaultNightlyPrice === undefined) {
+      return res.status(400).json({
+        result: false,
+        error: "Paramètres manquants: slug, settingsKey, name, defaultNightlyPrice requis"
+      });
+    }
+
+    const property = await Property.create(data);
+    PropertyService.invalidateCache();
+
+    console.log(`Admin ${req.user.userId} a créé le logement ${property.slug}`);
+
+    res.status(201).json({
+      result: true,
+      property,
+      message: "Logement créé avec succès"
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ result: false, error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ result: false, error: "Un logement utilise déjà ce slug ou cette clé" });
+    }
+    console.error("Erreur création logement:", error);
+    res.status(500).json({ result: false, error: "Erreur création logement" });
+  }
+});
+
+// ✅ MODIFIER - Logement existant (admin only)
+router.put("/:id", authenticateToken, requireRole(["admin"]), async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ result: false, error: "ID de logement invalide" });
+    }
+
+    const existing = await Property.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ result: false, error: "Logement introuvable" });
+    }
+
+    const updates = pickEditableFields(req.body);
+
+    // Le slug et la clé courte sont référencés par les règles de prix, les paramètres
+    // et les réservations : un renommage les rendrait orphelins
+    const linked = await findRenameConflicts(existing, updates);
+    if (linked.length > 0) {
+      return res.status(409).json({
+        result: false,
+        code: "PROPERTY_REFERENCED",
+        error: `Impossible de renommer ce logement, encore référencé par : ${linked.join(", ")}`,
+        linked
+      });
+    }
+
+    existing.set(updates);
+    await existing.save();
+    PropertyService.invalidateCache();
+    // Le prix par défaut entre dans les prix mis en cache
+    PriceCacheService.invalidatePriceCache(existing.slug);
+
+    res.json({
+      result: true,
+      property: existing,
+      message: "Logement mis à jour avec succès"
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ result: false, error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ result: false, error: "Un logement utilise déjà ce slug ou cette clé" });
+    }
+    console.error("Erreur mise à jour logement:", error);
+    res.status(500).json({ result: false, error: "Erreur mise à jour logement" });
+  }
+});
+
+// ✅ SUPPRIMER - Logement sans réservation (admin only)
+router.delete("/:id", authenticateToken, requireRole(["admin"]), async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ result: false, error: "ID de logement invalide" });
+    }
+
+    const property = await Property.findById(req.params.id);
+    if (!property) {
+      return res.status(404).json({ result: false, error: "Logement introuvable" });
+    }
+
+    // Un logement déjà réservé doit être désactivé plutôt que supprimé
+    const bookingsCount = await Booking.countDocuments({
+      apartmentId: { $in: property.identifiers() }
+    });
+    if (bookingsCount > 0) {
+      return res.status(409).json({
+        result: false,
+        error: "Ce logement possède des réservations, désactivez-le plutôt (isActive: false)"
+      });
+    }
+
+    await Promise.all([
+      Property.deleteOne({ _id: property._id }),
+      PriceRule.deleteMany({ property: property.slug })
+    ]);
+    PropertyService.invalidateCache();
+    PriceCacheService.invalidatePriceCache(property.slug);
+
+    res.json({ result: true, message: "Logement supprimé avec succès" });
+  } catch (error) {
+    console.error("Erreur suppression logement:", error);
+    res.status(500).json({ result: false, error: "Erreur suppression logement" });
+  }
+});
+
+export default router;
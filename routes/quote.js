@@ -0,0 +1,57 @@
+import express from "express";
+import { QuoteService } from "../services/quoteService.js";
+import { PromoCodeService } from "../services/promoCodeService.js";
+
+const router = express.Router();
+
+// 👉 Calculer le prix de référence d'un séjour (nuits, frais, taxes)
+router.post("/", async (req, res) => {
+  const { apartmentId, startDate, endDate, guestDetails, includeLinen, promoCode } = req.body;
+
+  if (!apartmentId || !startDate || !endDate) {
+    return res.status(400).json({
+      result: false,
+      error: "apartmentId, startDate et endDate requis"
+    });
+  }
+
+  try {
+    // Aperçu du code promo (la limite par client est vérifiée à la réservation)
+    let promo = null;
+    if (promoCode) {
+      const promoCheck = await PromoCodeService.validate(promoCode);
+      if (!promoCheck.success) {
+        return res.status(400).json({
+          result: false,
+          code: promoCheck.code,
+          error: promoCheck.error
+        });
+      }
+      promo = promoCheck.promo;
+    }
+
+    const quoteResult = await QuoteService.computeQuote({
+      apartmentId,
+      startDate,
+      endDate,
+      guestDetails,
+      includeLinen,
+      promo
+    });
+
+    if (!quoteResult.success) {
+      return res.status(400).json({
+        result: false,
+        code: quoteResult.code,
+        error: quoteResult.error
+      });
+    }
+
+    res.json({ result: true, quote: quoteResult.quote });
+  } catch (err) {
+    console.error("❌ Erreur calcul devis:", err);
+    res.status(500).json({ result: false, error: "Erreur serveur" });
+  }
+});
+
+export default router;
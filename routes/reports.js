@@ -0,0 +1,41 @@
+import express from "express";
+import { PropertyService } from "../services/propertyService.js";
+import { TouristTaxService } from "../services/touristTaxService.js";
+
+const router = express.Router();
+
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// ✅ RELEVÉ - Taxe de séjour par logement et par mois (admin only)
+// Paramètres : from/to (YYYY-MM) ou year (YYYY), property optionnel
+router.get("/tourist-tax", async (req, res) => {
+  try {
+    const year = req.query.year || String(new Date().getUTCFullYear());
+    const from = req.query.from || `${year}-01`;
+    const to = req.query.to || `${year}-12`;
+
+    if (!MONTH_REGEX.test(from) || !MONTH_REGEX.test(to) || from > to) {
+      return res.status(400).json({
+        result: false,
+        error: "Période invalide: from et to au format YYYY-MM attendus"
+      });
+    }
+
+    let property = null;
+    if (req.query.property) {
+      property = await PropertyService.resolve(req.query.property, { includeInactive: true });
+      if (!property) {
+        return res.status(404).json({ result: false, error: "Logement introuvable" });
+      }
+    }
+
+    const report = await TouristTaxService.getMonthlyReport({ from, to, property });
+
+    res.json({ result: true, report });
+  } catch (error) {
+    console.error("Erreur relevé taxe de séjour:", error);
+    res.status(500).json({ result: false, error: "Erreur génération du relevé" });
+  }
+});
+
+export default router;
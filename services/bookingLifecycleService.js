@@ -0,0 +1,225 @@
+// =======================================
+// --- BOOKING LIFECYCLE SERVICE ---
+// =======================================
+// Seul point de changement du statut d'une réservation : transitions autorisées,
+// historique (acteur, canal, date), échéancier à l'acceptation et libération des dates et du code promo
+
+import mongoose from 'mongoose';
+import Booking from '../models/booking.js';
+import { ReservationService } from './reservationService.js';
+import { PromoCodeService } from './promoCodeService.js';
+import { PaymentScheduleService } from './paymentScheduleService.js';
+import { PaymentService } from './paymentService.js';
+import { roundAmount } from '../modules/money.js';
+
+// Statuts accessibles depuis chaque statut
+export const TRANSITIONS = {
+  temporary: ['pending', 'cancelled'],
+  pending: ['accepted', 'refused', 'cancelled'],
+  accepted: ['confirmed', 'cancelled'],
+  confirmed: ['cancelled'],
+  refused: [],
+  cancelled: []
+};
+
+// Statuts qui libèrent les nuits et l'utilisation du code promo (et remboursent une réservation payée)
+const RELEASING_STATUSES = ['refused', 'cancelled'];
+
+// Motif du remboursement intégral selon le statut
+const RELEASE_REFUND_NOTES = {
+  refused: 'refusée',
+  cancelled: 'annulée'
+};
+
+/**
+ * Indique si une transition de statut est autorisée
+ * @param {string} from - Statut actuel
+ * @param {string} to - Statut demandé
+ * @returns {boolean} true si autorisée
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Entrée d'historique de statut
+ * @param {string|null} from - Statut précédent (null à la création)
+ * @param {string} to - Nouveau statut
+ * @param {Object} context - { actor, channel, reason }
+ * @returns {Object} Entrée statusHistory
+ */
+export function historyEntry(from, to, { actor, channel, reason } = {}) {
+  return {
+    ...(from && { from }),
+    to,
+    ...(actor && mongoose.Types.ObjectId.isValid(actor) && { actor }),
+    channel,
+    ...(reason && { reason }),
+    at: new Date()
+  };
+}
+
+// --- Booking Lifecycle Service Class ---
+export class BookingLifecycleService {
+
+  /**
+   * Change le statut d'une réservation si la transition est autorisée
+   * La mise à jour est conditionnée au statut lu : deux changements simultanés
+   * ne peuvent pas réussir tous les deux
+   * @param {Object|string} bookingOrId - Réservation ou son ID
+   * @param {string} to - Nouveau statut
+   * @param {Object} context - { actor, channel, reason, set } (set = champs mis à jour en même temps)
+   * @returns {Object} { success: true, booking, previousStatus } ou { success: false, code, error }
+   *   (une réservation acceptée déjà soldée est renvoyée confirmée)
+   */
+  static async transition(bookingOrId, to, { actor, channel, reason, set = {} } = {}) {
+    const booking = typeof bookingOrId === 'object' && bookingOrId.status
+      ? bookingOrId
+      : await Booking.findById(bookingOrId);
+
+    if (!booking) {
+      return { success: false, code: 'BOOKING_NOT_FOUND', error: 'Réservation introuvable' };
+    }
+
+    const from = booking.status;
+    if (!canTransition(from, to)) {
+      return {
+        success: false,
+        code: 'INVALID_TRANSITION',
+        error: `Transition de statut interdite: ${from} → ${to}`,
+        status: from
+      };
+    }
+
+    // L'acceptation fixe l'échéancier de paiement (acompte puis solde)
+    const paymentFields = to === 'accepted' ? await PaymentScheduleService.initialFields(booking) : {};
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: from },
+      {
+        $set: { ...paymentFields, ...set, status: to },
+        $push: { statusHistory: historyEntry(from, to, { actor, channel, reason }) }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return {
+        success: false,
+        code: 'STATUS_CHANGED',
+        error: 'Le statut de cette réservation a changé entre-temps'
+      };
+    }
+
+    console.log(`🔄 [BOOKING] ${updated._id}: ${from} → ${to} (${channel})`);
+    const [current] = await this.applySideEffects([updated], to);
+
+    // Réservation déjà réglée à l'acceptation (commande du panier payée) : aucune
+    // capture ne viendra la confirmer, elle est confirmée aussitôt
+    if (to === 'accepted' && paymentFields.balanceDue === 0) {
+      const confirmed = await this.transition(current, 'confirmed', {
+        actor,
+        channel,
+        reason: 'Réservation déjà réglée'
+      });
+      if (confirmed.success) {
+        return { success: true, booking: confirmed.booking, previousStatus: from };
+      }
+    }
+
+    return { success: true, booking: current, previousStatus: from };
+  }
+
+  /**
+   * Change le statut de plusieurs réservations partageant le même statut de départ
+   * (réservations temporaires d'une commande)
+   * @param {Array<ObjectId>} bookingIds - Réservations
+   * @param {string} from - Statut de départ attendu
+   * @param {string} to - Nouveau statut
+   * @param {Object} context - { actor, channel, reason, set, unset }
+   * @returns {Array<Object>} Réservations effectivement modifiées
+   */
+  static async transitionMany(bookingIds, from, to, { actor, channel, reason, set = {}, unset = {} } = {}) {
+    if (!canTransition(from, to)) {
+      throw new Error(`Transition de statut interdite: ${from} → ${to}`);
+    }
+
+    const candidates = await Booking.find({ _id: { $in: bookingIds }, status: from }).select('_id');
+    const ids = candidates.map(booking => booking._id);
+    if (ids.length === 0) return [];
+
+    await Booking.updateMany(
+      { _id: { $in: ids }, status: from },
+      {
+        $set: { ...set, status: to },
+        $push: { statusHistory: historyEntry(from, to, { actor, channel, reason }) },
+        ...(Object.keys(unset).length > 0 && { $unset: unset })
+      }
+    );
+
+    // Ne garder que les réservations réellement passées au nouveau statut
+    const updated = await Booking.find({ _id: { $in: ids }, status: to });
+    console.log(`🔄 [BOOKING] ${updated.length} réservation(s): ${from} → ${to} (${channel})`);
+    return this.applySideEffects(updated, to);
+  }
+
+  /**
+   * Libère les nuits et l'utilisation du code promo des réservations refusées ou annulées
+   * Une réservation déjà payée (commande du panier) est remboursée intégralement, sauf si
+   * l'appelant a déjà prévu son remboursement (annulation client selon la politique)
+   * @param {Array<Object>} bookings - Réservations modifiées
+   * @param {string} status - Nouveau statut
+   * @returns {Array<Object>} Réservations à jour
+   */
+  static async applySideEffects(bookings, status) {
+    if (!RELEASING_STATUSES.includes(status) || bookings.length === 0) return bookings;
+
+    await ReservationService.release(bookings.map(booking => booking._id));
+
+    const results = [];
+    for (const booking of bookings) {
+      if (booking.promoCode) {
+        await PromoCodeService.release(booking.promoCode, 1, { userId: booking.userId });
+      }
+      results.push(await this.refundReleased(booking, status));
+    }
+
+    return results;
+  }
+
+  /**
+   * Rembourse intégralement une réservation payée qui vient d'être refusée ou annulée
+   * @param {Object} booking - Réservation refusée ou annulée
+   * @param {string} status - refused | cancelled
+   * @returns {Object} Réservation à jour
+   */
+  static async refundReleased(booking, status) {
+    const amount = roundAmount(booking.paidAmount || 0);
+    if (amount <= 0 || booking.cancellation?.refundStatus) return booking;
+
+    // Le remboursement dû est signalé avant l'appel au prestataire
+    const flagged = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'cancellation.refundStatus': { $exists: false } },
+      {
+        $set: {
+          cancellation: {
+            cancelledAt: new Date(),
+            refundPercent: 100,
+            refundableAmount: amount,
+            refundedAmount: 0,
+            refundStatus: 'pending'
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!flagged) return booking;
+
+    console.log(`💸 [BOOKING] Réservation payée ${booking._id} ${RELEASE_REFUND_NOTES[status]} : remboursement de ${amount} €`);
+    return PaymentService.refundCancelledBooking(flagged, amount, {
+      note: `Réservation ${booking._id} ${RELEASE_REFUND_NOTES[status]}`
+    });
+  }
+}
+
+export default BookingLifecycleService;
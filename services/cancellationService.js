@@ -0,0 +1,98 @@
+// =======================================
+// --- CANCELLATION SERVICE ---
+// =======================================
+// Annulation d'une réservation par le client selon la politique du logement
+
+import mongoose from 'mongoose';
+import Booking from '../models/booking.js';
+import { PropertyService } from './propertyService.js';
+import { PaymentService } from './paymentService.js';
+import { BookingLifecycleService } from './bookingLifecycleService.js';
+import { computeRefund } from '../modules/cancellationPolicy.js';
+import { toStayDate } from '../modules/dateUtils.js';
+
+// Statuts qu'un client peut annuler (une réservation temporaire s'annule via sa commande)
+export const CANCELLABLE_STATUSES = ['pending', 'accepted', 'confirmed'];
+
+// --- Cancellation Service Class ---
+export class CancellationService {
+
+  /**
+   * Annule la réservation d'un client, libère les dates et rembourse la part prévue
+   * @param {string} bookingId - ID de la réservation
+   * @param {string} userId - Client propriétaire
+   * @param {Object} options - { reason, now }
+   * @returns {Object} { success: true, booking, refund } ou { success: false, code, error }
+   */
+  static async cancelByGuest(bookingId, userId, { reason, now = new Date() } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return { success: false, code: 'BOOKING_NOT_FOUND', error: 'Réservation introuvable' };
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, userId });
+    if (!booking) {
+      return { success: false, code: 'BOOKING_NOT_FOUND', error: 'Réservation introuvable' };
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(booking.status)) {
+      return {
+        success: false,
+        code: 'NOT_CANCELLABLE',
+        error: `Une réservation au statut "${booking.status}" ne peut pas être annulée`
+      };
+    }
+
+    if (toStayDate(booking.startDate) <= toStayDate(now)) {
+      return { success: false, code: 'STAY_STARTED', error: 'Le séjour a déjà commencé' };
+    }
+
+    const property = await PropertyService.resolve(booking.apartmentId, { includeInactive: true });
+    const refund = computeRefund(property?.cancellationPolicy, {
+      startDate: booking.startDate,
+      paidAmount: booking.paidAmount,
+      now
+    });
+
+    // L'annulation libère les dates et l'utilisation du code promo
+    const transition = await BookingLifecycleService.transition(booking, 'cancelled', {
+      actor: userId,
+      channel: 'guest',
+      reason,
+      set: {
+        cancellation: {
+          cancelledAt: now,
+          ...refund,
+          refundedAmount: 0,
+          refundStatus: refund.refundableAmount > 0 ? 'pending' : 'none'
+        }
+      }
+    });
+    if (!transition.success) {
+      return transition;
+    }
+
+    let cancelled = transition.booking;
+
+    if (refund.refundableAmount > 0) {
+      // Remboursement réparti sur les captures de la réservation (acompte, solde) ;
+      // un remboursement en échec reste à traiter manuellement : l'annulation est maintenue
+      cancelled = await PaymentService.refundCancelledBooking(booking, refund.refundableAmount, {
+        note: `Annulation de la réservation ${booking._id}`
+      });
+    }
+
+    console.log(`🚫 [BOOKING] Réservation ${booking._id} annulée par le client (remboursement ${refund.refundPercent}% = ${refund.refundableAmount} €)`);
+
+    return {
+      success: true,
+      booking: cancelled,
+      refund: {
+        ...refund,
+        status: cancelled.cancellation.refundStatus,
+        refundedAmount: cancelled.cancellation.refundedAmount
+      }
+    };
+  }
+}
+
+export default CancellationService;
@@ -0,0 +1,117 @@
+// =======================================
+// --- DISCOUNT SERVICE ---
+// =======================================
+// Réductions automatiques : durée de séjour, réservation anticipée, dernière minute
+
+import DiscountRule from '../models/discountRule.js';
+import { roundAmount } from '../modules/money.js';
+import { toStayDate, countNights } from '../modules/dateUtils.js';
+
+/**
+ * Vérifie qu'une règle de réduction s'applique à un séjour
+ * @param {Object} rule - Règle de réduction
+ * @param {Object} stay - { start, nights, daysBeforeArrival }
+ * @returns {boolean}
+ */
+function ruleApplies(rule, stay) {
+  if (rule.validFrom && stay.start < new Date(rule.validFrom)) return false;
+  if (rule.validTo && stay.start > new Date(rule.validTo)) return false;
+
+  switch (rule.type) {
+    case 'length_of_stay':
+      return stay.nights >= rule.minNights;
+    case 'early_bird':
+      return stay.daysBeforeArrival >= rule.minDaysBeforeArrival;
+    case 'last_minute':
+      return stay.daysBeforeArrival <= rule.maxDaysBeforeArrival;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Montant d'une réduction sur le prix des nuits
+ * @param {Object} rule - Règle de réduction
+ * @param {number} accommodation - Prix des nuits
+ * @returns {number}
+ */
+function discountAmount(rule, accommodation) {
+  const amount = rule.valueType === 'fixed'
+    ? rule.value
+    : (accommodation * rule.value) / 100;
+  return roundAmount(Math.min(amount, accommodation));
+}
+
+/**
+ * Sélectionne les réductions d'un séjour
+ * La meilleure réduction de chaque type est retenue, les types se cumulent
+ * sans jamais dépasser le prix des nuits
+ * @param {Array} rules - Règles actives du logement
+ * @param {Object} stay - { start, nights, daysBeforeArrival, accommodation }
+ * @returns {Array} Lignes { source, ruleId, type, label, valueType, value, amount }
+ */
+export function selectDiscounts(rules, stay) {
+  const bestByType = {};
+
+  for (const rule of rules) {
+    if (!ruleApplies(rule, stay)) continue;
+    const amount = discountAmount(rule, stay.accommodation);
+    if (amount > 0 && (!bestByType[rule.type] || amount > bestByType[rule.type].amount)) {
+      bestByType[rule.type] = { rule, amount };
+    }
+  }
+
+  let remaining = stay.accommodation;
+
+  return Object.values(bestByType)
+    .sort((a, b) => b.amount - a.amount)
+    .map(({ rule, amount }) => {
+      const applied = roundAmount(Math.min(amount, remaining));
+      remaining = roundAmount(remaining - applied);
+      return {
+        source: 'rule',
+        ruleId: rule._id,
+        type: rule.type,
+        label: rule.name,
+        valueType: rule.valueType,
+        value: rule.value,
+        amount: applied
+      };
+    })
+    .filter(discount => discount.amount > 0);
+}
+
+// --- Discount Service Class ---
+export class DiscountService {
+
+  /**
+   * Règles de réduction actives d'un logement (y compris les règles globales)
+   * @param {Object} property - Logement résolu
+   * @returns {Array} Règles
+   */
+  static async getActiveRules(property) {
+    return DiscountRule.find({
+      isActive: true,
+      property: { $in: [property.slug, null] }
+    }).lean();
+  }
+
+  /**
+   * Calcule les réductions applicables à un séjour
+   * @param {Object} property - Logement résolu
+   * @param {Object} params - { start, nights, accommodation, bookedAt }
+   * @returns {Array} Lignes de réduction
+   */
+  static async computeDiscounts(property, { start, nights, accommodation, bookedAt = new Date() }) {
+    const rules = await this.getActiveRules(property);
+    if (rules.length === 0) {
+      return [];
+    }
+
+    const daysBeforeArrival = countNights(toStayDate(bookedAt), start);
+
+    return selectDiscounts(rules, { start, nights, daysBeforeArrival, accommodation });
+  }
+}
+
+export default DiscountService;
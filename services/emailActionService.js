@@ -1,6 +1,6 @@
 import crypto from 'crypto';
 import EmailActionToken from '../models/emailActionToken.js';
-import Booking from '../models/booking.js';
+import { BookingLifecycleService } from './bookingLifecycleService.js';
 
 export class EmailActionService {
   
@@ -88,17 +88,23 @@ export class EmailActionService {
       // Exécuter l'action
       const newStatus = actionToken.action === 'accept' ? 'accepted' : 'refused';
       
-      // Mettre à jour la réservation et marquer le token comme utilisé
-      await Promise.all([
-        Booking.findByIdAndUpdate(actionToken.bookingId._id, { 
-          status: newStatus,
-          processedAt: new Date()
-        }),
-        EmailActionToken.findByIdAndUpdate(actionToken._id, { 
-          used: true,
-          usedAt: new Date()
-        })
-      ]);
+      // Mettre à jour la réservation (un refus libère les dates et le code promo)
+      const transition = await BookingLifecycleService.transition(actionToken.bookingId, newStatus, {
+        channel: 'email'
+      });
+      if (!transition.success) {
+        return {
+          success: false,
+          error: 'Cette réservation a déjà été traitée',
+          code: 'ALREADY_PROCESSED'
+        };
+      }
+
+      // Marquer le token comme utilisé
+      await EmailActionToken.findByIdAndUpdate(actionToken._id, { 
+        used: true,
+        usedAt: new Date()
+      });
 
       // Log pour audit
       console.log(`Action email exécutée: ${actionToken.action} pour réservation ${actionToken.bookingId._id}`);
@@ -112,7 +118,7 @@ export class EmailActionService {
           startDate: actionToken.bookingId.startDate,
           endDate: actionToken.bookingId.endDate,
           price: actionToken.bookingId.price,
-          status: newStatus,
+          status: transition.booking.status,
           user: actionToken.bookingId.userId
         }
       };
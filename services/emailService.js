@@ -1,5 +1,6 @@
 import nodemailer from "nodemailer";
 import { EmailTemplateService } from "./emailTemplateService.js";
+import User from "../models/users.js";
 
 export class EmailService {
   
@@ -68,6 +69,345 @@ export class EmailService {
     }
   }
 
+  /**
+   * Informe l'hôte et le client de l'annulation d'une réservation
+   * @param {Object} booking - Réservation annulée (avec cancellation)
+   * @param {Object} clientUser - Données de l'utilisateur client
+   */
+  static async sendCancellationEmails(booking, clientUser) {
+    try {
+      const transporter = nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        },
+      });
+
+      const { cancellation } = booking;
+      const formatDate = (date) => new Date(date).toLocaleDateString("fr-FR", { timeZone: "UTC" });
+      const details = `
+        <p>• Réservation : <strong>#${booking._id}</strong></p>
+        <p>• Logement : <strong>${booking.apartmentId}</strong></p>
+        <p>• Période : du ${formatDate(booking.startDate)} au ${formatDate(booking.endDate)}</p>
+        <p>• Montant payé : <strong>${booking.paidAmount || 0} €</strong></p>
+        <p>• Remboursement : <strong>${cancellation.refundableAmount} €</strong> (${cancellation.refundPercent} %, annulation ${cancellation.daysBeforeArrival} jour(s) avant l'arrivée)</p>
+      `;
+
+      const mails = [
+        transporter.sendMail({
+          from: `"🏠 ImmoVA - Réservations" <${process.env.SMTP_USER}>`,
+          to: process.env.RECEIVER_EMAIL,
+          subject: `🚫 Réservation annulée par le client - ${booking.apartmentId}`,
+          html: `
+            <h2>Réservation annulée par le client</h2>
+            <p>Client : ${clientUser?.firstname || ""} ${clientUser?.lastname || ""} (${clientUser?.email || "N/C"})</p>
+            ${details}
+            ${cancellation.refundStatus === "failed" ? `<p><strong>⚠️ Le remboursement automatique a échoué, à traiter manuellement :</strong> ${cancellation.refundError || ""}</p>` : ""}
+            <p>Les dates ont été libérées dans le calendrier.</p>
+          `,
+        }),
+      ];
+
+      if (clientUser?.email) {
+        mails.push(
+          transporter.sendMail({
+            from: `"🏠 ImmoVA - Réservations" <${process.env.SMTP_USER}>`,
+            to: clientUser.email,
+            subject: "Confirmation d'annulation de votre réservation",
+            html: `
+              <h2>Bonjour ${clientUser.firstname || ""},</h2>
+              <p>Votre réservation a bien été annulée.</p>
+              ${details}
+              ${cancellation.refundableAmount > 0
+                ? "<p>Le remboursement est effectué sur votre moyen de paiement PayPal. Le délai d'apparition dépend de votre banque.</p>"
+                : "<p>Selon la politique d'annulation du logement, aucun remboursement n'est prévu.</p>"}
+              <p><em>L'équipe ImmoVA</em></p>
+            `,
+          })
+        );
+      }
+
+      await Promise.all(mails);
+      console.log(`✅ Emails d'annulation envoyés pour la réservation ${booking._id}`);
+
+    } catch (error) {
+      console.error('❌ Erreur envoi emails annulation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Envoie les emails de paiement reçu (client, admin, préparation du logement)
+   * Les erreurs d'envoi sont journalisées sans être propagées : le paiement est déjà enregistré
+   * @param {Object} booking - Réservation payée
+   * @param {Object} payment - { paidAmount, payerEmail } : montant de ce paiement et email du payeur
+   */
+  static async sendPaymentConfirmationEmails(booking, { paidAmount, payerEmail, confirmed = true }) {
+    const totalPrice = booking.totalPrice || booking.price;
+    const clientUser = await User.findById(booking.userId);
+
+    // Reste à payer après ce paiement et prochaine échéance de l'échéancier
+    const remainingAmount = booking.balanceDue ?? Math.max(totalPrice - (booking.paidAmount || 0), 0);
+    const isPartialPayment = remainingAmount > 0;
+    const nextInstalment = booking.paymentSchedule?.find(instalment => instalment.status !== "paid");
+
+    // Email confirmation client depuis notre BD utilisateur
+    try {
+      if (clientUser && clientUser.email) {
+        const transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST || "smtp.gmail.com",
+          port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 465,
+          secure: true,
+          auth: {
+            user: process.env.RECEIVER_EMAIL,
+            pass: process.env.SMTP_PASS,
+          },
+        });
+
+        await transporter.sendMail({
+          from: `"🏠 ImmoVA - Paiement" <${process.env.RECEIVER_EMAIL}>`,
+          to: clientUser.email,
+          subject: "✅ Confirmation de paiement - Réservation confirmée",
+          html: `
+            <h2>Bonjour ${clientUser.firstname} ${clientUser.lastname},</h2>
+            <p>Votre paiement de <strong>${paidAmount} €</strong> a bien été reçu ✅.</p>
+            ${isPartialPayment ?
+              `<p><strong>⚠️ Paiement partiel reçu</strong> - Montant restant : <strong>${remainingAmount.toFixed(2)} €</strong>${nextInstalment ? ` à régler avant le ${new Date(nextInstalment.dueDate).toLocaleDateString("fr-FR")}` : ""}</p>` :
+              '<p><strong>Votre réservation est maintenant confirmée !</strong></p>'
+            }
+            <hr style="margin: 20px 0;">
+            <p><strong>📋 Détails de votre réservation :</strong></p>
+            <p>• Numéro : <strong>${booking._id}</strong></p>
+            <p>• Logement : <strong>${booking.apartmentId}</strong></p>
+            <p>• Période : Du ${new Date(booking.startDate).toLocaleDateString()} au ${new Date(booking.endDate).toLocaleDateString()}</p>
+            <p>• Montant payé : <strong>${paidAmount} €</strong></p>
+            <hr style="margin: 20px 0;">
+            <p>💡 <strong>Informations importantes :</strong></p>
+            <p>• Vous recevrez les informations d'accès quelques jours avant votre arrivée</p>
+            <p>• Pour toute question, n'hésitez pas à nous contacter</p>
+            <br>
+            <p>Merci de votre confiance ! 🏠</p>
+            <p><em>L'équipe ImmoVA</em></p>
+          `,
+        });
+
+        console.log(`✅ Email de confirmation de paiement envoyé au client: ${clientUser.email}`);
+      } else {
+        console.log(`⚠️ Impossible d'envoyer l'email de confirmation : utilisateur ou email introuvable`);
+        // Fallback avec l'email PayPal si disponible
+        if (payerEmail) {
+          console.log(`🔄 Tentative avec l'email PayPal: ${payerEmail}`);
+          const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || "smtp.gmail.com",
+            port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 465,
+            secure: true,
+            auth: {
+              user: process.env.RECEIVER_EMAIL,
+              pass: process.env.SMTP_PASS,
+            },
+          });
+
+          await transporter.sendMail({
+            from: `"🏠 ImmoVA - Paiement" <${process.env.RECEIVER_EMAIL}>`,
+            to: payerEmail,
+            subject: "✅ Confirmation de paiement",
+            html: `
+              <h2>Bonjour,</h2>
+              <p>Votre paiement de <strong>${paidAmount} €</strong> a bien été reçu ✅.</p>
+              <p>Numéro de réservation : <strong>${booking._id}</strong></p>
+              <p>Appartement : ${booking.apartmentId}</p>
+              <p>Du ${new Date(booking.startDate).toLocaleDateString()} au ${new Date(booking.endDate).toLocaleDateString()}</p>
+              <p>Merci de votre confiance.</p>
+            `,
+          });
+          console.log(`✅ Email de confirmation envoyé via PayPal email: ${payerEmail}`);
+        }
+      }
+    } catch (emailError) {
+      console.error("⚠️ Erreur envoi email confirmation client (non bloquant):", emailError);
+    }
+
+    // Email admin
+    try {
+      const adminTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "smtp.gmail.com",
+        port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 465,
+        secure: true,
+        auth: {
+          user: process.env.RECEIVER_EMAIL,
+          pass: process.env.SMTP_PASS,
+        },
+      });
+
+      await adminTransporter.sendMail({
+        from: `"VILEAU" <${process.env.RECEIVER_EMAIL}>`,
+        to: process.env.RECEIVER_EMAIL,
+        subject: `${isPartialPayment ? 'Accompte reçu' : confirmed ? 'Nouvelle réservation payée' : 'Solde reçu'}`,
+        html: `
+          <h2>${isPartialPayment ? '💰 Accompte reçu' : confirmed ? 'Nouvelle réservation confirmée 🎉' : '💰 Solde reçu'}</h2>
+          <p>Client : ${payerEmail}</p>
+          <p>Montant payé : <strong>${paidAmount} €</strong></p>
+          <p>Montant total : <strong>${totalPrice} €</strong></p>
+          ${isPartialPayment ? `<p><strong>⚠️ Reste à payer : ${remainingAmount.toFixed(2)} €</strong></p>` : ''}
+          <p>Réservation : ${booking._id}</p>
+          <p>Appartement : ${booking.apartmentId}</p>
+          <p>Période : ${new Date(booking.startDate).toLocaleDateString()} - ${new Date(booking.endDate).toLocaleDateString()}</p>
+        `,
+      });
+    } catch (adminError) {
+      console.error("⚠️ Erreur envoi email admin (non bloquant):", adminError);
+    }
+
+    // Email à la personne tiers (préparation logements), une fois la réservation confirmée
+    if (confirmed && process.env.THIRD_PARTY_EMAIL) {
+      try {
+        const thirdPartyTransporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST || "smtp.gmail.com",
+          port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 465,
+          secure: true,
+          auth: {
+            user: process.env.RECEIVER_EMAIL,
+            pass: process.env.SMTP_PASS,
+          },
+        });
+
+        // Déterminer si c'est un paiement partiel ou complet
+        const paymentType = isPartialPayment ? "ACCOMPTE" : "PAIEMENT COMPLET";
+
+        await thirdPartyTransporter.sendMail({
+          from: `"🏠 ImmoVA - Préparation" <${process.env.RECEIVER_EMAIL}>`,
+          to: process.env.THIRD_PARTY_EMAIL,
+          subject: `🔔 Nouvelle arrivée à préparer - ${booking.apartmentId}`,
+          html: `
+            <h2>🏠 Nouvelle réservation confirmée - Préparation requise</h2>
+            <hr>
+
+            <h3>📋 Informations logement :</h3>
+            <p><strong>Logement :</strong> ${booking.apartmentId}</p>
+            <p><strong>Arrivée :</strong> ${new Date(booking.startDate).toLocaleDateString("fr-FR")}</p>
+            <p><strong>Départ :</strong> ${new Date(booking.endDate).toLocaleDateString("fr-FR")}</p>
+            <p><strong>Réservation :</strong> #${booking._id}</p>
+
+            <hr>
+
+            <h3>👥 Informations client :</h3>
+            <p><strong>Nom :</strong> ${clientUser?.lastname || 'N/C'} ${clientUser?.firstname || 'N/C'}</p>
+            <p><strong>Email :</strong> ${clientUser?.email || payerEmail || 'N/C'}</p>
+            <p><strong>Téléphone :</strong> ${booking.guestDetails?.contactPhone || clientUser?.phone || 'N/C'}</p>
+
+            <hr>
+
+            <h3>🎫 Détails séjour :</h3>
+            <p><strong>Adultes :</strong> ${booking.guestDetails?.adults || 1}</p>
+            <p><strong>Enfants :</strong> ${booking.guestDetails?.children?.length || 0}</p>
+            <p><strong>Animaux :</strong> ${booking.guestDetails?.pets?.length || 0}</p>
+            <p><strong>Pack linge :</strong> ${booking.additionalServices?.linen?.included ? '✅ OUI' : '❌ NON'}</p>
+
+            <hr>
+
+            <h3>💰 Paiement :</h3>
+            <p><strong>Type :</strong> <span style="color: ${isPartialPayment ? 'orange' : 'green'}; font-weight: bold;">${paymentType}</span></p>
+            <p><strong>Montant payé :</strong> ${paidAmount} €</p>
+            <p><strong>Montant total :</strong> ${totalPrice} €</p>
+            ${isPartialPayment ? `<p><strong>⚠️ Reste à payer :</strong> <span style="color: red; font-weight: bold;">${remainingAmount.toFixed(2)} €</span></p>` : ''}
+
+            <hr>
+
+            ${booking.guestDetails?.specialRequests ? `
+            <h3>💬 Demandes spéciales :</h3>
+            <p><em>"${booking.guestDetails.specialRequests}"</em></p>
+            <hr>
+            ` : ''}
+
+            <p style="background: #e3f2fd; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <strong>📝 Action requise :</strong> Merci de préparer le logement pour l'arrivée du ${new Date(booking.startDate).toLocaleDateString("fr-FR")}.
+            </p>
+
+            <p><em>Cet email est généré automatiquement par le système ImmoVA.</em></p>
+          `,
+        });
+
+        console.log(`✅ Email de préparation envoyé à la personne tiers: ${process.env.THIRD_PARTY_EMAIL}`);
+      } catch (thirdPartyError) {
+        console.error("⚠️ Erreur envoi email personne tiers (non bloquant):", thirdPartyError);
+      }
+    }
+  }
+
+  /**
+   * Rappel d'échéance de paiement au client ; en cas de retard, l'administrateur est prévenu
+   * @param {Object} booking - Réservation
+   * @param {Object} instalment - Échéance concernée (voir Booking.paymentSchedule)
+   * @param {Object} options - { overdue } : true si l'échéance est dépassée
+   */
+  static async sendPaymentReminderEmail(booking, instalment, { overdue = false } = {}) {
+    try {
+      const transporter = nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        },
+      });
+
+      const clientUser = await User.findById(booking.userId);
+      const formatDate = (date) => new Date(date).toLocaleDateString("fr-FR", { timeZone: "UTC" });
+      const label = { deposit: "l'acompte", balance: "le solde", full: "le paiement" }[instalment.kind];
+      const details = `
+        <p>• Réservation : <strong>#${booking._id}</strong></p>
+        <p>• Logement : <strong>${booking.apartmentId}</strong></p>
+        <p>• Période : du ${formatDate(booking.startDate)} au ${formatDate(booking.endDate)}</p>
+        <p>• Montant à régler : <strong>${instalment.amount} €</strong> avant le ${formatDate(instalment.dueDate)}</p>
+      `;
+
+      const mails = [];
+      if (clientUser?.email) {
+        mails.push(
+          transporter.sendMail({
+            from: `"🏠 ImmoVA - Paiement" <${process.env.SMTP_USER}>`,
+            to: clientUser.email,
+            subject: overdue
+              ? `⚠️ Paiement en retard - Réservation ${booking.apartmentId}`
+              : `⏰ Rappel : ${label} de votre réservation arrive à échéance`,
+            html: `
+              <h2>Bonjour ${clientUser.firstname || ""},</h2>
+              <p>${overdue
+                ? `L'échéance pour ${label} de votre réservation est dépassée.`
+                : `Nous vous rappelons que ${label} de votre réservation arrive bientôt à échéance.`}</p>
+              ${details}
+              <p>Vous pouvez régler depuis la page "Mes locations".</p>
+              <p><em>L'équipe ImmoVA</em></p>
+            `,
+          })
+        );
+      }
+
+      if (overdue) {
+        mails.push(
+          transporter.sendMail({
+            from: `"🏠 ImmoVA - Paiement" <${process.env.SMTP_USER}>`,
+            to: process.env.RECEIVER_EMAIL,
+            subject: `⚠️ Échéance impayée - ${booking.apartmentId}`,
+            html: `
+              <h2>Échéance de paiement dépassée</h2>
+              <p>Client : ${clientUser?.firstname || ""} ${clientUser?.lastname || ""} (${clientUser?.email || "N/C"})</p>
+              ${details}
+              <p>Déjà payé : <strong>${booking.paidAmount || 0} €</strong> sur ${booking.totalPrice || booking.price} €</p>
+            `,
+          })
+        );
+      }
+
+      await Promise.all(mails);
+      console.log(`✅ ${overdue ? "Relance" : "Rappel"} de paiement envoyé pour la réservation ${booking._id}`);
+
+    } catch (error) {
+      console.error('❌ Erreur envoi rappel de paiement:', error);
+      throw error;
+    }
+  }
+
   /**
    * Génère un aperçu de l'email (pour tests/développement)
    * @param {Array} sampleBookings - Données d'exemple (optionnel)
@@ -6,6 +6,15 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const TEMPLATES_DIR = path.join(__dirname, "..", "templates");
 
+// Texte saisi (voyageur, administrateur) inséré dans le HTML des emails
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 export class EmailTemplateService {
   /**
    * Charge un template HTML depuis un fichier
@@ -39,6 +48,34 @@ export class EmailTemplateService {
     return result;
   }
 
+  /**
+   * Génère une ligne par supplément voyageur (personnes supplémentaires, animaux)
+   * @param {Object} booking - Réservation
+   * @returns {string} HTML des lignes (vide si aucun supplément)
+   */
+  static buildSurchargeRows(booking) {
+    return (booking.surcharges || [])
+      .map(
+        (s) =>
+          `<div class="detail-row"><span class="detail-label">➕ ${escapeHtml(s.label)}: </span><span class="detail-value">${s.amount} €</span></div>`
+      )
+      .join("");
+  }
+
+  /**
+   * Génère une ligne par réduction appliquée à une réservation
+   * @param {Object} booking - Réservation
+   * @returns {string} HTML des lignes (vide si aucune réduction)
+   */
+  static buildDiscountRows(booking) {
+    return (booking.discounts || [])
+      .map(
+        (d) =>
+          `<div class="detail-row"><span class="detail-label">🏷️ ${escapeHtml(d.label)}: </span><span class="detail-value">-${d.amount} €</span></div>`
+      )
+      .join("");
+  }
+
   /**
    * Génère l'email complet pour les réservations
    * @param {Array} bookings - Liste des réservations
@@ -103,6 +140,17 @@ export class EmailTemplateService {
               ? `<div class="detail-row"><span class="detail-label">🛏️ Pack linge: </span><span class="detail-value">${booking.additionalServices.linen.price} €</span></div>`
               : "",
 
+            // Suppléments voyageurs
+            SURCHARGE_ROWS: this.buildSurchargeRows(booking),
+
+            // Réductions appliquées
+            DISCOUNT_ROWS: this.buildDiscountRows(booking),
+
+            // Taxe de séjour conditionnelle
+            TOURIST_TAX_ROW: booking.touristTax?.amount > 0
+              ? `<div class="detail-row"><span class="detail-label">🏛️ Taxe de séjour: </span><span class="detail-value">${booking.touristTax.amount} €</span></div>`
+              : "",
+
             // Enfants conditionnels
             CHILDREN_ROW:
               booking.guestDetails?.children &&
@@ -121,24 +169,24 @@ export class EmailTemplateService {
                   booking.guestDetails.pets
                     .map(
                       (p) =>
-                        `<div class="pet-detail">• ${p.type}${p.size ? ` (taille: ${p.size})` : ""}</div>`
+                        `<div class="pet-detail">• ${escapeHtml(p.type)}${p.size ? ` (taille: ${escapeHtml(p.size)})` : ""}</div>`
                     )
                     .join("")
                 : "",
 
             // Contact téléphone conditionnel
             CONTACT_PHONE_ROW: booking.guestDetails?.contactPhone
-              ? `<div class="detail-row"><span class="detail-label">📞 Téléphone: </span><span class="detail-value">${booking.guestDetails.contactPhone}</span></div>`
+              ? `<div class="detail-row"><span class="detail-label">📞 Téléphone: </span><span class="detail-value">${escapeHtml(booking.guestDetails.contactPhone)}</span></div>`
               : "",
 
             // Raison de la réservation conditionnelle
             REASON_ROW: booking.guestDetails?.reason
-              ? `<div class="detail-row"><span class="detail-label">🎯 Motif: </span><span class="detail-value">${booking.guestDetails.reason}</span></div>`
+              ? `<div class="detail-row"><span class="detail-label">🎯 Motif: </span><span class="detail-value">${escapeHtml(booking.guestDetails.reason)}</span></div>`
               : "",
 
             // Message conditionnel
             SPECIAL_REQUESTS_ROW: booking.guestDetails?.specialRequests
-              ? `<div class="detail-row special-request"><span class="detail-label">💬 Message: </span><span class="detail-value"><em>${booking.guestDetails.specialRequests}</em></span></div>`
+              ? `<div class="detail-row special-request"><span class="detail-label">💬 Message: </span><span class="detail-value"><em>${escapeHtml(booking.guestDetails.specialRequests)}</em></span></div>`
               : "",
           };
 
@@ -181,6 +229,17 @@ export class EmailTemplateService {
               ? `<div class="detail-row"><span class="detail-label">🛏️ Pack linge: </span><span class="detail-value">${booking.additionalServices.linen.price} €</span></div>`
               : "",
 
+            // Suppléments voyageurs
+            SURCHARGE_ROWS: this.buildSurchargeRows(booking),
+
+            // Réductions appliquées
+            DISCOUNT_ROWS: this.buildDiscountRows(booking),
+
+            // Taxe de séjour conditionnelle
+            TOURIST_TAX_ROW: booking.touristTax?.amount > 0
+              ? `<div class="detail-row"><span class="detail-label">🏛️ Taxe de séjour: </span><span class="detail-value">${booking.touristTax.amount} €</span></div>`
+              : "",
+
             // Enfants conditionnels
             CHILDREN_ROW:
               booking.guestDetails?.children &&
@@ -199,24 +258,24 @@ export class EmailTemplateService {
                   booking.guestDetails.pets
                     .map(
                       (p) =>
-                        `<div class="pet-detail">• ${p.type}${p.size ? ` (taille: ${p.size})` : ""}</div>`
+                        `<div class="pet-detail">• ${escapeHtml(p.type)}${p.size ? ` (taille: ${escapeHtml(p.size)})` : ""}</div>`
                     )
                     .join("")
                 : "",
 
             // Contact téléphone conditionnel
             CONTACT_PHONE_ROW: booking.guestDetails?.contactPhone
-              ? `<div class="detail-row"><span class="detail-label">📞 Téléphone: </span><span class="detail-value">${booking.guestDetails.contactPhone}</span></div>`
+              ? `<div class="detail-row"><span class="detail-label">📞 Téléphone: </span><span class="detail-value">${escapeHtml(booking.guestDetails.contactPhone)}</span></div>`
               : "",
 
             // Raison de la réservation conditionnelle
             REASON_ROW: booking.guestDetails?.reason
-              ? `<div class="detail-row"><span class="detail-label">🎯 Motif: </span><span class="detail-value">${booking.guestDetails.reason}</span></div>`
+              ? `<div class="detail-row"><span class="detail-label">🎯 Motif: </span><span class="detail-value">${escapeHtml(booking.guestDetails.reason)}</span></div>`
               : "",
 
             // Message conditionnel
             SPECIAL_REQUESTS_ROW: booking.guestDetails?.specialRequests
-              ? `<div class="detail-row special-request"><span class="detail-label">💬 Message: </span><span class="detail-value"><em>${booking.guestDetails.specialRequests}</em></span></div>`
+              ? `<div class="detail-row special-request"><span class="detail-label">💬 Message: </span><span class="detail-value"><em>${escapeHtml(booking.guestDetails.specialRequests)}</em></span></div>`
               : "",
           };
 
@@ -294,6 +353,17 @@ export class EmailTemplateService {
               ? `<div class="detail-row"><span class="detail-label">🛏️ Pack linge: </span><span class="detail-value">${booking.additionalServices.linen.price} €</span></div>`
               : "",
 
+            // Suppléments voyageurs
+            SURCHARGE_ROWS: this.buildSurchargeRows(booking),
+
+            // Réductions appliquées
+            DISCOUNT_ROWS: this.buildDiscountRows(booking),
+
+            // Taxe de séjour conditionnelle
+            TOURIST_TAX_ROW: booking.touristTax?.amount > 0
+              ? `<div class="detail-row"><span class="detail-label">🏛️ Taxe de séjour: </span><span class="detail-value">${booking.touristTax.amount} €</span></div>`
+              : "",
+
             // Enfants conditionnels
             CHILDREN_ROW:
               booking.guestDetails?.children &&
@@ -309,15 +379,15 @@ export class EmailTemplateService {
 
             // Demandes spéciales
             SPECIAL_REQUESTS_ROW: booking.guestDetails?.specialRequests
-              ? `<div class="detail-row"><span class="detail-label">💬 Demandes: </span><span class="detail-value">${booking.guestDetails.specialRequests}</span></div>`
+              ? `<div class="detail-row"><span class="detail-label">💬 Demandes: </span><span class="detail-value">${escapeHtml(booking.guestDetails.specialRequests)}</span></div>`
               : "",
 
             CONTACT_PHONE_ROW: booking.guestDetails?.contactPhone
-              ? `<div class="detail-row"><span class="detail-label">📞 Téléphone: </span><span class="detail-value">${booking.guestDetails.contactPhone}</span></div>`
+              ? `<div class="detail-row"><span class="detail-label">📞 Téléphone: </span><span class="detail-value">${escapeHtml(booking.guestDetails.contactPhone)}</span></div>`
               : "",
 
             REASON_ROW: booking.guestDetails?.reason
-              ? `<div class="detail-row"><span class="detail-label">🎯 Motif: </span><span class="detail-value">${booking.guestDetails.reason}</span></div>`
+              ? `<div class="detail-row"><span class="detail-label">🎯 Motif: </span><span class="detail-value">${escapeHtml(booking.guestDetails.reason)}</span></div>`
               : ""
           };
 
@@ -0,0 +1,196 @@
+// =======================================
+// --- LEDGER SERVICE ---
+// =======================================
+// Registre des paiements (models/paymentTransaction.js) : écritures idempotentes
+// et soldes des réservations dérivés des écritures
+
+import PaymentTransaction from '../models/paymentTransaction.js';
+import Booking from '../models/booking.js';
+import { PAYABLE_STATUSES } from './paymentScheduleService.js';
+import { roundAmount } from '../modules/money.js';
+import { allocatePayments, computeBalanceDue, isInstalmentOverdue } from '../modules/paymentSchedule.js';
+
+// Écritures qui encaissent de l'argent
+const CREDIT_TYPES = ['capture', 'manual'];
+
+const sumAmounts = (transactions) =>
+  roundAmount(transactions.reduce((sum, transaction) => sum + transaction.amount, 0));
+
+/**
+ * Totaux d'une liste d'écritures (seules les écritures abouties comptent)
+ * @param {Array<Object>} transactions - Écritures d'une réservation
+ * @returns {Object} { received, refunded, net, pendingRefunds }
+ */
+export function summarizeTransactions(transactions) {
+  const completed = transactions.filter(transaction => transaction.status === 'completed');
+  const received = sumAmounts(completed.filter(transaction => CREDIT_TYPES.includes(transaction.type)));
+  const refunded = sumAmounts(completed.filter(transaction => transaction.type === 'refund'));
+
+  return {
+    received,
+    refunded,
+    net: roundAmount(received - refunded),
+    pendingRefunds: sumAmounts(
+      transactions.filter(transaction => transaction.type === 'refund' && transaction.status === 'pending')
+    )
+  };
+}
+
+// --- Ledger Service Class ---
+export class LedgerService {
+
+  /**
+   * Enregistre une écriture. Avec une référence du prestataire, l'écriture est unique
+   * (prestataire, type, référence, réservation) : un second enregistrement met à jour
+   * son statut au lieu de la dupliquer.
+   * @param {Object} entry - Champs de PaymentTransaction
+   * @returns {Object} Écriture enregistrée
+   */
+  static async record(entry) {
+    // Une capture est toujours identifiée par le prestataire (elle peut être remboursée)
+    if (entry.type === 'capture' && !entry.providerReference) {
+      throw new Error('Capture sans référence du prestataire : enregistrer un paiement manuel');
+    }
+
+    if (entry.booking) {
+      await this.importLegacyPayment(entry.booking);
+    }
+
+    if (!entry.providerReference) {
+      return PaymentTransaction.create(entry);
+    }
+
+    const { provider, type, providerReference, booking = null, status = 'completed', raw, ...details } = entry;
+    const key = { provider, type, providerReference, booking };
+    const update = {
+      $set: { status, ...(raw !== undefined && { raw }) },
+      $setOnInsert: details
+    };
+
+    try {
+      return await PaymentTransaction.findOneAndUpdate(key, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+    } catch (error) {
+      // Deux enregistrements simultanés : le second met à jour l'écriture créée par le premier
+      if (error.code !== 11000) throw error;
+      return PaymentTransaction.findOneAndUpdate(key, { $set: update.$set }, { new: true });
+    }
+  }
+
+  /**
+   * Reprend dans le registre le paiement d'une réservation antérieure au registre
+   * (paidAmount sans écriture), pour que son solde reste juste
+   * @param {ObjectId} bookingId - Réservation
+   */
+  static async importLegacyPayment(bookingId) {
+    if (await PaymentTransaction.exists({ booking: bookingId })) return;
+
+    const booking = await Booking.findById(bookingId)
+      .select('paidAmount paymentCaptureId paymentId paymentDate')
+      .lean();
+    if (!(booking?.paidAmount > 0)) return;
+
+    const key = booking.paymentCaptureId
+      ? { provider: 'paypal', type: 'capture', providerReference: booking.paymentCaptureId, booking: booking._id }
+      : { provider: 'legacy', type: 'manual', providerReference: `legacy-${booking._id}`, booking: booking._id };
+
+    try {
+      await PaymentTransaction.updateOne(
+        key,
+        {
+          $setOnInsert: {
+            status: 'completed',
+            amount: booking.paidAmount,
+            currency: 'EUR',
+            providerOrderId: booking.paymentId,
+            note: `Paiement antérieur au registre${booking.paymentDate ? ` (${new Date(booking.paymentDate).toISOString()})` : ''}`
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Écritures d'une réservation, de la plus ancienne à la plus récente
+   * @param {ObjectId} bookingId - Réservation
+   * @returns {Array<Object>} Écritures
+   */
+  static async listForBooking(bookingId) {
+    return PaymentTransaction.find({ booking: bookingId })
+      .populate('recordedBy', 'firstname lastname email')
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Totaux encaissés et remboursés d'une réservation
+   * @param {ObjectId} bookingId - Réservation
+   * @returns {Object} { received, refunded, net, pendingRefunds }
+   */
+  static async getBookingBalance(bookingId) {
+    await this.importLegacyPayment(bookingId);
+    return summarizeTransactions(await PaymentTransaction.find({ booking: bookingId }).lean());
+  }
+
+  /**
+   * Captures d'une réservation encore remboursables, les plus récentes d'abord
+   * (les paiements manuels, vérifiés ou non, ne sont jamais remboursés via le prestataire)
+   * @param {ObjectId} bookingId - Réservation
+   * @returns {Array<Object>} { captureId, provider, available }
+   */
+  static async refundableCaptures(bookingId) {
+    await this.importLegacyPayment(bookingId);
+    const transactions = await PaymentTransaction.find({ booking: bookingId }).sort({ createdAt: -1 }).lean();
+
+    return transactions
+      .filter(transaction => transaction.type === 'capture' && transaction.status === 'completed')
+      .map(capture => {
+        const refunds = transactions.filter(transaction =>
+          transaction.type === 'refund' &&
+          transaction.status !== 'failed' &&
+          transaction.captureReference === capture.providerReference
+        );
+        return {
+          captureId: capture.providerReference,
+          provider: capture.provider,
+          available: roundAmount(capture.amount - sumAmounts(refunds))
+        };
+      })
+      .filter(capture => capture.available > 0);
+  }
+
+  /**
+   * Recalcule le montant payé, le reste à payer et l'échéancier d'une réservation
+   * depuis le registre (après un paiement manuel par exemple)
+   * @param {ObjectId} bookingId - Réservation
+   * @param {Date} now - Date de référence
+   * @returns {Object|null} Réservation à jour
+   */
+  static async syncBooking(bookingId, now = new Date()) {
+    const booking = await Booking.findById(bookingId).lean();
+    if (!booking) return null;
+
+    const { received } = await this.getBookingBalance(bookingId);
+    const schedule = allocatePayments(booking.paymentSchedule || [], received, now);
+
+    return Booking.findByIdAndUpdate(
+      bookingId,
+      {
+        $set: {
+          // Montant encaissé (les remboursements sont suivis dans cancellation)
+          paidAmount: received,
+          balanceDue: PAYABLE_STATUSES.includes(booking.status)
+            ? computeBalanceDue(booking.totalPrice || booking.price, received)
+            : 0,
+          paymentSchedule: schedule,
+          paymentOverdue: schedule.some(instalment => isInstalmentOverdue(instalment, now))
+        }
+      },
+      { new: true }
+    );
+  }
+}
+
+export default LedgerService;
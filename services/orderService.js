@@ -0,0 +1,490 @@
+// =======================================
+// --- ORDER SERVICE ---
+// =======================================
+// Commandes issues du panier : création, paiement, échec, annulation et expiration
+
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
+import Booking from '../models/booking.js';
+import Cart from '../models/cart.js';
+import { ReservationService } from './reservationService.js';
+import { BookingLifecycleService, historyEntry } from './bookingLifecycleService.js';
+import { LedgerService } from './ledgerService.js';
+import { QuoteService } from './quoteService.js';
+import { PromoCodeService } from './promoCodeService.js';
+import { paymentMatches } from './paymentService.js';
+import { getPaymentProvider } from './payments/index.js';
+import { roundAmount } from '../modules/money.js';
+
+// Délai accordé pour payer une commande
+export const ORDER_PAYMENT_DELAY_MS = 15 * 60 * 1000;
+
+// Devise des commandes payées en ligne
+const ORDER_CURRENCY = 'EUR';
+
+// Statut final de la commande et champ daté correspondant
+const CLOSING_STATUSES = {
+  failed: 'failedAt',
+  expired: 'expiredAt',
+  cancelled: 'cancelledAt'
+};
+
+// --- Order Service Class ---
+export class OrderService {
+
+  /**
+   * Crée une commande à partir du panier et des réservations temporaires associées
+   * Chaque séjour est chiffré par le devis serveur (règles de séjour, règlement du logement,
+   * code promo du panier) ; les options du panier deviennent les verrous des réservations
+   * @param {Object} cart - Panier non vide et non expiré
+   * @param {Object} options - { guestDetails } (voyageurs, linge choisi par logement, demandes)
+   * @returns {Object} { success: true, order, bookings } ou { success: false, code, error }
+   */
+  static async createFromCart(cart, { guestDetails = {} } = {}) {
+    const { userId } = cart;
+
+    // Une seule commande en attente par client : la précédente est annulée
+    const openOrders = await Order.find({ userId, status: 'pending_payment' });
+    for (const openOrder of openOrders) {
+      await this.close(openOrder, 'cancelled', 'Remplacée par une nouvelle commande', { actor: userId, channel: 'guest' });
+    }
+
+    let promo = null;
+    let promoAllowance = 0;
+    if (cart.promoCode) {
+      const promoCheck = await PromoCodeService.validate(cart.promoCode, { userId });
+      if (!promoCheck.success) {
+        return promoCheck;
+      }
+      promo = promoCheck.promo;
+      promoAllowance = promoCheck.allowance;
+    }
+
+    const quoted = await QuoteService.quoteStays(cart.items, {
+      guestDetails,
+      includeLinen: guestDetails.includeLinen || {},
+      promo,
+      promoAllowance
+    });
+    if (!quoted.success) {
+      return quoted;
+    }
+    const { quotes, promoUses } = quoted;
+
+    const orderId = new mongoose.Types.ObjectId();
+    const bookingIds = cart.items.map(() => new mongoose.Types.ObjectId());
+    const expiresAt = new Date(Date.now() + ORDER_PAYMENT_DELAY_MS);
+
+    const reservation = await ReservationService.reserve(
+      cart.items.map((item, index) => ({
+        apartmentId: item.apartmentId,
+        startDate: item.startDate,
+        endDate: item.endDate,
+        bookingId: bookingIds[index]
+      })),
+      { userId }
+    );
+    if (!reservation.success) {
+      return reservation;
+    }
+
+    // Utilisations du code promo enregistrées avant l'insertion (limite atomique) ;
+    // l'annulation des réservations temporaires les rend
+    if (promoUses > 0) {
+      const redeemed = await PromoCodeService.redeem(promo, promoUses, { userId });
+      if (!redeemed.success) {
+        await ReservationService.restoreHolds(bookingIds);
+        await ReservationService.release(bookingIds);
+        return redeemed;
+      }
+    }
+
+    try {
+      const bookings = await Booking.insertMany(
+        cart.items.map((item, index) => ({
+          _id: bookingIds[index],
+          userId,
+          orderId,
+          apartmentId: item.apartmentId,
+          startDate: item.startDate,
+          endDate: item.endDate,
+          ...QuoteService.toBookingFields(quotes[index]),
+          status: 'temporary',
+          statusHistory: [historyEntry(null, 'temporary', { actor: userId, channel: 'guest' })],
+          bookedAt: new Date(),
+          expiresAt,
+          guestDetails: {
+            adults: guestDetails.adults || 1,
+            children: guestDetails.children || [],
+            pets: guestDetails.pets || [],
+            specialRequests: guestDetails.specialRequests || '',
+            arrivalTime: guestDetails.arrivalTime || '',
+            contactPhone: guestDetails.contactPhone || '',
+            reason: guestDetails.reason || ''
+          }
+        }))
+      );
+
+      const order = await Order.create({
+        _id: orderId,
+        userId,
+        items: cart.items.map((item, index) => ({
+          apartmentId: item.apartmentId,
+          startDate: item.startDate,
+          endDate: item.endDate,
+          price: quotes[index].accommodation,
+          totalPrice: quotes[index].total,
+          promoCode: quotes[index].promoCode || undefined,
+          bookingId: bookingIds[index]
+        })),
+        totalPrice: roundAmount(quotes.reduce((sum, quote) => sum + quote.total, 0)),
+        expiresAt
+      });
+
+      console.log(`🧾 [ORDER] Commande ${order._id} créée (${bookings.length} réservation(s) temporaire(s), ${order.totalPrice} €)`);
+      return { success: true, order, bookings };
+    } catch (err) {
+      await Booking.deleteMany({ _id: { $in: bookingIds } });
+      await ReservationService.restoreHolds(bookingIds);
+      await ReservationService.release(bookingIds);
+      if (promoUses > 0) {
+        await PromoCodeService.release(promo.code, promoUses, { userId });
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Crée chez le prestataire la commande de paiement liée à la commande du panier
+   * (référence = ID de la commande) et fixe le montant attendu ; en cas d'échec la
+   * commande est clôturée et ses dates libérées
+   * @param {Object} order - Commande en attente de paiement
+   * @param {Object} urls - { returnUrl, cancelUrl }
+   * @returns {Object} { success: true, order, approvalUrl } ou { success: false, code, error }
+   */
+  static async startPayment(order, { returnUrl, cancelUrl } = {}) {
+    const provider = getPaymentProvider();
+    const created = await provider.createOrder({
+      amount: order.totalPrice,
+      currency: ORDER_CURRENCY,
+      reference: order._id.toString(),
+      returnUrl,
+      cancelUrl
+    });
+    if (!created.success) {
+      await this.close(order, 'failed', 'Création du paiement impossible', { channel: 'payment' });
+      return { success: false, code: created.code || 'PROVIDER_ERROR', error: created.error || 'Erreur création du paiement' };
+    }
+
+    const { id: providerOrderId, approvalUrl } = created.order;
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending_payment' },
+      {
+        $set: {
+          paymentProvider: provider.name,
+          providerOrderId,
+          expectedPayment: { amount: order.totalPrice, currency: ORDER_CURRENCY, createdAt: new Date() }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return { success: false, code: 'ORDER_NOT_PAYABLE', error: 'Cette commande ne peut plus être payée' };
+    }
+
+    await LedgerService.record({
+      type: 'authorization',
+      provider: provider.name,
+      providerReference: providerOrderId,
+      amount: order.totalPrice,
+      currency: ORDER_CURRENCY,
+      order: order._id,
+      status: 'pending',
+      raw: created.order.raw
+    });
+
+    console.log(`💳 [ORDER] Paiement ${providerOrderId} créé pour la commande ${order._id}`);
+    return { success: true, order: updated, approvalUrl };
+  }
+
+  /**
+   * Capture côté serveur le paiement de la commande auprès du prestataire, puis la
+   * termine ; aucune donnée de paiement envoyée par le client n'est utilisée
+   * @param {Object} order - Commande
+   * @returns {Object} { success: true, order, bookings, alreadyPaid } ou { success: false, code, error }
+   */
+  static async capturePayment(order) {
+    const current = await this.expireIfOverdue(order);
+    if (current.status === 'completed' && current.paymentId && current.paymentId === current.providerOrderId) {
+      return { success: true, order: current, bookings: await Booking.find({ orderId: current._id }), alreadyPaid: true };
+    }
+    if (current.status === 'expired') {
+      return { success: false, code: 'ORDER_EXPIRED', error: 'Commande expirée, le délai de paiement est dépassé' };
+    }
+    if (current.status !== 'pending_payment') {
+      return { success: false, code: 'ORDER_NOT_PAYABLE', error: 'Cette commande ne peut plus être payée' };
+    }
+    if (!current.providerOrderId) {
+      return { success: false, code: 'PAYMENT_NOT_STARTED', error: 'Aucun paiement en cours pour cette commande' };
+    }
+
+    const provider = getPaymentProvider();
+    const expected = current.expectedPayment;
+
+    // Vérifier le montant de la commande du prestataire avant de capturer les fonds
+    const status = await provider.getOrder(current.providerOrderId);
+    if (!status.success) {
+      return { success: false, code: status.code || 'PROVIDER_ERROR', error: status.error };
+    }
+    if (!paymentMatches(status.order, expected)) {
+      console.error(`❌ [ORDER] Paiement ${current.providerOrderId}: ${status.order.amount} ${status.order.currency} ≠ attendu ${expected?.amount} ${expected?.currency}`);
+      return { success: false, code: 'AMOUNT_MISMATCH', error: 'Le montant du paiement ne correspond pas à la commande' };
+    }
+
+    // Paiement déjà capturé (retour client en double, webhook reçu en premier)
+    let capture;
+    if (status.order.status === 'COMPLETED' && status.order.captureId) {
+      capture = {
+        orderId: current.providerOrderId,
+        captureId: status.order.captureId,
+        status: 'COMPLETED',
+        amount: status.order.amount,
+        currency: status.order.currency,
+        raw: status.order.raw
+      };
+    } else {
+      const captureResult = await provider.captureOrder(current.providerOrderId);
+      if (!captureResult.success) {
+        return { success: false, code: captureResult.code || 'PROVIDER_ERROR', error: captureResult.error };
+      }
+      capture = captureResult.capture;
+    }
+
+    if (capture.status !== 'COMPLETED') {
+      return { success: false, code: 'PAYMENT_NOT_COMPLETED', error: 'Paiement non complété' };
+    }
+    if (!paymentMatches(capture, expected)) {
+      console.error(`❌ [ORDER] Capture ${capture.captureId}: ${capture.amount} ${capture.currency} ≠ commande ${current._id} (${expected?.amount} ${expected?.currency})`);
+      return { success: false, code: 'AMOUNT_MISMATCH', error: 'Le montant capturé ne correspond pas à la commande' };
+    }
+
+    const paid = await this.markPaid(current, { capture, provider: provider.name, source: 'capture' });
+    if (!paid.success && paid.code === 'ORDER_NOT_PAYABLE') {
+      // Le webhook a terminé la commande entre-temps avec ce même paiement
+      const latest = await Order.findById(current._id);
+      if (latest?.status === 'completed' && latest.paymentId === capture.orderId) {
+        return { success: true, order: latest, bookings: await Booking.find({ orderId: latest._id }), alreadyPaid: true };
+      }
+    }
+    return paid;
+  }
+
+  /**
+   * Commande d'un client, expirée au passage si le délai de paiement est dépassé
+   * @param {string} orderId - ID de la commande
+   * @param {string} userId - Client propriétaire
+   * @returns {Object|null} Commande ou null si introuvable
+   */
+  static async findForUser(orderId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return null;
+    }
+
+    const order = await Order.findOne({ _id: orderId, userId });
+    if (!order) return null;
+
+    return this.expireIfOverdue(order);
+  }
+
+  /**
+   * Paiement reçu : la commande est terminée et ses réservations passent en attente de l'hôte
+   * Le panier du client est vidé
+   * @param {Object} order - Commande
+   * @param {Object} payment - { capture, provider, source }
+   *   capture : capture confirmée par le prestataire { orderId, captureId, amount, currency, payerEmail, raw }
+   * @returns {Object} { success: true, order, bookings } ou { success: false, code, error }
+   */
+  static async markPaid(order, { capture, provider = getPaymentProvider().name, source } = {}) {
+    const current = await this.expireIfOverdue(order);
+    if (current.status === 'expired') {
+      console.error(`❌ [ORDER] Capture ${capture.captureId} reçue pour la commande expirée ${order._id} : à traiter manuellement`);
+      return { success: false, code: 'ORDER_EXPIRED', error: 'Commande expirée, le délai de paiement est dépassé' };
+    }
+
+    const paymentId = capture.orderId;
+    const paymentDetails = {
+      source,
+      captureId: capture.captureId,
+      amount: capture.amount,
+      currency: capture.currency,
+      payerEmail: capture.payerEmail
+    };
+
+    // Transition atomique : un même paiement ne peut terminer la commande qu'une fois
+    const completed = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending_payment' },
+      { status: 'completed', paymentId, paymentDetails, completedAt: new Date() },
+      { new: true }
+    );
+    if (!completed) {
+      return { success: false, code: 'ORDER_NOT_PAYABLE', error: 'Cette commande ne peut plus être payée' };
+    }
+
+    await BookingLifecycleService.transitionMany(
+      completed.items.map(item => item.bookingId).filter(Boolean),
+      'temporary',
+      'pending',
+      {
+        actor: order.userId,
+        channel: 'payment',
+        set: { paymentId, paymentCaptureId: capture.captureId, paymentDate: completed.completedAt },
+        unset: { expiresAt: '' }
+      }
+    );
+
+    // Une écriture par réservation, à hauteur de son total. Seule une capture confirmée
+    // par le prestataire (ID de capture) est une capture remboursable ; à défaut le
+    // paiement est noté manuel, non vérifié, et n'est jamais remboursé automatiquement
+    const paidItems = completed.items.filter(item => item.bookingId);
+    const itemTotal = item => item.totalPrice ?? item.price;
+    for (const item of paidItems) {
+      await LedgerService.record(capture.captureId
+        ? {
+          type: 'capture',
+          provider,
+          providerReference: capture.captureId,
+          providerOrderId: paymentId,
+          amount: itemTotal(item),
+          currency: capture.currency,
+          booking: item.bookingId,
+          order: completed._id,
+          raw: capture.raw
+        }
+        : {
+          type: 'manual',
+          provider: 'unverified',
+          providerOrderId: paymentId,
+          amount: itemTotal(item),
+          booking: item.bookingId,
+          order: completed._id,
+          note: `Paiement ${paymentId} non vérifié auprès du prestataire`,
+          raw: capture.raw
+        });
+    }
+    if (completed.providerOrderId) {
+      await LedgerService.record({
+        type: 'authorization',
+        provider,
+        providerReference: completed.providerOrderId,
+        amount: completed.totalPrice,
+        order: completed._id,
+        status: 'completed'
+      });
+    }
+
+    // Chaque réservation est réglée à hauteur de son total
+    await Booking.bulkWrite(
+      paidItems.map(item => ({
+        updateOne: { filter: { _id: item.bookingId }, update: { $set: { paidAmount: itemTotal(item), balanceDue: 0 } } }
+      }))
+    );
+    const bookings = await Booking.find({ orderId: order._id });
+
+    // Le panier commandé est soldé
+    await Cart.deleteOne({ userId: order.userId });
+    await ReservationService.releaseHolds({ userId: order.userId });
+
+    console.log(`✅ [ORDER] Commande ${order._id} payée (${paymentId}, capture ${capture.captureId})`);
+    return { success: true, order: completed, bookings };
+  }
+
+  /**
+   * Clôt une commande en attente (échec, expiration, annulation)
+   * Les réservations temporaires sont annulées et leurs nuits libérées
+   * @param {Object} order - Commande
+   * @param {string} status - failed | expired | cancelled
+   * @param {string} reason - Motif éventuel
+   * @param {Object} context - { actor, channel } à l'origine de la clôture
+   * @returns {Object|null} Commande clôturée, ou null si elle n'était plus en attente
+   */
+  static async close(order, status, reason, { actor, channel = 'system' } = {}) {
+    const dateField = CLOSING_STATUSES[status];
+    if (!dateField) {
+      throw new Error(`Statut de clôture invalide: ${status}`);
+    }
+
+    const closed = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending_payment' },
+      { status, [dateField]: new Date(), ...(reason && { failureReason: reason }) },
+      { new: true }
+    );
+    if (!closed) return null;
+
+    // Les articles encore au panier retrouvent leur option, puis l'annulation
+    // des réservations temporaires libère les autres nuits
+    const bookingIds = closed.items.map(item => item.bookingId).filter(Boolean);
+    await ReservationService.restoreHolds(bookingIds);
+    await BookingLifecycleService.transitionMany(
+      bookingIds,
+      'temporary',
+      'cancelled',
+      { actor, channel, reason: reason || `Commande ${status}` }
+    );
+
+    console.log(`🧾 [ORDER] Commande ${order._id} clôturée: ${status}${reason ? ` (${reason})` : ''}`);
+    return closed;
+  }
+
+  /**
+   * Expire la commande si son délai de paiement est dépassé
+   * @param {Object} order - Commande
+   * @returns {Object} Commande à jour
+   */
+  static async expireIfOverdue(order) {
+    if (order.status !== 'pending_payment' || order.expiresAt > new Date()) {
+      return order;
+    }
+
+    return (await this.close(order, 'expired')) || Order.findById(order._id);
+  }
+
+  /**
+   * Expire toutes les commandes impayées dont le délai est dépassé
+   * @param {Date} now - Date de référence
+   * @returns {number} Nombre de commandes expirées
+   */
+  static async expireOverdue(now = new Date()) {
+    const overdue = await Order.find({ status: 'pending_payment', expiresAt: { $lte: now } });
+
+    let expired = 0;
+    for (const order of overdue) {
+      if (await this.close(order, 'expired')) expired++;
+    }
+
+    return expired;
+  }
+
+  /**
+   * Expire les commandes impayées dépassées qui retiennent des utilisations d'un code promo
+   * (appelé à la vérification du code, sans attendre la tâche planifiée)
+   * @param {string} code - Code promo
+   * @param {Date} now - Date de référence
+   * @returns {number} Nombre de commandes expirées
+   */
+  static async expireOverdueForPromo(code, now = new Date()) {
+    const orderIds = await Booking.find({ promoCode: code, status: 'temporary', expiresAt: { $lte: now } })
+      .distinct('orderId');
+    if (orderIds.length === 0) return 0;
+
+    const overdue = await Order.find({ _id: { $in: orderIds }, status: 'pending_payment', expiresAt: { $lte: now } });
+
+    let expired = 0;
+    for (const order of overdue) {
+      if (await this.close(order, 'expired')) expired++;
+    }
+
+    return expired;
+  }
+}
+
+export default OrderService;
@@ -0,0 +1,143 @@
+// =======================================
+// --- PAYMENT SCHEDULE SERVICE ---
+// =======================================
+// Acompte à l'acceptation, solde avant l'arrivée, rappels et retards de paiement
+// Règles configurées dans GlobalSettings.payment_rules (voir modules/paymentSchedule.js)
+
+import Booking from '../models/booking.js';
+import GlobalSettings from '../models/globalSettings.js';
+import { PropertyService } from './propertyService.js';
+import { EmailService } from './emailService.js';
+import {
+  resolvePaymentRules,
+  buildPaymentSchedule,
+  nextDueInstalment,
+  isInstalmentOverdue,
+  computeBalanceDue
+} from '../modules/paymentSchedule.js';
+import { addDays } from '../modules/dateUtils.js';
+
+// Réservations pouvant recevoir un paiement (échéances à suivre)
+export const PAYABLE_STATUSES = ['accepted', 'confirmed'];
+
+// --- Payment Schedule Service Class ---
+export class PaymentScheduleService {
+
+  /**
+   * Règles de paiement d'un logement
+   * @param {Object} property - Logement résolu (null = règles globales)
+   * @returns {Object} { depositPercent, depositDueDays, balanceDueDays, reminderDays }
+   */
+  static async getRules(property) {
+    const setting = await GlobalSettings.findOne({ settingKey: 'payment_rules' }).lean();
+    return resolvePaymentRules(setting?.settingValue, property?.settingsKey);
+  }
+
+  /**
+   * Champs de paiement d'une réservation au moment de son acceptation
+   * @param {Object} booking - Réservation acceptée
+   * @param {Date} acceptedAt - Date d'acceptation
+   * @returns {Object} { paymentSchedule, balanceDue, paymentOverdue }
+   */
+  static async initialFields(booking, acceptedAt = new Date()) {
+    const property = await PropertyService.resolve(booking.apartmentId, { includeInactive: true });
+    const rules = await this.getRules(property);
+    const totalPrice = booking.totalPrice || booking.price;
+
+    return {
+      paymentSchedule: buildPaymentSchedule(rules, {
+        totalPrice,
+        paidAmount: booking.paidAmount,
+        startDate: booking.startDate,
+        acceptedAt
+      }),
+      balanceDue: computeBalanceDue(totalPrice, booking.paidAmount),
+      paymentOverdue: false
+    };
+  }
+
+  /**
+   * Prochaine échéance à payer ; sans échéancier (réservation antérieure), le reste à payer
+   * @param {Object} booking - Réservation
+   * @returns {Object|null} { index, instalment } (index absent sans échéancier) ou null si soldée
+   */
+  static nextInstalment(booking) {
+    if (booking.paymentSchedule?.length) {
+      return nextDueInstalment(booking.paymentSchedule);
+    }
+
+    const amount = computeBalanceDue(booking.totalPrice || booking.price, booking.paidAmount);
+    return amount > 0 ? { instalment: { kind: 'full', amount, dueDate: booking.startDate, status: 'pending' } } : null;
+  }
+
+  /**
+   * Rappels avant échéance et signalement des retards (tâche planifiée)
+   * Seule la prochaine échéance de chaque réservation est considérée ; chaque
+   * rappel et chaque retard n'est notifié qu'une fois.
+   * @param {Date} now - Date de référence
+   * @returns {Object} { reminded, overdue }
+   */
+  static async processDueInstalments(now = new Date()) {
+    const bookings = await Booking.find({
+      status: { $in: PAYABLE_STATUSES },
+      paymentSchedule: {
+        $elemMatch: {
+          status: 'pending',
+          $or: [{ remindedAt: { $exists: false } }, { overdueAt: { $exists: false } }]
+        }
+      }
+    });
+
+    const rulesByProperty = new Map();
+    let reminded = 0;
+    let overdue = 0;
+
+    for (const booking of bookings) {
+      const next = nextDueInstalment(booking.paymentSchedule);
+      if (!next) continue;
+      const { index, instalment } = next;
+
+      if (!rulesByProperty.has(booking.apartmentId)) {
+        const property = await PropertyService.resolve(booking.apartmentId, { includeInactive: true });
+        rulesByProperty.set(booking.apartmentId, await this.getRules(property));
+      }
+      const { reminderDays } = rulesByProperty.get(booking.apartmentId);
+
+      if (isInstalmentOverdue(instalment, now)) {
+        if (instalment.overdueAt) continue;
+
+        const flagged = await Booking.updateOne(
+          { _id: booking._id, [`paymentSchedule.${index}.status`]: 'pending', [`paymentSchedule.${index}.overdueAt`]: { $exists: false } },
+          { $set: { [`paymentSchedule.${index}.overdueAt`]: now, paymentOverdue: true } }
+        );
+        if (flagged.modifiedCount === 0) continue;
+
+        overdue++;
+        console.warn(`⏰ [PAYMENT] Échéance ${instalment.kind} de la réservation ${booking._id} en retard`);
+        await this.notify(booking, instalment, { overdue: true });
+      } else if (!instalment.remindedAt && new Date(instalment.dueDate) <= addDays(now, reminderDays)) {
+        const marked = await Booking.updateOne(
+          { _id: booking._id, [`paymentSchedule.${index}.status`]: 'pending', [`paymentSchedule.${index}.remindedAt`]: { $exists: false } },
+          { $set: { [`paymentSchedule.${index}.remindedAt`]: now } }
+        );
+        if (marked.modifiedCount === 0) continue;
+
+        reminded++;
+        await this.notify(booking, instalment, { overdue: false });
+      }
+    }
+
+    return { reminded, overdue };
+  }
+
+  // Un échec d'envoi n'empêche pas de traiter les réservations suivantes
+  static async notify(booking, instalment, { overdue }) {
+    try {
+      await EmailService.sendPaymentReminderEmail(booking, instalment, { overdue });
+    } catch (error) {
+      console.error(`⚠️ Erreur envoi rappel de paiement ${booking._id} (non bloquant):`, error);
+    }
+  }
+}
+
+export default PaymentScheduleService;
@@ -0,0 +1,265 @@
+// =======================================
+// --- PAYMENT SERVICE ---
+// =======================================
+// Opérations de paiement via le prestataire configuré (voir services/payments/)
+
+import Booking from '../models/booking.js';
+import { getPaymentProvider } from './payments/index.js';
+import { BookingLifecycleService } from './bookingLifecycleService.js';
+import { LedgerService } from './ledgerService.js';
+import { roundAmount, amountsMatch } from '../modules/money.js';
+import { computeBalanceDue, isInstalmentOverdue } from '../modules/paymentSchedule.js';
+
+/**
+ * Vérifie qu'un montant du prestataire (commande ou capture) correspond au paiement attendu
+ * @param {Object} payment - { amount, currency }
+ * @param {Object} expected - { amount, currency } enregistré à la création de la commande
+ * @returns {boolean} true si montant et devise correspondent
+ */
+export function paymentMatches(payment, expected) {
+  return Boolean(
+    expected &&
+    payment?.amount !== undefined &&
+    amountsMatch(payment.amount, expected.amount) &&
+    payment.currency === expected.currency
+  );
+}
+
+// Capture déjà enregistrée sur la réservation (dernier paiement ou échéance réglée)
+function isCaptureApplied(booking, capture) {
+  return Boolean(capture.captureId) && (
+    booking.paymentCaptureId === capture.captureId ||
+    (booking.paymentSchedule || []).some(instalment => instalment.captureId === capture.captureId)
+  );
+}
+
+// Statut du remboursement chez le prestataire → statut de l'écriture
+const REFUND_STATUSES = {
+  COMPLETED: 'completed',
+  PENDING: 'pending'
+};
+
+// --- Payment Service Class ---
+export class PaymentService {
+
+  /**
+   * Rembourse tout ou partie d'un paiement capturé
+   * @param {Object} params - { captureId, amount, currency, note }
+   * @returns {Object} { success: true, refundId, status } ou { success: false, code, error }
+   */
+  static async refund({ captureId, amount, currency = 'EUR', note }) {
+    if (!captureId) {
+      return { success: false, code: 'NO_CAPTURE', error: 'Aucun paiement capturé à rembourser' };
+    }
+
+    const provider = getPaymentProvider();
+    const result = await provider.refund({ captureId, amount, currency, note });
+    if (!result.success) {
+      console.error(`❌ [PAYMENT] Remboursement refusé (${provider.name}):`, result.error);
+      return { success: false, code: 'REFUND_FAILED', error: result.error };
+    }
+
+    console.log(`💸 [PAYMENT] Remboursement ${result.refund.id} de ${amount} ${currency} (${result.refund.status})`);
+    return { success: true, refundId: result.refund.id, status: result.refund.status };
+  }
+
+  /**
+   * Rembourse un montant sur les captures d'une réservation (acompte puis solde
+   * éventuellement), en commençant par la plus récente ; chaque remboursement entre au registre
+   * @param {Object} booking - Réservation
+   * @param {number} amount - Montant à rembourser
+   * @param {Object} options - { note }
+   * @returns {Object} { success, status, refundIds, refundedAmount } ou { success: false, code, error, ... }
+   */
+  static async refundBooking(booking, amount, { note } = {}) {
+    const captures = await LedgerService.refundableCaptures(booking._id);
+    if (captures.length === 0) {
+      return { success: false, code: 'NO_CAPTURE', error: 'Aucun paiement capturé à rembourser', refundIds: [], refundedAmount: 0 };
+    }
+
+    const provider = getPaymentProvider().name;
+    const refundIds = [];
+    const statuses = [];
+    let refundedAmount = 0;
+    let remaining = roundAmount(amount);
+    let failure;
+
+    for (const capture of captures) {
+      if (remaining <= 0) break;
+      const part = Math.min(capture.available, remaining);
+
+      const result = await this.refund({ captureId: capture.captureId, amount: part, note })
+        .catch(err => ({ success: false, code: 'REFUND_FAILED', error: err.message }));
+      const status = result.success ? REFUND_STATUSES[result.status] || 'pending' : 'failed';
+
+      await LedgerService.record({
+        type: 'refund',
+        provider,
+        ...(result.refundId && { providerReference: result.refundId }),
+        captureReference: capture.captureId,
+        amount: part,
+        booking: booking._id,
+        status,
+        note
+      });
+
+      if (!result.success) {
+        failure = result;
+        break;
+      }
+      refundIds.push(result.refundId);
+      statuses.push(status);
+      if (status === 'completed') refundedAmount = roundAmount(refundedAmount + part);
+      remaining = roundAmount(remaining - part);
+    }
+
+    if (failure || remaining > 0) {
+      return {
+        success: false,
+        code: failure?.code || 'REFUND_FAILED',
+        error: failure?.error || `Montant remboursable insuffisant sur les captures (${remaining} € restant)`,
+        refundIds,
+        refundedAmount
+      };
+    }
+
+    return {
+      success: true,
+      status: statuses.every(status => status === 'completed') ? 'completed' : 'pending',
+      refundIds,
+      refundedAmount
+    };
+  }
+
+  /**
+   * Rembourse une réservation annulée ou refusée et reporte le résultat sur la réservation
+   * (cancellation.refundStatus, refundedAmount) ; un échec y reste signalé pour un
+   * traitement manuel
+   * @param {Object} booking - Réservation
+   * @param {number} amount - Montant à rembourser
+   * @param {Object} options - { note }
+   * @returns {Object} Réservation à jour
+   */
+  static async refundCancelledBooking(booking, amount, { note } = {}) {
+    const refundResult = await this.refundBooking(booking, amount, { note })
+      .catch(err => ({ success: false, code: 'REFUND_FAILED', error: err.message, refundIds: [], refundedAmount: 0 }));
+
+    const refundStatus = refundResult.success ? refundResult.status : 'failed';
+    if (!refundResult.success) {
+      console.error(`❌ [PAYMENT] Remboursement de ${amount} € à traiter manuellement pour la réservation ${booking._id}: ${refundResult.error}`);
+    }
+
+    return Booking.findByIdAndUpdate(
+      booking._id,
+      {
+        $set: {
+          'cancellation.refundStatus': refundStatus,
+          // Premier remboursement ; le détail de chaque remboursement est au registre
+          ...(refundResult.refundIds.length > 0 && { 'cancellation.refundId': refundResult.refundIds[0] }),
+          'cancellation.refundedAmount': refundResult.refundedAmount,
+          ...(!refundResult.success && { 'cancellation.refundError': refundResult.error })
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Enregistre une capture sur la réservation et règle l'échéance correspondante.
+   * Le premier paiement confirme la réservation acceptée ; les suivants (solde) complètent
+   * une réservation déjà confirmée. Appelé au retour du client (capture-paypal-order) comme
+   * par le webhook : le premier arrivé applique la capture, l'autre la retrouve (alreadyApplied).
+   * @param {Object} booking - Réservation liée à la commande du prestataire
+   * @param {Object} capture - { orderId, captureId, amount, currency }
+   * @param {Object} context - { actor, reason }
+   * @returns {Object} { success: true, booking, alreadyApplied, confirmed } ou { success: false, code, error }
+   */
+  static async applyBookingCapture(booking, capture, { actor, reason } = {}) {
+    if (isCaptureApplied(booking, capture)) {
+      return { success: true, booking, alreadyApplied: true, confirmed: false };
+    }
+
+    // Les fonds sont encaissés : la capture entre au registre même si elle ne peut être appliquée
+    const provider = getPaymentProvider().name;
+    await LedgerService.record({
+      type: 'capture',
+      provider,
+      providerReference: capture.captureId,
+      providerOrderId: capture.orderId,
+      amount: capture.amount,
+      currency: capture.currency,
+      booking: booking._id,
+      instalment: booking.expectedPayment?.instalment,
+      raw: capture.raw
+    });
+    await LedgerService.record({
+      type: 'authorization',
+      provider,
+      providerReference: capture.orderId,
+      amount: capture.amount,
+      currency: capture.currency,
+      booking: booking._id,
+      status: 'completed'
+    });
+
+    if (!paymentMatches(capture, booking.expectedPayment)) {
+      console.error(`❌ [PAYMENT] Capture ${capture.captureId}: ${capture.amount} ${capture.currency} ≠ attendu ${booking.expectedPayment?.amount} ${booking.expectedPayment?.currency}`);
+      return { success: false, code: 'AMOUNT_MISMATCH', error: 'Le montant payé ne correspond pas à la réservation' };
+    }
+
+    const now = new Date();
+    // Montant encaissé dérivé du registre (captures et paiements manuels)
+    const { received: paidAmount } = await LedgerService.getBookingBalance(booking._id);
+    const index = booking.expectedPayment.instalment;
+    const schedule = booking.paymentSchedule || [];
+    const hasInstalment = Number.isInteger(index) && Boolean(schedule[index]);
+
+    const set = {
+      paymentDate: now,
+      paymentId: capture.orderId,
+      paymentCaptureId: capture.captureId,
+      paidAmount,
+      balanceDue: computeBalanceDue(booking.totalPrice || booking.price, paidAmount),
+      // Le retard ne subsiste que si une autre échéance est dépassée
+      paymentOverdue: schedule.some((instalment, i) => i !== index && isInstalmentOverdue(instalment, now)),
+      ...(hasInstalment && {
+        [`paymentSchedule.${index}.status`]: 'paid',
+        [`paymentSchedule.${index}.paidAt`]: now,
+        [`paymentSchedule.${index}.paymentId`]: capture.orderId,
+        [`paymentSchedule.${index}.captureId`]: capture.captureId
+      })
+    };
+
+    let updated;
+    if (booking.status === 'accepted') {
+      const transition = await BookingLifecycleService.transition(booking, 'confirmed', {
+        actor,
+        channel: 'payment',
+        reason,
+        set
+      });
+      updated = transition.success ? transition.booking : null;
+    } else if (booking.status === 'confirmed') {
+      // Paiement du solde : la même commande ne peut être appliquée qu'une fois
+      updated = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: 'confirmed', paypalOrderId: capture.orderId, paidAmount: booking.paidAmount },
+        { $set: set },
+        { new: true }
+      );
+    }
+
+    if (!updated) {
+      // Capture appliquée entre-temps par l'autre canal
+      const current = await Booking.findById(booking._id);
+      if (current && isCaptureApplied(current, capture)) {
+        return { success: true, booking: current, alreadyApplied: true, confirmed: false };
+      }
+      return { success: false, code: 'BOOKING_NOT_PAYABLE', error: 'Cette réservation ne peut pas recevoir ce paiement' };
+    }
+
+    console.log(`💳 [PAYMENT] Capture ${capture.captureId} de ${capture.amount} ${capture.currency} → réservation ${booking._id} (reste ${updated.balanceDue} €)`);
+    return { success: true, booking: updated, alreadyApplied: false, confirmed: booking.status === 'accepted' };
+  }
+}
+
+export default PaymentService;
@@ -0,0 +1,301 @@
+// =======================================
+// --- PAYMENT WEBHOOK SERVICE ---
+// =======================================
+// Notifications PayPal : le paiement est enregistré même si le client ferme l'onglet
+// avant le retour sur le site. Chaque événement n'est traité qu'une fois.
+
+import mongoose from 'mongoose';
+import Booking from '../models/booking.js';
+import Order from '../models/order.js';
+import ProcessedWebhookEvent from '../models/processedWebhookEvent.js';
+import PaymentTransaction from '../models/paymentTransaction.js';
+import { PaymentService, paymentMatches } from './paymentService.js';
+import { OrderService } from './orderService.js';
+import { EmailService } from './emailService.js';
+import { LedgerService } from './ledgerService.js';
+import { PAYABLE_STATUSES } from './paymentScheduleService.js';
+
+// Capture PayPal (resource) → format des prestataires (voir services/payments/)
+function parseCapture(resource) {
+  return {
+    orderId: resource.supplementary_data?.related_ids?.order_id,
+    captureId: resource.id,
+    status: resource.status,
+    amount: resource.amount ? parseFloat(resource.amount.value) : undefined,
+    currency: resource.amount?.currency_code,
+    reference: resource.custom_id
+  };
+}
+
+// Réservation (paiement d'une réservation acceptée) ou commande du panier liée à la capture :
+// les deux gardent l'ID de la commande PayPal, custom_id (ID de la commande du panier) sert de repli
+async function findPaymentTarget(capture) {
+  if (capture.orderId) {
+    const booking = await Booking.findOne({ paypalOrderId: capture.orderId });
+    if (booking) return { booking };
+
+    const order = await Order.findOne({ providerOrderId: capture.orderId });
+    if (order) return { order };
+  }
+
+  if (mongoose.Types.ObjectId.isValid(capture.reference)) {
+    const order = await Order.findById(capture.reference);
+    if (order) return { order };
+  }
+
+  return {};
+}
+
+// --- Event Handlers ---
+// Chaque gestionnaire renvoie le résultat enregistré avec l'événement
+
+async function handleCaptureCompleted(resource) {
+  const capture = parseCapture(resource);
+  const { booking, order } = await findPaymentTarget(capture);
+
+  if (booking) {
+    const applied = await PaymentService.applyBookingCapture(booking, capture, {
+      reason: 'Webhook PayPal'
+    });
+    if (!applied.success) {
+      console.error(`❌ [WEBHOOK] Capture ${capture.captureId} non appliquée à la réservation ${booking._id}: ${applied.code}`);
+      return applied.code === 'AMOUNT_MISMATCH' ? 'amount_mismatch' : 'booking_not_payable';
+    }
+    if (applied.alreadyApplied) {
+      return 'already_applied';
+    }
+
+    await EmailService.sendPaymentConfirmationEmails(applied.booking, {
+      paidAmount: capture.amount,
+      confirmed: applied.confirmed
+    });
+    return applied.confirmed ? 'booking_confirmed' : 'instalment_paid';
+  }
+
+  if (order) {
+    if (order.status === 'completed' && order.paymentId === capture.orderId) {
+      return 'already_applied';
+    }
+    const expected = order.expectedPayment?.amount !== undefined
+      ? order.expectedPayment
+      : { amount: order.totalPrice, currency: 'EUR' };
+    if (!paymentMatches(capture, expected)) {
+      console.error(`❌ [WEBHOOK] Capture ${capture.captureId}: ${capture.amount} ${capture.currency} ≠ commande ${order._id} (${expected.amount} ${expected.currency})`);
+      return 'amount_mismatch';
+    }
+
+    const paid = await OrderService.markPaid(order, {
+      capture: { ...capture, raw: resource },
+      provider: 'paypal',
+      source: 'paypal-webhook'
+    });
+    if (!paid.success) {
+      console.error(`❌ [WEBHOOK] Capture ${capture.captureId} reçue pour la commande ${order._id} non payable: ${paid.code}`);
+      return 'order_not_payable';
+    }
+    return 'order_completed';
+  }
+
+  console.warn(`⚠️ [WEBHOOK] Capture ${capture.captureId} sans réservation ni commande associée`);
+  return 'not_found';
+}
+
+// Réservation d'un remboursement : celle de l'écriture créée au lancement du remboursement,
+// sinon celle de la capture remboursée si elle est seule à la porter (une capture de
+// commande du panier est partagée par toutes ses réservations)
+async function findRefundTarget(refundId, captureId) {
+  const pending = await PaymentTransaction.findOne({ type: 'refund', providerReference: refundId, booking: { $ne: null } })
+    .select('booking')
+    .lean();
+  if (pending) {
+    return { booking: await Booking.findById(pending.booking) };
+  }
+  if (!captureId) return {};
+
+  const [bookings, captureEntries] = await Promise.all([
+    Booking.find({ $or: [{ paymentCaptureId: captureId }, { 'paymentSchedule.captureId': captureId }] }).select('_id'),
+    PaymentTransaction.find({ type: 'capture', providerReference: captureId, booking: { $ne: null } }).select('booking').lean()
+  ]);
+  const bookingIds = [...new Set([
+    ...bookings.map(booking => booking._id.toString()),
+    ...captureEntries.map(entry => entry.booking.toString())
+  ])];
+
+  if (bookingIds.length > 1) return { ambiguous: bookingIds };
+  return bookingIds.length === 1 ? { booking: await Booking.findById(bookingIds[0]) } : {};
+}
+
+async function handleCaptureRefunded(resource) {
+  // La ressource est le remboursement ; le lien "up" désigne la capture remboursée
+  const captureId = resource.links?.find(link => link.rel === 'up')?.href?.split('/').pop();
+  const { booking, ambiguous } = await findRefundTarget(resource.id, captureId);
+  if (ambiguous) {
+    console.warn(`⚠️ [WEBHOOK] Remboursement ${resource.id} de la capture ${captureId} partagée par ${ambiguous.length} réservations (${ambiguous.join(', ')}) : à affecter manuellement`);
+    return 'ambiguous';
+  }
+  if (!booking) {
+    console.warn(`⚠️ [WEBHOOK] Remboursement ${resource.id} sans réservation associée (capture ${captureId})`);
+    return 'not_found';
+  }
+
+  const amount = resource.amount ? parseFloat(resource.amount.value) : 0;
+  const before = await LedgerService.getBookingBalance(booking._id);
+
+  // Remboursement lancé par l'annulation (écriture en attente) ou fait hors du site
+  // (tableau de bord PayPal) : dans les deux cas l'écriture est aboutie
+  await LedgerService.record({
+    type: 'refund',
+    provider: 'paypal',
+    providerReference: resource.id,
+    captureReference: captureId,
+    amount,
+    currency: resource.amount?.currency_code,
+    booking: booking._id,
+    status: 'completed',
+    raw: resource
+  });
+
+  const { refunded, pendingRefunds } = await LedgerService.getBookingBalance(booking._id);
+  if (refunded === before.refunded) {
+    return 'already_applied';
+  }
+
+  await Booking.updateOne(
+    { _id: booking._id },
+    {
+      $set: {
+        'cancellation.refundId': booking.cancellation?.refundId || resource.id,
+        'cancellation.refundedAmount': refunded,
+        'cancellation.refundStatus': pendingRefunds > 0 ? 'pending' : 'completed'
+      },
+      $unset: { 'cancellation.refundError': '' }
+    }
+  );
+
+  console.log(`💸 [WEBHOOK] Remboursement ${resource.id} de ${amount} € enregistré sur la réservation ${booking._id}`);
+  return 'refund_recorded';
+}
+
+async function handleCaptureDenied(resource) {
+  const capture = parseCapture(resource);
+  const { booking, order } = await findPaymentTarget(capture);
+
+  if (booking) {
+    await LedgerService.record({
+      type: 'authorization',
+      provider: 'paypal',
+      providerReference: capture.orderId,
+      amount: capture.amount,
+      currency: capture.currency,
+      booking: booking._id,
+      status: 'failed',
+      raw: resource
+    });
+
+    // La commande PayPal refusée n'est plus payable : le client pourra en créer une nouvelle
+    await Booking.updateOne(
+      { _id: booking._id, paypalOrderId: capture.orderId, status: { $in: PAYABLE_STATUSES } },
+      { $unset: { paypalOrderId: '', expectedPayment: '' } }
+    );
+    console.warn(`⚠️ [WEBHOOK] Paiement refusé par PayPal pour la réservation ${booking._id}`);
+    return 'payment_denied';
+  }
+
+  if (order) {
+    const closed = await OrderService.close(order, 'failed', 'Paiement refusé par PayPal', { channel: 'payment' });
+    return closed ? 'order_failed' : 'order_not_pending';
+  }
+
+  return 'not_found';
+}
+
+// Traitement interrompu (fonction arrêtée en cours de route) : au-delà de ce délai,
+// un événement encore « processing » est repris à la relivraison suivante
+export const WEBHOOK_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const HANDLERS = {
+  'PAYMENT.CAPTURE.COMPLETED': handleCaptureCompleted,
+  'PAYMENT.CAPTURE.REFUNDED': handleCaptureRefunded,
+  'PAYMENT.CAPTURE.DENIED': handleCaptureDenied
+};
+
+// --- Payment Webhook Service Class ---
+export class PaymentWebhookService {
+
+  /**
+   * Traite une notification PayPal dont la signature a été vérifiée
+   * Un événement déjà traité est ignoré ; en cas d'erreur il est oublié pour que PayPal le relivre.
+   * Un événement en cours de traitement est refusé (PayPal le relivrera), puis repris
+   * s'il est resté bloqué au-delà de WEBHOOK_PROCESSING_TIMEOUT_MS.
+   * @param {Object} event - Corps de la notification ({ id, event_type, resource })
+   * @returns {Object} { success: true, outcome, duplicate } ou { success: false, code, error }
+   */
+  static async processPaypalEvent(event) {
+    if (!event?.id || !event.event_type) {
+      return { success: false, code: 'INVALID_EVENT', error: 'Notification PayPal invalide' };
+    }
+
+    let record;
+    try {
+      record = await ProcessedWebhookEvent.create({
+        provider: 'paypal',
+        eventId: event.id,
+        eventType: event.event_type,
+        resourceId: event.resource?.id
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      record = await this.claimStaleEvent('paypal', event.id);
+      if (!record) {
+        const existing = await ProcessedWebhookEvent.findOne({ provider: 'paypal', eventId: event.id });
+        if (existing?.status === 'processing') {
+          console.log(`⏳ [WEBHOOK] Événement ${event.id} en cours de traitement, relivraison attendue`);
+          return { success: false, code: 'EVENT_IN_PROGRESS', error: 'Événement en cours de traitement' };
+        }
+        console.log(`🔁 [WEBHOOK] Événement ${event.id} déjà reçu, ignoré`);
+        return { success: true, duplicate: true };
+      }
+      console.warn(`♻️ [WEBHOOK] Événement ${event.id} bloqué en traitement, repris (tentative ${record.attempts})`);
+    }
+
+    try {
+      const handler = HANDLERS[event.event_type];
+      const outcome = handler ? await handler(event.resource || {}) : 'ignored';
+
+      await ProcessedWebhookEvent.updateOne(
+        { _id: record._id },
+        { status: 'processed', outcome, processedAt: new Date() }
+      );
+
+      console.log(`📬 [WEBHOOK] ${event.event_type} ${event.id}: ${outcome}`);
+      return { success: true, outcome, duplicate: false };
+    } catch (error) {
+      await ProcessedWebhookEvent.deleteOne({ _id: record._id });
+      throw error;
+    }
+  }
+
+  /**
+   * Reprend atomiquement un événement resté « processing » au-delà du délai de traitement
+   * (une seule relivraison peut le reprendre : la reprise repousse son updatedAt)
+   * @param {string} provider - Prestataire
+   * @param {string} eventId - ID de l'événement
+   * @param {Date} now - Date de référence
+   * @returns {Object|null} Événement repris, ou null s'il est traité ou encore en cours
+   */
+  static async claimStaleEvent(provider, eventId, now = new Date()) {
+    return ProcessedWebhookEvent.findOneAndUpdate(
+      {
+        provider,
+        eventId,
+        status: 'processing',
+        updatedAt: { $lt: new Date(now.getTime() - WEBHOOK_PROCESSING_TIMEOUT_MS) }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+}
+
+export default PaymentWebhookService;
@@ -0,0 +1,49 @@
+// =======================================
+// --- PAYMENT PROVIDER REGISTRY ---
+// =======================================
+// PAYMENT_PROVIDER=paypal (défaut) ou mock
+
+import { PaypalProvider } from './paypalProvider.js';
+import { MockPaymentProvider } from './mockProvider.js';
+
+const PROVIDERS = {
+  paypal: () => new PaypalProvider(),
+  mock: () => new MockPaymentProvider()
+};
+
+let currentProvider = null;
+
+/**
+ * Prestataire de paiement configuré (instancié au premier appel)
+ * @returns {PaymentProvider} Prestataire
+ */
+export function getPaymentProvider() {
+  if (!currentProvider) {
+    const name = process.env.PAYMENT_PROVIDER || 'paypal';
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new Error(`Prestataire de paiement inconnu: ${name}`);
+    }
+    currentProvider = factory();
+  }
+
+  return currentProvider;
+}
+
+/**
+ * Remplace le prestataire courant (tests), null pour revenir à la configuration
+ * @param {PaymentProvider|null} provider - Prestataire à utiliser
+ */
+export function setPaymentProvider(provider) {
+  currentProvider = provider;
+}
+
+export { PaymentProvider } from './paymentProvider.js';
+export { PaypalProvider } from './paypalProvider.js';
+export { MockPaymentProvider } from './mockProvider.js';
+export {
+  getWebhookVerifier,
+  setWebhookVerifier,
+  LocalKeyWebhookVerifier,
+  PaypalCertWebhookVerifier
+} from './webhookVerifier.js';
@@ -0,0 +1,142 @@
+// =======================================
+// --- MOCK PAYMENT PROVIDER ---
+// =======================================
+// Prestataire en mémoire, déterministe, pour tester le parcours de paiement hors ligne
+// (PAYMENT_PROVIDER=mock). Les IDs sont séquentiels : MOCK-ORDER-1, MOCK-CAPTURE-1...
+
+import { PaymentProvider } from './paymentProvider.js';
+import { roundAmount } from '../../modules/money.js';
+
+export class MockPaymentProvider extends PaymentProvider {
+
+  /**
+   * @param {Object} options - { autoApprove } : capture possible sans approbation du payeur
+   */
+  constructor({ autoApprove = false } = {}) {
+    super('mock');
+    this.autoApprove = autoApprove;
+    this.reset();
+  }
+
+  // Vide les commandes et remet les compteurs à zéro
+  reset() {
+    this.orders = new Map();
+    this.counters = { order: 0, capture: 0, refund: 0 };
+  }
+
+  nextId(type) {
+    this.counters[type] += 1;
+    return `MOCK-${type.toUpperCase()}-${this.counters[type]}`;
+  }
+
+  async createOrder({ amount, currency = 'EUR', reference, returnUrl }) {
+    if (!(amount > 0)) {
+      return { success: false, code: 'INVALID_AMOUNT', error: 'Montant invalide' };
+    }
+
+    const id = this.nextId('order');
+    const order = {
+      id,
+      status: 'CREATED',
+      amount: roundAmount(amount),
+      currency,
+      reference,
+      refunds: []
+    };
+    this.orders.set(id, order);
+
+    const separator = returnUrl?.includes('?') ? '&' : '?';
+    return {
+      success: true,
+      order: {
+        id,
+        status: order.status,
+        approvalUrl: `${returnUrl || 'http://localhost/payment'}${separator}token=${id}`,
+        amount: order.amount,
+        currency,
+        raw: { ...order }
+      }
+    };
+  }
+
+  /**
+   * Simule l'approbation du payeur sur la page du prestataire
+   * @param {string} orderId - ID de commande
+   * @param {string} payerEmail - Email du payeur simulé
+   */
+  approve(orderId, payerEmail = 'payer@example.com') {
+    const order = this.orders.get(orderId);
+    if (order && order.status === 'CREATED') {
+      order.status = 'APPROVED';
+      order.payerEmail = payerEmail;
+    }
+    return order;
+  }
+
+  async captureOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      return { success: false, code: 'RESOURCE_NOT_FOUND', error: 'Commande inconnue' };
+    }
+    if (order.status === 'COMPLETED') {
+      return { success: false, code: 'ORDER_ALREADY_CAPTURED', error: 'Commande déjà capturée' };
+    }
+    if (order.status !== 'APPROVED' && !this.autoApprove) {
+      return { success: false, code: 'ORDER_NOT_APPROVED', error: 'Commande non approuvée par le payeur' };
+    }
+
+    order.status = 'COMPLETED';
+    order.captureId = this.nextId('capture');
+
+    return {
+      success: true,
+      capture: {
+        orderId,
+        status: order.status,
+        captureId: order.captureId,
+        amount: order.amount,
+        currency: order.currency,
+        payerEmail: order.payerEmail || 'payer@example.com',
+        raw: { ...order }
+      }
+    };
+  }
+
+  async refund({ captureId, amount, currency = 'EUR' }) {
+    const order = [...this.orders.values()].find(candidate => candidate.captureId === captureId);
+    if (!order) {
+      return { success: false, code: 'RESOURCE_NOT_FOUND', error: 'Capture inconnue' };
+    }
+
+    const refunded = order.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    if (roundAmount(refunded + amount) > order.amount) {
+      return { success: false, code: 'REFUND_AMOUNT_EXCEEDED', error: 'Montant remboursé supérieur au montant capturé' };
+    }
+
+    const refund = { id: this.nextId('refund'), status: 'COMPLETED', amount: roundAmount(amount), currency };
+    order.refunds.push(refund);
+
+    return { success: true, refund: { ...refund, raw: { ...refund, captureId } } };
+  }
+
+  async getOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      return { success: false, code: 'RESOURCE_NOT_FOUND', error: 'Commande inconnue' };
+    }
+
+    return {
+      success: true,
+      order: {
+        id: order.id,
+        status: order.status,
+        amount: order.amount,
+        currency: order.currency,
+        captureId: order.captureId,
+        raw: { ...order }
+      }
+    };
+  }
+}
+
+export default MockPaymentProvider;
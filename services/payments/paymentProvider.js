@@ -0,0 +1,65 @@
+// =======================================
+// --- PAYMENT PROVIDER INTERFACE ---
+// =======================================
+// Contrat commun des prestataires de paiement (PayPal, mock local)
+// Chaque méthode renvoie { success: true, ... } ou { success: false, code, error, raw }
+//
+// Statuts de commande normalisés (ceux de PayPal) :
+//   CREATED → APPROVED → COMPLETED, ou VOIDED
+// Statuts de remboursement : PENDING, COMPLETED, FAILED
+
+export class PaymentProvider {
+
+  /**
+   * @param {string} name - Identifiant du prestataire (enregistré avec les paiements)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Crée une commande de paiement à faire approuver par le payeur
+   * @param {Object} params - { amount, currency, reference, returnUrl, cancelUrl }
+   * @returns {Object} { success, order: { id, status, approvalUrl, amount, currency, raw } }
+   */
+  async createOrder(params) {
+    return this.notImplemented('createOrder');
+  }
+
+  /**
+   * Capture une commande approuvée
+   * @param {string} orderId - ID de commande du prestataire
+   * @returns {Object} { success, capture: { orderId, status, captureId, amount, currency, payerEmail, raw } }
+   */
+  async captureOrder(orderId) {
+    return this.notImplemented('captureOrder');
+  }
+
+  /**
+   * Rembourse tout ou partie d'une capture
+   * @param {Object} params - { captureId, amount, currency, note }
+   * @returns {Object} { success, refund: { id, status, amount, currency, raw } }
+   */
+  async refund(params) {
+    return this.notImplemented('refund');
+  }
+
+  /**
+   * État courant d'une commande
+   * @param {string} orderId - ID de commande du prestataire
+   * @returns {Object} { success, order: { id, status, amount, currency, captureId, raw } }
+   */
+  async getOrder(orderId) {
+    return this.notImplemented('getOrder');
+  }
+
+  notImplemented(method) {
+    return {
+      success: false,
+      code: 'NOT_IMPLEMENTED',
+      error: `${method} non disponible pour le prestataire ${this.name}`
+    };
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,148 @@
+// =======================================
+// --- PAYPAL PROVIDER ---
+// =======================================
+// API REST PayPal v2 ; PAYPAL_MODE=live pour la production, sandbox sinon
+
+import fetch from 'node-fetch';
+import { PaymentProvider } from './paymentProvider.js';
+import { roundAmount } from '../../modules/money.js';
+
+export const PAYPAL_API_URLS = {
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  live: 'https://api-m.paypal.com'
+};
+
+export class PaypalProvider extends PaymentProvider {
+
+  /**
+   * @param {Object} config - { mode, clientId, secret } (variables d'environnement par défaut)
+   */
+  constructor({
+    mode = process.env.PAYPAL_MODE,
+    clientId = process.env.PAYPAL_CLIENT_ID,
+    secret = process.env.PAYPAL_SECRET
+  } = {}) {
+    super('paypal');
+    this.mode = mode === 'live' ? 'live' : 'sandbox';
+    this.baseUrl = PAYPAL_API_URLS[this.mode];
+    this.clientId = clientId;
+    this.secret = secret;
+  }
+
+  async createOrder({ amount, currency = 'EUR', reference, returnUrl, cancelUrl }) {
+    const result = await this.request('POST', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [
+        {
+          // custom_id est renvoyé dans les captures (webhooks)
+          ...(reference && { reference_id: String(reference), custom_id: String(reference) }),
+          amount: { currency_code: currency, value: roundAmount(amount).toFixed(2) }
+        }
+      ],
+      application_context: { return_url: returnUrl, cancel_url: cancelUrl }
+    });
+    if (!result.success) return result;
+
+    const { data } = result;
+    const approvalUrl = data.links?.find(link => link.rel === 'approve')?.href;
+    if (!approvalUrl) {
+      return { success: false, code: 'INVALID_RESPONSE', error: 'Erreur création commande PayPal', raw: data };
+    }
+
+    return {
+      success: true,
+      order: { id: data.id, status: data.status, approvalUrl, amount: roundAmount(amount), currency, raw: data }
+    };
+  }
+
+  async captureOrder(orderId) {
+    const result = await this.request('POST', `/v2/checkout/orders/${encodeURIComponent(orderId)}/capture`);
+    if (!result.success) return result;
+
+    const { data } = result;
+    const capture = data.purchase_units?.[0]?.payments?.captures?.[0];
+
+    return {
+      success: true,
+      capture: {
+        orderId: data.id,
+        status: data.status,
+        captureId: capture?.id,
+        amount: capture?.amount ? parseFloat(capture.amount.value) : undefined,
+        currency: capture?.amount?.currency_code,
+        payerEmail: data.payer?.email_address,
+        raw: data
+      }
+    };
+  }
+
+  async refund({ captureId, amount, currency = 'EUR', note }) {
+    const result = await this.request('POST', `/v2/payments/captures/${encodeURIComponent(captureId)}/refund`, {
+      amount: { value: roundAmount(amount).toFixed(2), currency_code: currency },
+      ...(note && { note_to_payer: note.slice(0, 255) })
+    });
+    if (!result.success) return result;
+
+    const { data } = result;
+    return {
+      success: true,
+      refund: {
+        id: data.id,
+        status: data.status,
+        amount: data.amount ? parseFloat(data.amount.value) : roundAmount(amount),
+        currency: data.amount?.currency_code || currency,
+        raw: data
+      }
+    };
+  }
+
+  async getOrder(orderId) {
+    const result = await this.request('GET', `/v2/checkout/orders/${encodeURIComponent(orderId)}`);
+    if (!result.success) return result;
+
+    const { data } = result;
+    const unit = data.purchase_units?.[0];
+
+    return {
+      success: true,
+      order: {
+        id: data.id,
+        status: data.status,
+        amount: unit?.amount ? parseFloat(unit.amount.value) : undefined,
+        currency: unit?.amount?.currency_code,
+        captureId: unit?.payments?.captures?.[0]?.id,
+        raw: data
+      }
+    };
+  }
+
+  /**
+   * Appel authentifié à l'API PayPal
+   * @returns {Object} { success: true, data } ou { success: false, code, error, raw }
+   */
+  async request(method, path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${Buffer.from(`${this.clientId}:${this.secret}`).toString('base64')}`
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.error(`❌ [PAYPAL] ${method} ${path} → ${response.status}:`, data);
+      return {
+        success: false,
+        code: data.details?.[0]?.issue || data.name || 'PAYPAL_ERROR',
+        error: data.message || `Erreur PayPal (${response.status})`,
+        raw: data
+      };
+    }
+
+    return { success: true, data };
+  }
+}
+
+export default PaypalProvider;
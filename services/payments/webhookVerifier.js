@@ -0,0 +1,152 @@
+// =======================================
+// --- PAYPAL WEBHOOK VERIFIER ---
+// =======================================
+// Vérification de signature des webhooks PayPal (SHA256withRSA) sur le message
+//   <transmission_id>|<transmission_time>|<webhook_id>|<crc32 du corps brut>
+// La clé publique vient du certificat PayPal (production) ou d'une clé locale (tests).
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import fetch from 'node-fetch';
+
+// Écart maximal accepté entre l'horodatage PayPal et l'heure du serveur
+export const WEBHOOK_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Seuls les certificats servis par PayPal en HTTPS sont acceptés
+const PAYPAL_CERT_HOST = /(^|\.)paypal\.com$/;
+
+/**
+ * Construit le message signé par PayPal
+ * @param {Object} params - { transmissionId, transmissionTime, webhookId, rawBody }
+ * @returns {string} Message à vérifier
+ */
+export function buildSignedMessage({ transmissionId, transmissionTime, webhookId, rawBody }) {
+  return `${transmissionId}|${transmissionTime}|${webhookId}|${zlib.crc32(rawBody)}`;
+}
+
+// Vérification commune : en-têtes, fraîcheur, signature ; la clé publique est fournie par la sous-classe
+export class WebhookVerifier {
+
+  /**
+   * @param {Object} options - { webhookId } : ID du webhook déclaré chez PayPal
+   */
+  constructor({ webhookId = process.env.PAYPAL_WEBHOOK_ID } = {}) {
+    this.webhookId = webhookId;
+  }
+
+  /**
+   * Vérifie la signature d'une notification
+   * @param {Object} params - { headers, rawBody (Buffer), now }
+   * @returns {Object} { success: true } ou { success: false, code, error }
+   */
+  async verify({ headers, rawBody, now = new Date() }) {
+    if (!this.webhookId) {
+      return { success: false, code: 'NOT_CONFIGURED', error: 'PAYPAL_WEBHOOK_ID non configuré' };
+    }
+
+    const transmissionId = headers['paypal-transmission-id'];
+    const transmissionTime = headers['paypal-transmission-time'];
+    const signature = headers['paypal-transmission-sig'];
+    if (!transmissionId || !transmissionTime || !signature || !rawBody) {
+      return { success: false, code: 'MISSING_SIGNATURE', error: 'En-têtes de signature PayPal manquants' };
+    }
+
+    const sentAt = new Date(transmissionTime);
+    if (isNaN(sentAt) || Math.abs(now - sentAt) > WEBHOOK_MAX_AGE_MS) {
+      return { success: false, code: 'STALE_EVENT', error: 'Horodatage de notification invalide ou trop ancien' };
+    }
+
+    let publicKey;
+    try {
+      publicKey = await this.getPublicKey(headers);
+    } catch (error) {
+      return { success: false, code: 'CERTIFICATE_ERROR', error: error.message };
+    }
+
+    const message = buildSignedMessage({ transmissionId, transmissionTime, webhookId: this.webhookId, rawBody });
+    const valid = crypto.verify('sha256', Buffer.from(message), publicKey, Buffer.from(signature, 'base64'));
+    if (!valid) {
+      return { success: false, code: 'INVALID_SIGNATURE', error: 'Signature de notification invalide' };
+    }
+
+    return { success: true };
+  }
+
+  async getPublicKey(headers) {
+    throw new Error('Clé publique non disponible');
+  }
+}
+
+// Clé publique fixe : tests et environnements de développement
+export class LocalKeyWebhookVerifier extends WebhookVerifier {
+
+  /**
+   * @param {Object} options - { publicKey (PEM ou KeyObject), webhookId }
+   */
+  constructor({ publicKey, webhookId }) {
+    super({ webhookId });
+    this.publicKey = publicKey;
+  }
+
+  async getPublicKey() {
+    return this.publicKey;
+  }
+}
+
+// Certificat désigné par l'en-tête paypal-cert-url, mis en cache par URL
+export class PaypalCertWebhookVerifier extends WebhookVerifier {
+
+  constructor(options) {
+    super(options);
+    this.certificates = new Map();
+  }
+
+  async getPublicKey(headers) {
+    const certUrl = headers['paypal-cert-url'];
+    let url;
+    try {
+      url = new URL(certUrl);
+    } catch {
+      throw new Error('URL de certificat invalide');
+    }
+    if (url.protocol !== 'https:' || !PAYPAL_CERT_HOST.test(url.hostname)) {
+      throw new Error(`Certificat hors domaine PayPal: ${url.hostname}`);
+    }
+
+    if (!this.certificates.has(certUrl)) {
+      const response = await fetch(certUrl);
+      if (!response.ok) {
+        throw new Error(`Téléchargement du certificat impossible (${response.status})`);
+      }
+      const certificate = new crypto.X509Certificate(await response.text());
+      if (new Date(certificate.validTo) < new Date()) {
+        throw new Error('Certificat PayPal expiré');
+      }
+      this.certificates.set(certUrl, certificate.publicKey);
+    }
+
+    return this.certificates.get(certUrl);
+  }
+}
+
+let currentVerifier = null;
+
+/**
+ * Vérificateur configuré (certificats PayPal par défaut)
+ * @returns {WebhookVerifier} Vérificateur
+ */
+export function getWebhookVerifier() {
+  if (!currentVerifier) {
+    currentVerifier = new PaypalCertWebhookVerifier();
+  }
+
+  return currentVerifier;
+}
+
+/**
+ * Remplace le vérificateur courant (tests), null pour revenir à la configuration
+ * @param {WebhookVerifier|null} verifier - Vérificateur à utiliser
+ */
+export function setWebhookVerifier(verifier) {
+  currentVerifier = verifier;
+}
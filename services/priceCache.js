@@ -5,11 +5,15 @@
 
 import NodeCache from 'node-cache';
 import PriceRule from '../models/priceRule.js';
+import { PropertyService } from './propertyService.js';
+import { resolveNightPrice, resolvePeriodPrices, sortRules } from '../modules/priceResolver.js';
+import { formatDateKey } from '../modules/dateUtils.js';
 
 // --- Cache Configuration ---
 const CACHE_TTL = 15 * 60; // 15 minutes en secondes
 const PRICE_CACHE_KEY = 'price_rules';
 const DAILY_PRICE_CACHE_KEY = 'daily_price';
+const RANGE_PRICE_CACHE_KEY = 'range_price';
 
 // Instance du cache avec TTL automatique
 const cache = new NodeCache({
@@ -69,27 +73,29 @@ export class PriceCacheService {
     try {
       const rules = await this.getPriceRules(property);
       const targetDate = new Date(date);
+      targetDate.setUTCHours(0, 0, 0, 0);
       
-      // Trouver la règle applicable (priorité décroissante)
-      const applicableRule = rules.find(rule => {
-        const start = new Date(rule.startDate);
-        const end = new Date(rule.endDate);
-        return targetDate >= start && targetDate <= end && rule.isActive;
-      });
-      
-      // Prix par défaut si aucune règle trouvée
-      const defaultPrices = {
-        "valery-sources-baie": 120,
-        "touquet-pinede": 150,
-      };
+      // Prix par défaut du logement, utilisé si aucune règle de base ne couvre la nuit
+      const propertyDoc = await PropertyService.resolve(property);
+      const defaultPrice = propertyDoc?.defaultNightlyPrice ?? 100;
+
+      // Même résolution que PriceRule.getPriceForDate (base + suppléments)
+      const { price, basePrice, baseRule, surcharges } = resolveNightPrice(
+        sortRules(rules),
+        targetDate,
+        defaultPrice
+      );
 
       const priceData = {
         date,
         property,
-        price: applicableRule ? applicableRule.pricePerNight : (defaultPrices[property] || 100),
-        ruleName: applicableRule ? applicableRule.name : 'Prix par défaut',
-        ruleId: applicableRule ? applicableRule._id : null,
-        hasRule: !!applicableRule,
+        price,
+        basePrice,
+        ruleName: baseRule ? baseRule.name : 'Prix par défaut',
+        ruleId: baseRule ? baseRule._id : null,
+        ruleType: baseRule ? baseRule.type || 'period' : null,
+        surcharges,
+        hasRule: !!baseRule || surcharges.length > 0,
         calculatedAt: new Date().toISOString()
       };
       
@@ -102,6 +108,43 @@ export class PriceCacheService {
     }
   }
 
+  /**
+   * Calcule et cache les prix de toutes les nuits d'une période
+   * Les règles du logement sont chargées une seule fois (cache des règles)
+   * @param {string} property - Slug du logement
+   * @param {string|Date} startDate - Première nuit
+   * @param {string|Date} endDate - Dernière nuit (incluse)
+   * @returns {Object} Prix indexés par date YYYY-MM-DD
+   */
+  static async getPricesForPeriod(property, startDate, endDate) {
+    const start = new Date(startDate);
+    start.setUTCHours(0, 0, 0, 0);
+    const end = new Date(endDate);
+    end.setUTCHours(0, 0, 0, 0);
+
+    const cacheKey = `${RANGE_PRICE_CACHE_KEY}_${property}_${formatDateKey(start)}_${formatDateKey(end)}`;
+
+    // Vérifier le cache
+    const cachedPrices = cache.get(cacheKey);
+    if (cachedPrices) {
+      return cachedPrices;
+    }
+
+    // Cache MISS - résoudre toute la période en mémoire
+    const [rules, propertyDoc] = await Promise.all([
+      this.getPriceRules(property),
+      PropertyService.resolve(property)
+    ]);
+    const defaultPrice = propertyDoc?.defaultNightlyPrice ?? 100;
+
+    const prices = resolvePeriodPrices(sortRules(rules), start, end, defaultPrice);
+
+    // Même durée de vie que les prix quotidiens
+    cache.set(cacheKey, prices, CACHE_TTL / 2);
+
+    return prices;
+  }
+
   /**
    * Invalide le cache pour une propriété spécifique
    * @param {string} property - Nom de la propriété
@@ -121,7 +164,9 @@ export class PriceCacheService {
   static invalidateAllPriceCache() {
     const keys = cache.keys();
     const priceKeys = keys.filter(key => 
-      key.includes(PRICE_CACHE_KEY) || key.includes(DAILY_PRICE_CACHE_KEY)
+      key.includes(PRICE_CACHE_KEY) ||
+      key.includes(DAILY_PRICE_CACHE_KEY) ||
+      key.includes(RANGE_PRICE_CACHE_KEY)
     );
     
     if (priceKeys.length > 0) {
@@ -133,11 +178,10 @@ export class PriceCacheService {
    * Préchauffe le cache avec les propriétés courantes
    */
   static async warmupCache() {
-    const properties = ['valery-sources-baie', 'touquet-pinede'];
-    
     try {
+      const properties = await PropertyService.getAll();
       for (const property of properties) {
-        await this.getPriceRules(property);
+        await this.getPriceRules(property.slug);
       }
     } catch (error) {
       throw error;
@@ -151,7 +195,9 @@ export class PriceCacheService {
     const stats = cache.getStats();
     const keys = cache.keys();
     const priceKeys = keys.filter(key => 
-      key.includes(PRICE_CACHE_KEY) || key.includes(DAILY_PRICE_CACHE_KEY)
+      key.includes(PRICE_CACHE_KEY) ||
+      key.includes(DAILY_PRICE_CACHE_KEY) ||
+      key.includes(RANGE_PRICE_CACHE_KEY)
     );
     
     return {
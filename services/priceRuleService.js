@@ -0,0 +1,261 @@
+// =======================================
+// --- PRICE RULE SERVICE ---
+// =======================================
+// Chevauchements entre règles de prix et aperçu de l'effet d'une modification
+
+import PriceRule from '../models/priceRule.js';
+import { PropertyService } from './propertyService.js';
+import { BASE_RULE_TYPES, resolvePeriodPrices, sortRules } from '../modules/priceResolver.js';
+import { formatDateKey, toStayDate, addDays, countNights } from '../modules/dateUtils.js';
+import { roundAmount } from '../modules/money.js';
+
+// Règles de base (prix de la nuit) ou suppléments cumulables
+const ruleFamily = (rule) => (BASE_RULE_TYPES.includes(rule.type || 'period') ? 'base' : 'surcharge');
+
+const sameId = (a, b) => a && b && String(a) === String(b);
+
+const toStartOfDay = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Vérifie que deux règles du même logement se chevauchent
+ * @param {Object} a - Règle
+ * @param {Object} b - Règle
+ * @returns {boolean}
+ */
+export function rulesOverlap(a, b) {
+  return (
+    a.property === b.property &&
+    new Date(a.startDate) <= new Date(b.endDate) &&
+    new Date(a.endDate) >= new Date(b.startDate)
+  );
+}
+
+/**
+ * Résumé d'une règle chevauchant une règle créée ou modifiée
+ * ambiguous = même famille et même priorité : seule la date de création
+ * départagerait les deux règles, ce que l'admin doit trancher
+ * @param {Object} rule - Règle créée ou modifiée
+ * @param {Object} overlap - Règle existante qui la chevauche
+ * @returns {Object} { _id, name, type, startDate, endDate, priority, ambiguous }
+ */
+export function describeOverlap(rule, overlap) {
+  const sameFamily = ruleFamily(overlap) === ruleFamily(rule);
+  const samePriority = (overlap.priority || 0) === (rule.priority || 0);
+
+  return {
+    _id: overlap._id,
+    name: overlap.name,
+    type: overlap.type || 'period',
+    startDate: overlap.startDate,
+    endDate: overlap.endDate,
+    priority: overlap.priority || 0,
+    ambiguous: rule.isActive !== false && sameFamily && samePriority && ruleFamily(rule) === 'base'
+  };
+}
+
+/**
+ * Décalage en jours pour reporter une date sur une autre année
+ * Les règles "holiday" gardent la date du calendrier (14 juillet, Noël...),
+ * les autres sont alignées sur le même jour de la semaine (±3 jours)
+ * @param {Date} date - Date source
+ * @param {number} yearShift - Nombre d'années de décalage
+ * @param {boolean} keepCalendarDate - Conserver le jour et le mois
+ * @returns {number} Décalage en jours
+ */
+export function yearShiftOffset(date, yearShift, keepCalendarDate) {
+  const source = toStayDate(date);
+  const sameDate = new Date(Date.UTC(
+    source.getUTCFullYear() + yearShift,
+    source.getUTCMonth(),
+    source.getUTCDate()
+  ));
+  const days = countNights(source, sameDate);
+
+  return keepCalendarDate ? days : Math.round(days / 7) * 7;
+}
+
+// --- Price Rule Service Class ---
+export class PriceRuleService {
+
+  /**
+   * Règles actives du même logement qui chevauchent une règle
+   * @param {Object} rule - Règle créée ou modifiée (non enregistrée)
+   * @param {Array} excludedIds - Règles à ignorer (modifiées dans la même opération)
+   * @returns {Array} Règles { _id, name, type, startDate, endDate, priority, ambiguous }
+   */
+  static async findOverlaps(rule, excludedIds = []) {
+    const overlaps = await PriceRule.find({
+      property: rule.property,
+      isActive: true,
+      _id: { $nin: [rule._id, ...excludedIds] },
+      startDate: { $lte: rule.endDate },
+      endDate: { $gte: rule.startDate }
+    })
+      .sort({ priority: -1, createdAt: -1 })
+      .lean();
+
+    return overlaps.map(overlap => describeOverlap(rule, overlap));
+  }
+
+  /**
+   * Chevauchements ambigus créés par l'activation de règles (bascule unitaire ou en lot)
+   * Chaque règle activée est comparée aux règles déjà actives et aux autres règles du lot
+   * @param {Array} activated - Règles passant à isActive = true
+   * @param {Array} deactivatedIds - Règles désactivées dans la même opération
+   * @returns {Array} { rule: { _id, name }, conflictingRules } (vide si aucune ambiguïté)
+   */
+  static async findActivationConflicts(activated, deactivatedIds = []) {
+    const batchIds = activated.map(rule => rule._id);
+    const conflicts = [];
+
+    for (const [index, rule] of activated.entries()) {
+      const candidate = { ...(rule.toObject?.() ?? rule), isActive: true };
+      const existing = await this.findOverlaps(candidate, [...batchIds, ...deactivatedIds]);
+      // Chaque paire du lot n'est signalée qu'une fois
+      const inBatch = activated
+        .slice(index + 1)
+        .filter(other => rulesOverlap(candidate, other))
+        .map(other => describeOverlap(candidate, other));
+
+      const conflictingRules = [...existing, ...inBatch].filter(overlap => overlap.ambiguous);
+      if (conflictingRules.length > 0) {
+        conflicts.push({ rule: { _id: rule._id, name: rule.name }, conflictingRules });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Reporte les règles actives d'une année sur une autre année
+   * Les règles créées sont inactives et partagent un batchId pour être validées en lot
+   * @param {string} property - Slug du logement
+   * @param {Object} options - { fromYear, toYear, increasePercent, dryRun }
+   * @returns {Object} { batchId, rules, skipped }
+   */
+  static async rollForward(property, { fromYear, toYear, increasePercent = 0, dryRun = false }) {
+    const yearShift = toYear - fromYear;
+    const factor = 1 + increasePercent / 100;
+    const increase = (price) => (price === undefined || price === null ? price : roundAmount(price * factor));
+
+    const sources = await PriceRule.find({
+      property,
+      isActive: true,
+      startDate: {
+        $gte: new Date(Date.UTC(fromYear, 0, 1)),
+        $lt: new Date(Date.UTC(fromYear + 1, 0, 1))
+      }
+    })
+      .sort({ startDate: 1 })
+      .lean();
+
+    // Une règle déjà reportée sur l'année cible n'est pas dupliquée
+    const alreadyRolled = await PriceRule.find({
+      property,
+      sourceRuleId: { $in: sources.map(rule => rule._id) },
+      startDate: {
+        $gte: new Date(Date.UTC(toYear, 0, 1)),
+        $lt: new Date(Date.UTC(toYear + 1, 0, 1))
+      }
+    })
+      .select('sourceRuleId')
+      .lean();
+    const rolledIds = new Set(alreadyRolled.map(rule => String(rule.sourceRuleId)));
+
+    const batchId = `rollover-${property}-${toYear}-${Date.now()}`;
+    const rules = [];
+    const skipped = [];
+
+    for (const source of sources) {
+      if (rolledIds.has(String(source._id))) {
+        skipped.push({ _id: source._id, name: source.name, reason: 'Déjà reportée' });
+        continue;
+      }
+
+      const offset = yearShiftOffset(source.startDate, yearShift, source.type === 'holiday');
+      const { _id, createdAt, updatedAt, __v, batchId: _batchId, sourceRuleId, ...fields } = source;
+
+      rules.push(new PriceRule({
+        ...fields,
+        name: source.name.replaceAll(String(fromYear), String(toYear)),
+        startDate: addDays(source.startDate, offset),
+        endDate: addDays(source.endDate, offset),
+        pricePerNight: increase(source.pricePerNight),
+        weekdayPrices: source.weekdayPrices?.map(entry => ({ day: entry.day, price: increase(entry.price) })),
+        surchargeAmount: increase(source.surchargeAmount),
+        isActive: false,
+        batchId,
+        sourceRuleId: source._id
+      }));
+    }
+
+    if (!dryRun && rules.length > 0) {
+      await PriceRule.insertMany(rules);
+    }
+
+    return { batchId: rules.length > 0 ? batchId : null, rules, skipped };
+  }
+
+  /**
+   * Compare les prix par nuit avant et après une modification, sans l'enregistrer
+   * @param {Object} params - { previous, next } : règle actuelle (null si création)
+   *   et règle résultante (null si suppression)
+   * @returns {Array} Un aperçu par logement concerné
+   *   { property, startDate, endDate, nightly: { date: { before, after } }, changes }
+   */
+  static async previewChange({ previous = null, next = null }) {
+    const candidates = [previous, next].filter(Boolean);
+    const properties = [...new Set(candidates.map(rule => rule.property))];
+
+    const previews = [];
+    for (const property of properties) {
+      const affected = candidates.filter(rule => rule.property === property);
+      const start = toStartOfDay(Math.min(...affected.map(rule => new Date(rule.startDate))));
+      const end = toStartOfDay(Math.max(...affected.map(rule => new Date(rule.endDate))));
+
+      const [currentRules, propertyDoc] = await Promise.all([
+        PriceRule.find({
+          property,
+          isActive: true,
+          startDate: { $lte: end },
+          endDate: { $gte: start }
+        }).lean(),
+        PropertyService.resolve(property, { includeInactive: true })
+      ]);
+      const defaultPrice = propertyDoc?.defaultNightlyPrice ?? 100;
+
+      const nextRules = currentRules.filter(rule => !sameId(rule._id, previous?._id));
+      if (next && next.property === property && next.isActive !== false) {
+        nextRules.push(next);
+      }
+
+      const before = resolvePeriodPrices(sortRules(currentRules), start, end, defaultPrice);
+      const after = resolvePeriodPrices(sortRules(nextRules), start, end, defaultPrice);
+
+      const nightly = {};
+      const changes = [];
+      for (const date of Object.keys(before)) {
+        nightly[date] = { before: before[date], after: after[date] };
+        if (before[date] !== after[date]) {
+          changes.push({ date, before: before[date], after: after[date] });
+        }
+      }
+
+      previews.push({
+        property,
+        startDate: formatDateKey(start),
+        endDate: formatDateKey(end),
+        nightly,
+        changes
+      });
+    }
+
+    return previews;
+  }
+}
+
+export default PriceRuleService;
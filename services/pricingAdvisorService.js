@@ -0,0 +1,221 @@
+// =======================================
+// --- PRICING ADVISOR SERVICE ---
+// =======================================
+// Suggestions de prix par semaine selon le taux d'occupation et le délai avant l'arrivée
+
+import Booking from '../models/booking.js';
+import BlockedDate from '../models/calendar.js';
+import PriceRule from '../models/priceRule.js';
+import { roundAmount } from '../modules/money.js';
+import { toStayDate, addDays, formatDateKey, countNights } from '../modules/dateUtils.js';
+
+// Réservations qui occupent le calendrier
+const OCCUPYING_STATUSES = ['pending', 'accepted', 'confirmed'];
+
+const MAX_WEEKS = 52;
+
+// Seuils d'ajustement (occupation en %, délai en jours avant le début de semaine)
+const ADJUSTMENTS = [
+  {
+    applies: (w) => w.occupancy >= 85 && w.leadDays > 14,
+    percent: 15,
+    reason: (w) => `Semaine déjà occupée à ${w.occupancy}% à ${w.leadDays} jours de l'arrivée : forte demande`
+  },
+  {
+    applies: (w) => w.occupancy >= 70 && w.leadDays > 14,
+    percent: 10,
+    reason: (w) => `Occupation de ${w.occupancy}% à ${w.leadDays} jours de l'arrivée : demande soutenue`
+  },
+  {
+    applies: (w) => w.occupancy === 0 && w.lastYearOccupancy >= 80 && w.leadDays > 60,
+    percent: 5,
+    reason: (w) => `Semaine occupée à ${w.lastYearOccupancy}% l'an dernier, encore libre à ${w.leadDays} jours`
+  },
+  {
+    applies: (w) => w.occupancy <= 20 && w.leadDays <= 7,
+    percent: -15,
+    reason: (w) => `Seulement ${w.occupancy}% d'occupation à ${w.leadDays} jours de l'arrivée : dernière minute`
+  },
+  {
+    applies: (w) => w.occupancy <= 20 && w.leadDays <= 21,
+    percent: -10,
+    reason: (w) => `Occupation faible (${w.occupancy}%) à ${w.leadDays} jours de l'arrivée`
+  }
+];
+
+// Lundi (00:00 UTC) de la semaine d'une date
+function startOfWeek(date) {
+  const day = toStayDate(date);
+  return addDays(day, -((day.getUTCDay() + 6) % 7));
+}
+
+/**
+ * Nuits occupées (réservations) ou fermées (blocages) sur une période
+ * @param {Object} property - Logement résolu
+ * @param {Date} start - Première nuit
+ * @param {Date} end - Lendemain de la dernière nuit
+ * @returns {Object} { booked: Set<YYYY-MM-DD>, blocked: Set<YYYY-MM-DD> }
+ */
+async function loadOccupancy(property, start, end) {
+  const apartmentId = { $in: property.identifiers() };
+
+  const [bookings, blockedPeriods] = await Promise.all([
+    Booking.find({
+      apartmentId,
+      status: { $in: OCCUPYING_STATUSES },
+      startDate: { $lt: end },
+      endDate: { $gt: start }
+    }).select('startDate endDate').lean(),
+    BlockedDate.find({
+      apartmentId,
+      startDate: { $lt: end },
+      endDate: { $gte: start }
+    }).select('startDate endDate').lean()
+  ]);
+
+  const booked = new Set();
+  for (const booking of bookings) {
+    for (let night = toStayDate(booking.startDate); night < toStayDate(booking.endDate); night = addDays(night, 1)) {
+      booked.add(formatDateKey(night));
+    }
+  }
+
+  // Un blocage d'un seul jour ferme cette nuit, sinon la date de fin est exclue
+  const blocked = new Set();
+  for (const period of blockedPeriods) {
+    const blockStart = toStayDate(period.startDate);
+    const blockEnd = toStayDate(period.endDate);
+    const lastNight = blockEnd > blockStart ? addDays(blockEnd, -1) : blockStart;
+    for (let night = blockStart; night <= lastNight; night = addDays(night, 1)) {
+      blocked.add(formatDateKey(night));
+    }
+  }
+
+  return { booked, blocked };
+}
+
+// --- Pricing Advisor Service Class ---
+export class PricingAdvisorService {
+
+  /**
+   * Suggestions d'ajustement de prix pour les prochaines semaines
+   * Seules les nuits encore libres sont concernées par un ajustement
+   * @param {Object} property - Logement résolu
+   * @param {Object} options - { weeks, from, now }
+   * @returns {Array} Suggestions { id, weekStart, weekEnd, occupancy, lastYearOccupancy,
+   *   leadDays, adjustmentPercent, reasons, nights: [{ date, currentPrice, suggestedPrice }] }
+   */
+  static async getSuggestions(property, { weeks = 12, from = null, now = new Date() } = {}) {
+    const horizon = Math.min(Math.max(Number(weeks) || 12, 1), MAX_WEEKS);
+    const today = toStayDate(now);
+    const firstWeek = startOfWeek(from || today);
+    const end = addDays(firstWeek, horizon * 7);
+
+    // Même période un an plus tôt, alignée sur les semaines (52 semaines)
+    const lastYearStart = addDays(firstWeek, -364);
+    const lastYearEnd = addDays(end, -364);
+
+    const [prices, current, lastYear] = await Promise.all([
+      PriceRule.getPricesForPeriod(property.slug, firstWeek, addDays(end, -1)),
+      loadOccupancy(property, firstWeek, end),
+      loadOccupancy(property, lastYearStart, lastYearEnd)
+    ]);
+
+    const suggestions = [];
+
+    for (let weekStart = firstWeek; weekStart < end; weekStart = addDays(weekStart, 7)) {
+      const dates = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+      const sellable = dates.filter(date => date >= today && !current.blocked.has(formatDateKey(date)));
+      if (sellable.length === 0) continue;
+
+      const bookedCount = sellable.filter(date => current.booked.has(formatDateKey(date))).length;
+      const lastYearDates = dates.map(date => formatDateKey(addDays(date, -364)));
+      const lastYearOpen = lastYearDates.filter(key => !lastYear.blocked.has(key));
+      const lastYearBooked = lastYearOpen.filter(key => lastYear.booked.has(key)).length;
+
+      const week = {
+        occupancy: Math.round((bookedCount / sellable.length) * 100),
+        lastYearOccupancy: lastYearOpen.length > 0 ? Math.round((lastYearBooked / lastYearOpen.length) * 100) : 0,
+        leadDays: Math.max(countNights(today, sellable[0]), 0)
+      };
+
+      const adjustment = ADJUSTMENTS.find(candidate => candidate.applies(week));
+      const freeNights = sellable.filter(date => !current.booked.has(formatDateKey(date)));
+      if (!adjustment || freeNights.length === 0) continue;
+
+      suggestions.push({
+        id: `${property.slug}_${formatDateKey(weekStart)}`,
+        weekStart: formatDateKey(weekStart),
+        weekEnd: formatDateKey(addDays(weekStart, 6)),
+        ...week,
+        adjustmentPercent: adjustment.percent,
+        reasons: [
+          adjustment.reason(week),
+          `${freeNights.length} nuit(s) encore libre(s) sur ${sellable.length} disponible(s)`
+        ],
+        nights: freeNights.map(date => {
+          const key = formatDateKey(date);
+          return {
+            date: key,
+            currentPrice: prices[key],
+            suggestedPrice: roundAmount(prices[key] * (1 + adjustment.percent / 100))
+          };
+        })
+      });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Accepte une suggestion : crée une règle "weekday" prioritaire sur la semaine
+   * La suggestion est recalculée côté serveur à partir de la semaine demandée
+   * @param {Object} property - Logement résolu
+   * @param {string} weekStart - Lundi de la semaine (YYYY-MM-DD)
+   * @returns {Object} { success, priceRule, suggestion } ou { success: false, code, error }
+   */
+  static async acceptSuggestion(property, weekStart) {
+    const monday = toStayDate(weekStart);
+    if (!monday || monday.getUTCDay() !== 1) {
+      return { success: false, code: 'INVALID_WEEK', error: 'weekStart doit être un lundi (YYYY-MM-DD)' };
+    }
+
+    const [suggestion] = await this.getSuggestions(property, { weeks: 1, from: monday });
+    if (!suggestion) {
+      return { success: false, code: 'NO_SUGGESTION', error: 'Aucune suggestion pour cette semaine' };
+    }
+
+    const firstNight = toStayDate(suggestion.nights[0].date);
+    const lastNight = toStayDate(suggestion.nights[suggestion.nights.length - 1].date);
+
+    // Priorité au-dessus de toutes les règles actives de la semaine : le prix suggéré
+    // devient le prix final (les suppléments moins prioritaires ne s'ajoutent plus)
+    const [topRule] = await PriceRule.find({
+      property: property.slug,
+      isActive: true,
+      startDate: { $lte: lastNight },
+      endDate: { $gte: firstNight }
+    })
+      .sort({ priority: -1 })
+      .limit(1)
+      .lean();
+
+    const sign = suggestion.adjustmentPercent > 0 ? '+' : '';
+    const priceRule = await PriceRule.create({
+      property: property.slug,
+      name: `Ajustement ${sign}${suggestion.adjustmentPercent}% semaine du ${suggestion.weekStart}`,
+      type: 'weekday',
+      startDate: firstNight,
+      endDate: lastNight,
+      priority: (topRule?.priority || 0) + 1,
+      weekdayPrices: suggestion.nights.map(night => ({
+        day: toStayDate(night.date).getUTCDay(),
+        price: night.suggestedPrice
+      }))
+    });
+
+    return { success: true, priceRule, suggestion };
+  }
+}
+
+export default PricingAdvisorService;
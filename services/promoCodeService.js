@@ -0,0 +1,212 @@
+// =======================================
+// --- PROMO CODE SERVICE ---
+// =======================================
+// Validation, application et comptage des codes promo
+
+import PromoCode from '../models/promoCode.js';
+import PromoRedemption from '../models/promoRedemption.js';
+import { OrderService } from './orderService.js';
+import Booking from '../models/booking.js';
+import { roundAmount } from '../modules/money.js';
+
+// Réservations qui ne consomment plus d'utilisation
+const RELEASED_STATUSES = ['refused', 'cancelled'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Refus dus aux limites d'utilisation (globale ou par client)
+const LIMIT_CODES = ['PROMO_EXHAUSTED', 'PROMO_USER_LIMIT'];
+
+// --- Promo Code Service Class ---
+export class PromoCodeService {
+
+  /**
+   * Vérifie qu'un code promo est utilisable par un client
+   * @param {string} code - Code saisi
+   * @param {Object} params - { userId, now }
+   * @returns {Object} { success: true, promo, allowance } ou { success: false, code, error }
+   *   allowance = nombre de réservations pouvant encore bénéficier du code
+   */
+  static async validate(code, { userId, now = new Date() } = {}) {
+    const result = await this.checkUsable(code, { userId, now });
+    if (result.success || !LIMIT_CODES.includes(result.code)) {
+      return result;
+    }
+
+    // Limite atteinte : les utilisations retenues par des commandes impayées dont le délai
+    // est dépassé sont rendues sans attendre la tâche planifiée, puis le code est revérifié
+    const expired = await OrderService.expireOverdueForPromo(normalizeCode(code), now);
+    return expired > 0 ? this.checkUsable(code, { userId, now }) : result;
+  }
+
+  /**
+   * Vérifie la validité et les limites d'utilisation d'un code (voir validate)
+   * @param {string} code - Code saisi
+   * @param {Object} params - { userId, now }
+   * @returns {Object} { success: true, promo, allowance } ou { success: false, code, error }
+   */
+  static async checkUsable(code, { userId, now = new Date() } = {}) {
+    const promo = await PromoCode.findOne({ code: normalizeCode(code) }).lean();
+
+    if (!promo || !promo.isActive) {
+      return { success: false, code: 'PROMO_NOT_FOUND', error: 'Code promo invalide' };
+    }
+
+    if ((promo.validFrom && now < promo.validFrom) || (promo.validTo && now > promo.validTo)) {
+      return { success: false, code: 'PROMO_EXPIRED', error: 'Ce code promo n\'est pas valide actuellement' };
+    }
+
+    let allowance = Infinity;
+
+    if (promo.maxUses) {
+      allowance = promo.maxUses - promo.usedCount;
+      if (allowance <= 0) {
+        return { success: false, code: 'PROMO_EXHAUSTED', error: 'Ce code promo a atteint sa limite d\'utilisation' };
+      }
+    }
+
+    if (promo.perUserLimit && userId) {
+      const userUses = await this.getUserUses(promo.code, userId);
+      allowance = Math.min(allowance, promo.perUserLimit - userUses);
+      if (allowance <= 0) {
+        return { success: false, code: 'PROMO_USER_LIMIT', error: 'Vous avez déjà utilisé ce code promo' };
+      }
+    }
+
+    return { success: true, promo, allowance };
+  }
+
+  /**
+   * Utilisations d'un code par un client (compteur, sinon réservations antérieures au compteur)
+   * @param {string} code - Code promo
+   * @param {string} userId - ID du client
+   * @returns {number}
+   */
+  static async getUserUses(code, userId) {
+    const redemption = await PromoRedemption.findOne({ code, userId }).lean();
+    return redemption ? redemption.uses : this.countUserUses(code, userId);
+  }
+
+  /**
+   * Nombre de réservations d'un client ayant utilisé un code
+   * @param {string} code - Code promo
+   * @param {string} userId - ID du client
+   * @returns {number}
+   */
+  static async countUserUses(code, userId) {
+    return Booking.countDocuments({
+      userId,
+      promoCode: code,
+      status: { $nin: RELEASED_STATUSES }
+    });
+  }
+
+  /**
+   * Vérifie qu'un code s'applique à un séjour (logement, durée)
+   * @param {Object} promo - Code promo
+   * @param {Object} stay - { property, nights }
+   * @returns {boolean}
+   */
+  static appliesTo(promo, { property, nights }) {
+    if (promo.properties?.length > 0 && !promo.properties.includes(property.slug)) {
+      return false;
+    }
+    return !promo.minNights || nights >= promo.minNights;
+  }
+
+  /**
+   * Ligne de réduction d'un code promo sur le prix restant des nuits
+   * @param {Object} promo - Code promo
+   * @param {number} remaining - Prix des nuits après réductions automatiques
+   * @returns {Object} Ligne { source, code, type, label, valueType, value, amount }
+   */
+  static buildDiscount(promo, remaining) {
+    const amount = promo.valueType === 'fixed'
+      ? promo.value
+      : (remaining * promo.value) / 100;
+
+    return {
+      source: 'promo',
+      code: promo.code,
+      type: 'promo_code',
+      label: `Code ${promo.code}`,
+      valueType: promo.valueType,
+      value: promo.value,
+      amount: roundAmount(Math.min(amount, remaining))
+    };
+  }
+
+  /**
+   * Réserve atomiquement des utilisations (refuse si une limite est atteinte)
+   * @param {Object} promo - Code promo
+   * @param {number} count - Nombre de réservations concernées
+   * @param {Object} options - { userId } pour la limite par client
+   * @returns {Object} { success: true } ou { success: false, code, error }
+   */
+  static async redeem(promo, count, { userId } = {}) {
+    const filter = { _id: promo._id, isActive: true };
+    if (promo.maxUses) {
+      filter.usedCount = { $lte: promo.maxUses - count };
+    }
+
+    const updated = await PromoCode.findOneAndUpdate(filter, { $inc: { usedCount: count } });
+    if (!updated) {
+      return { success: false, code: 'PROMO_EXHAUSTED', error: 'Ce code promo a atteint sa limite d\'utilisation' };
+    }
+
+    if (promo.perUserLimit && userId && !(await this.redeemForUser(promo, count, userId))) {
+      await this.release(promo.code, count);
+      return { success: false, code: 'PROMO_USER_LIMIT', error: 'Vous avez déjà utilisé ce code promo' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Incrémente le compteur du client si la limite par client le permet
+   * @param {Object} promo - Code promo
+   * @param {number} count - Nombre de réservations concernées
+   * @param {string} userId - ID du client
+   * @returns {boolean} true si les utilisations ont été enregistrées
+   */
+  static async redeemForUser(promo, count, userId) {
+    const key = { code: promo.code, userId };
+
+    // Premier passage : le compteur reprend les réservations déjà faites avec le code
+    if (!(await PromoRedemption.exists(key))) {
+      try {
+        await PromoRedemption.create({ ...key, uses: await this.countUserUses(promo.code, userId) });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const updated = await PromoRedemption.findOneAndUpdate(
+      { ...key, uses: { $lte: promo.perUserLimit - count } },
+      { $inc: { uses: count } }
+    );
+    return !!updated;
+  }
+
+  /**
+   * Rend des utilisations (réservation annulée ou échec d'insertion)
+   * @param {string} code - Code promo
+   * @param {number} count - Nombre d'utilisations à rendre
+   * @param {Object} options - { userId } pour rendre aussi l'utilisation du client
+   */
+  static async release(code, count = 1, { userId } = {}) {
+    await PromoCode.updateOne(
+      { code: normalizeCode(code), usedCount: { $gte: count } },
+      { $inc: { usedCount: -count } }
+    );
+
+    if (userId) {
+      await PromoRedemption.updateOne(
+        { code: normalizeCode(code), userId, uses: { $gte: count } },
+        { $inc: { uses: -count } }
+      );
+    }
+  }
+}
+
+export default PromoCodeService;
@@ -0,0 +1,99 @@
+// =======================================
+// --- PROPERTY SERVICE ---
+// =======================================
+// Résolution des logements (slug, clé courte, nom ou alias) avec cache
+
+import NodeCache from 'node-cache';
+import Property from '../models/property.js';
+import GlobalSettings from '../models/globalSettings.js';
+
+// --- Cache Configuration ---
+const CACHE_TTL = 5 * 60; // 5 minutes en secondes
+const PROPERTIES_CACHE_KEY = 'properties';
+
+const cache = new NodeCache({
+  stdTTL: CACHE_TTL,
+  checkperiod: 60,
+  useClones: false
+});
+
+// Frais appliqués si ni les GlobalSettings ni le logement ne les définissent
+const FALLBACK_FEE = 50;
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+// --- Property Service Class ---
+export class PropertyService {
+
+  /**
+   * Récupère tous les logements (cache)
+   * @param {Object} options - { includeInactive }
+   * @returns {Array} Logements
+   */
+  static async getAll({ includeInactive = false } = {}) {
+    let properties = cache.get(PROPERTIES_CACHE_KEY);
+
+    if (!properties) {
+      properties = await Property.find({}).sort({ name: 1 });
+      cache.set(PROPERTIES_CACHE_KEY, properties);
+    }
+
+    return includeInactive ? properties : properties.filter(p => p.isActive);
+  }
+
+  /**
+   * Retrouve un logement à partir de n'importe lequel de ses libellés
+   * @param {string} identifier - slug, clé courte, nom ou alias
+   * @param {Object} options - { includeInactive }
+   * @returns {Object|null} Logement ou null si inconnu
+   */
+  static async resolve(identifier, { includeInactive = false } = {}) {
+    if (!identifier || typeof identifier !== 'string') {
+      return null;
+    }
+
+    const target = normalize(identifier);
+    const properties = await this.getAll({ includeInactive });
+
+    return properties.find(property =>
+      property.identifiers().some(label => normalize(label) === target)
+    ) || null;
+  }
+
+  /**
+   * Filtre MongoDB couvrant tous les apartmentId désignant le même logement
+   * @param {string} apartmentId - Libellé reçu
+   * @returns {string|Object} Libellé brut si inconnu, sinon filtre $in
+   */
+  static async apartmentFilter(apartmentId) {
+    const property = await this.resolve(apartmentId, { includeInactive: true });
+    return property ? { $in: property.identifiers() } : apartmentId;
+  }
+
+  /**
+   * Frais de ménage et de linge d'un logement
+   * Les GlobalSettings de la propriété priment sur les valeurs du logement
+   * @param {Object} property - Logement résolu
+   * @returns {Object} { cleaningFee, linenFee }
+   */
+  static async getFees(property) {
+    const [cleaningSetting, linenSetting] = await Promise.all([
+      GlobalSettings.findOne({ settingKey: `cleaning_fee_${property.settingsKey}` }),
+      GlobalSettings.findOne({ settingKey: `linen_option_price_${property.settingsKey}` })
+    ]);
+
+    return {
+      cleaningFee: cleaningSetting?.settingValue ?? property.fees?.cleaning ?? FALLBACK_FEE,
+      linenFee: linenSetting?.settingValue ?? property.fees?.linen ?? FALLBACK_FEE
+    };
+  }
+
+  /**
+   * Invalide le cache des logements (après création/modification)
+   */
+  static invalidateCache() {
+    cache.del(PROPERTIES_CACHE_KEY);
+  }
+}
+
+export default PropertyService;
@@ -0,0 +1,251 @@
+// =======================================
+// --- QUOTE SERVICE ---
+// =======================================
+// Calcul du prix de référence d'un séjour côté serveur (nuits, frais, taxes)
+
+import PriceRule from '../models/priceRule.js';
+import { PropertyService } from './propertyService.js';
+import { DiscountService } from './discountService.js';
+import { PromoCodeService } from './promoCodeService.js';
+import { StayRulesService } from './stayRulesService.js';
+import { computeTouristTax } from './touristTaxService.js';
+import { roundAmount, amountsMatch } from '../modules/money.js';
+import { computeGuestSurcharges } from '../modules/guestSurcharges.js';
+import { formatDateKey, addDays, countNights, parsePeriod, MAX_PERIOD_DAYS } from '../modules/dateUtils.js';
+
+const CURRENCY = 'EUR';
+
+// --- Quote Service Class ---
+export class QuoteService {
+
+  /**
+   * Calcule le devis d'un séjour
+   * @param {Object} params - { apartmentId, startDate, endDate, guestDetails, includeLinen, promo }
+   *   promo : code promo déjà validé (PromoCodeService.validate), appliqué s'il couvre le séjour
+   * @returns {Object} { success: true, quote } ou { success: false, code, error }
+   */
+  static async computeQuote({ apartmentId, startDate, endDate, guestDetails = {}, includeLinen = false, promo = null }) {
+    // Durée bornée : chaque nuit est chiffrée (prix, réductions, taxe, suppléments)
+    const { start, end, code } = parsePeriod(startDate, endDate);
+    if (code === 'PERIOD_TOO_LONG') {
+      return {
+        success: false,
+        code: 'STAY_TOO_LONG',
+        error: `Séjour trop long (${MAX_PERIOD_DAYS} nuits maximum)`
+      };
+    }
+    if (!start || !end || start >= end) {
+      return {
+        success: false,
+        code: 'INVALID_DATES',
+        error: 'Dates de séjour invalides (la date de départ doit suivre la date d\'arrivée)'
+      };
+    }
+
+    const property = await PropertyService.resolve(apartmentId);
+    if (!property) {
+      return {
+        success: false,
+        code: 'UNKNOWN_PROPERTY',
+        error: `Logement inconnu: ${apartmentId}`
+      };
+    }
+
+    // Prix par nuit, du jour d'arrivée à la veille du départ
+    const nights = countNights(start, end);
+    const dailyPrices = await PriceRule.getPricesForPeriod(property.slug, start, addDays(end, -1));
+    const nightly = Object.entries(dailyPrices).map(([date, price]) => ({ date, price }));
+    const accommodation = roundAmount(nightly.reduce((sum, night) => sum + night.price, 0));
+
+    // Réductions automatiques sur le prix des nuits
+    const discounts = await DiscountService.computeDiscounts(property, { start, nights, accommodation });
+
+    // Code promo sur le prix restant après réductions automatiques
+    let promoCode = null;
+    if (promo && PromoCodeService.appliesTo(promo, { property, nights })) {
+      const remaining = roundAmount(accommodation - discounts.reduce((sum, discount) => sum + discount.amount, 0));
+      const promoDiscount = PromoCodeService.buildDiscount(promo, remaining);
+      if (promoDiscount.amount > 0) {
+        discounts.push(promoDiscount);
+        promoCode = promo.code;
+      }
+    }
+
+    const discountsTotal = roundAmount(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+    // Frais : ménage toujours inclus, linge en option
+    const { cleaningFee, linenFee } = await PropertyService.getFees(property);
+    const fees = {
+      cleaning: roundAmount(cleaningFee),
+      linen: includeLinen ? roundAmount(linenFee) : 0,
+      includeLinen: !!includeLinen
+    };
+
+    // Suppléments voyageurs (personnes au-delà de l'occupation de base, animaux)
+    const surcharges = computeGuestSurcharges(property.guestSurcharges, {
+      nights,
+      adults: guestDetails?.adults || 1,
+      children: guestDetails?.children || [],
+      pets: guestDetails?.pets || []
+    });
+    const surchargesTotal = roundAmount(surcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0));
+
+    // Taxe de séjour par personne taxable et par nuit (mineurs exonérés)
+    const touristTax = computeTouristTax(property.touristTax, {
+      nightly,
+      adults: guestDetails?.adults || 1,
+      children: guestDetails?.children || []
+    });
+    const taxes = touristTax ? [touristTax] : [];
+    const taxesTotal = roundAmount(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+    const total = roundAmount(accommodation - discountsTotal + surchargesTotal + fees.cleaning + fees.linen + taxesTotal);
+
+    return {
+      success: true,
+      quote: {
+        property: { slug: property.slug, name: property.name, settingsKey: property.settingsKey },
+        apartmentId,
+        startDate: formatDateKey(start),
+        endDate: formatDateKey(end),
+        nights,
+        guests: {
+          adults: guestDetails?.adults || 1,
+          children: guestDetails?.children?.length || 0,
+          pets: guestDetails?.pets?.length || 0
+        },
+        nightly,
+        accommodation,
+        discounts,
+        discountsTotal,
+        promoCode,
+        surcharges,
+        surchargesTotal,
+        fees,
+        taxes,
+        taxesTotal,
+        total,
+        currency: CURRENCY
+      }
+    };
+  }
+
+  /**
+   * Devis de chaque séjour d'une demande (demande de réservation ou commande du panier),
+   * avec les contrôles de la réservation : règles de séjour, règlement du logement,
+   * prix affiché au client et code promo
+   * @param {Array<Object>} items - Séjours { apartmentId, startDate, endDate, price }
+   * @param {Object} options - { guestDetails, includeLinen (booléen par clé de logement), promo, promoAllowance }
+   *   promo : code déjà validé, appliqué à au plus promoAllowance séjours
+   * @returns {Object} { success: true, quotes, promoUses } ou { success: false, code, error, apartmentId, errors, expectedPrice }
+   */
+  static async quoteStays(items, { guestDetails = {}, includeLinen = {}, promo = null, promoAllowance = 0 } = {}) {
+    const quotes = [];
+    let allowance = promoAllowance;
+
+    for (const item of items) {
+      const property = await PropertyService.resolve(item.apartmentId);
+
+      if (property) {
+        // Règles de séjour du logement (nuits minimum, jours d'arrivée/départ)
+        const stayCheck = await StayRulesService.validateStay(property, item.startDate, item.endDate);
+        if (!stayCheck.valid) {
+          return { success: false, ...stayCheck.errors[0], apartmentId: item.apartmentId, errors: stayCheck.errors };
+        }
+
+        // Capacité et animaux acceptés dans le logement
+        const houseRuleErrors = StayRulesService.checkHouseRules(property, guestDetails);
+        if (houseRuleErrors.length > 0) {
+          return { success: false, ...houseRuleErrors[0], apartmentId: item.apartmentId, errors: houseRuleErrors };
+        }
+      }
+
+      const quoteResult = await this.computeQuote({
+        apartmentId: item.apartmentId,
+        startDate: item.startDate,
+        endDate: item.endDate,
+        guestDetails,
+        includeLinen: property ? includeLinen?.[property.settingsKey] || false : false,
+        promo: allowance > 0 ? promo : null
+      });
+      if (!quoteResult.success) {
+        return { ...quoteResult, apartmentId: item.apartmentId };
+      }
+
+      const priceError = this.checkClientPrice(quoteResult.quote, item.price);
+      if (priceError) {
+        return { ...priceError, apartmentId: item.apartmentId };
+      }
+
+      if (quoteResult.quote.promoCode) {
+        allowance--;
+      }
+      quotes.push(quoteResult.quote);
+    }
+
+    // Un code promo ne couvrant aucun séjour est signalé plutôt qu'ignoré
+    const promoUses = quotes.filter(quote => quote.promoCode).length;
+    if (promo && promoUses === 0) {
+      return {
+        success: false,
+        code: 'PROMO_NOT_APPLICABLE',
+        error: `Le code ${promo.code} ne s'applique à aucun séjour de votre demande`
+      };
+    }
+
+    return { success: true, quotes, promoUses };
+  }
+
+  /**
+   * Champs de prix d'une réservation issus de son devis
+   * @param {Object} quote - Devis calculé
+   * @returns {Object} { price, totalPrice, discounts, surcharges, promoCode, touristTax, additionalServices }
+   */
+  static toBookingFields(quote) {
+    return {
+      price: quote.accommodation, // Prix de base du logement
+      totalPrice: quote.total, // Prix total avec services et réductions
+      discounts: quote.discounts.map(({ source, ruleId, code, type, label, amount }) => ({
+        source, ruleId, code, type, label, amount
+      })),
+      surcharges: quote.surcharges,
+      promoCode: quote.promoCode || undefined,
+      touristTax: quote.taxes.find(tax => tax.code === 'tourist_tax'),
+      additionalServices: {
+        cleaning: {
+          included: true, // Toujours inclus
+          price: quote.fees.cleaning
+        },
+        linen: {
+          included: quote.fees.includeLinen,
+          price: quote.fees.linen
+        }
+      }
+    };
+  }
+
+  /**
+   * Vérifie le prix envoyé par le client contre le devis serveur
+   * @param {Object} quote - Devis calculé
+   * @param {number} clientPrice - Prix du logement envoyé par le frontend
+   * @returns {Object|null} Erreur PRICE_MISMATCH ou null si le prix est correct
+   */
+  static checkClientPrice(quote, clientPrice) {
+    if (clientPrice === undefined || clientPrice === null) {
+      return null;
+    }
+
+    if (amountsMatch(Number(clientPrice), quote.accommodation)) {
+      return null;
+    }
+
+    return {
+      success: false,
+      code: 'PRICE_MISMATCH',
+      error: `Le prix indiqué (${clientPrice} €) ne correspond pas au tarif en vigueur (${quote.accommodation} €)`,
+      expectedPrice: quote.accommodation
+    };
+  }
+}
+
+export default QuoteService;
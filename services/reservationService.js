@@ -0,0 +1,336 @@
+// =======================================
+// --- RESERVATION SERVICE ---
+// =======================================
+// Réservation atomique des nuits d'un logement (un verrou par nuit)
+// et options temporaires posées par le panier
+
+import ReservationLock from '../models/reservationLock.js';
+import Booking from '../models/booking.js';
+import Cart from '../models/cart.js';
+import { PropertyService } from './propertyService.js';
+import { toStayDate, addDays, formatDateKey } from '../modules/dateUtils.js';
+
+// Réservations qui occupent leurs nuits
+export const ACTIVE_STATUSES = ['pending', 'accepted', 'confirmed'];
+
+/**
+ * Filtre des réservations occupant leurs nuits, y compris les réservations
+ * temporaires d'une commande en attente de paiement non expirée
+ * @param {Date} now - Date de référence
+ * @returns {Object} Filtre MongoDB
+ */
+export function occupyingBookingFilter(now = new Date()) {
+  return {
+    $or: [
+      { status: { $in: ACTIVE_STATUSES } },
+      { status: 'temporary', expiresAt: { $gt: now } }
+    ]
+  };
+}
+
+const isOccupying = (booking, now) =>
+  ACTIVE_STATUSES.includes(booking.status) ||
+  (booking.status === 'temporary' && booking.expiresAt > now);
+
+// Un verrou sans réservation n'est repris qu'après ce délai (création en cours)
+const ORPHAN_LOCK_GRACE_MS = 10 * 60 * 1000;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Verrous d'un propriétaire : réservation ou article du panier
+const ownerFilter = (owner) =>
+  owner.booking ? { booking: owner.booking } : { cartItem: owner.cartItem };
+
+// Options du panier (verrous sans réservation)
+const HOLD_FILTER = { booking: { $exists: false } };
+
+const isDuplicateKeyError = (err) =>
+  err?.code === DUPLICATE_KEY_ERROR ||
+  (err?.writeErrors || []).some(writeError => (writeError.code ?? writeError.err?.code) === DUPLICATE_KEY_ERROR);
+
+/**
+ * Nuits occupées par un séjour (du jour d'arrivée à la veille du départ)
+ * @param {string|Date} startDate - Date d'arrivée
+ * @param {string|Date} endDate - Date de départ
+ * @returns {Array<Date>} Nuits à minuit UTC (vide si dates invalides)
+ */
+export function listNights(startDate, endDate) {
+  const start = toStayDate(startDate);
+  const end = toStayDate(endDate);
+  const nights = [];
+
+  if (!start || !end) return nights;
+
+  for (let night = start; night < end; night = addDays(night, 1)) {
+    nights.push(night);
+  }
+
+  return nights;
+}
+
+// --- Reservation Service Class ---
+export class ReservationService {
+
+  /**
+   * Verrouille les nuits de plusieurs séjours, tout ou rien
+   * Les réservations doivent être insérées avec les bookingId fournis
+   * Les options du panier du client sur ces nuits sont converties (et lui reviennent en cas d'échec)
+   * @param {Array<Object>} items - [{ apartmentId, startDate, endDate, bookingId }]
+   * @param {Object} options - { userId } propriétaire des options à convertir
+   * @returns {Object} { success: true } ou { success: false, code, error, apartmentId }
+   */
+  static async reserve(items, { userId } = {}) {
+    // L'index unique doit exister avant la première insertion
+    await ReservationLock.init();
+
+    const bookingIds = items.map(item => item.bookingId);
+    const acquired = [];
+
+    const fail = async (item, code, error) => {
+      await this.restoreHolds(acquired);
+      await this.release(acquired);
+      return { success: false, code, error, apartmentId: item.apartmentId };
+    };
+
+    for (const item of items) {
+      const property = await PropertyService.resolve(item.apartmentId, { includeInactive: true });
+      if (!property) {
+        return fail(item, 'UNKNOWN_PROPERTY', `Logement inconnu: ${item.apartmentId}`);
+      }
+
+      const nights = listNights(item.startDate, item.endDate);
+      if (nights.length === 0) {
+        return fail(item, 'INVALID_DATES', 'Dates de séjour invalides');
+      }
+
+      acquired.push(item.bookingId);
+
+      if (userId) {
+        await ReservationLock.updateMany(
+          { property: property.slug, night: { $in: nights }, userId, ...HOLD_FILTER },
+          [
+            { $set: { booking: item.bookingId, heldBy: { userId: '$userId', cartItem: '$cartItem' } } },
+            { $unset: ['userId', 'cartItem', 'expiresAt'] }
+          ]
+        );
+      }
+
+      const converted = await ReservationLock.find({ booking: item.bookingId }).distinct('night');
+      const convertedKeys = new Set(converted.map(night => night.getTime()));
+      const remaining = nights.filter(night => !convertedKeys.has(night.getTime()));
+
+      const locked = remaining.length === 0 ||
+        await this.lockNights(property.slug, remaining, { booking: item.bookingId });
+      if (!locked) {
+        return fail(item, 'DATES_UNAVAILABLE', `Dates non disponibles pour ${item.apartmentId}. Une réservation existe déjà sur cette période.`);
+      }
+
+      // Réservations antérieures aux verrous
+      const conflict = await Booking.exists({
+        _id: { $nin: bookingIds },
+        apartmentId: { $in: property.identifiers() },
+        ...occupyingBookingFilter(),
+        startDate: { $lt: addDays(nights[nights.length - 1], 1) },
+        endDate: { $gt: nights[0] }
+      });
+      if (conflict) {
+        return fail(item, 'DATES_UNAVAILABLE', `Dates non disponibles pour ${item.apartmentId}. Une réservation existe déjà sur cette période.`);
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Pose une option temporaire sur les nuits d'un article du panier
+   * @param {string} property - Slug du logement
+   * @param {string|Date} startDate - Date d'arrivée
+   * @param {string|Date} endDate - Date de départ
+   * @param {Object} holder - { userId, cartItem, expiresAt }
+   * @returns {boolean} true si toutes les nuits sont retenues
+   */
+  static async hold(property, startDate, endDate, { userId, cartItem, expiresAt }) {
+    await ReservationLock.init();
+
+    const nights = listNights(startDate, endDate);
+    if (nights.length === 0) return false;
+
+    return this.lockNights(property, nights, { userId, cartItem, expiresAt });
+  }
+
+  /**
+   * Prolonge les options du panier d'un client
+   * @param {ObjectId} userId - Client
+   * @param {Date} expiresAt - Nouvelle fin de validité
+   */
+  static async extendHolds(userId, expiresAt) {
+    await ReservationLock.updateMany({ userId, ...HOLD_FILTER }, { $set: { expiresAt } });
+  }
+
+  /**
+   * Libère les options du panier (un article ou tout le panier d'un client)
+   * @param {Object} filter - { userId } et/ou { cartItem }
+   */
+  static async releaseHolds(filter) {
+    await ReservationLock.deleteMany({ ...filter, ...HOLD_FILTER });
+  }
+
+  /**
+   * Nuits retenues par des options de panier en cours
+   * @param {string} property - Slug du logement
+   * @param {Date} from - Première nuit concernée
+   * @param {Object} options - { to } date de départ exclue, { excludeUserId } options ignorées
+   * @returns {Array<string>} Dates YYYY-MM-DD
+   */
+  static async getHeldNights(property, from, { to, excludeUserId } = {}) {
+    const filter = {
+      property,
+      night: to ? { $gte: from, $lt: to } : { $gte: from },
+      expiresAt: { $gt: new Date() },
+      ...HOLD_FILTER
+    };
+    if (excludeUserId) {
+      filter.userId = { $ne: excludeUserId };
+    }
+
+    const nights = await ReservationLock.find(filter).distinct('night');
+
+    return nights.map(night => formatDateKey(night));
+  }
+
+  /**
+   * Insère un verrou par nuit ; échoue si une nuit est déjà prise
+   * @param {string} property - Slug du logement
+   * @param {Array<Date>} nights - Nuits à verrouiller
+   * @param {Object} owner - { booking } ou option { userId, cartItem, expiresAt }
+   * @param {boolean} retry - Réessayer une fois après purge des verrous périmés
+   * @returns {boolean} true si toutes les nuits sont verrouillées
+   */
+  static async lockNights(property, nights, owner, retry = true) {
+    try {
+      await ReservationLock.insertMany(
+        nights.map(night => ({ property, night, ...owner })),
+        { ordered: false }
+      );
+      return true;
+    } catch (err) {
+      // Retirer les nuits insérées avant l'échec
+      await ReservationLock.deleteMany({ ...ownerFilter(owner), night: { $in: nights } });
+
+      if (!isDuplicateKeyError(err)) {
+        throw err;
+      }
+
+      if (retry && (await this.purgeStaleLocks(property, nights)) > 0) {
+        return this.lockNights(property, nights, owner, false);
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Supprime les verrous dont la réservation n'occupe plus les nuits
+   * (refusée, annulée, temporaire expirée, ou jamais créée après le délai de grâce)
+   * et les options expirées
+   * @param {string} property - Slug du logement
+   * @param {Array<Date>} nights - Nuits concernées
+   * @returns {number} Nombre de verrous supprimés
+   */
+  static async purgeStaleLocks(property, nights) {
+    const locks = await ReservationLock.find({ property, night: { $in: nights } }).lean();
+    if (locks.length === 0) return 0;
+
+    const bookingLocks = locks.filter(lock => lock.booking);
+    const bookings = await Booking.find({
+      _id: { $in: [...new Set(bookingLocks.map(lock => String(lock.booking)))] }
+    }).select('status expiresAt').lean();
+    const bookingById = new Map(bookings.map(booking => [String(booking._id), booking]));
+
+    const now = new Date();
+    const orphanLimit = new Date(now.getTime() - ORPHAN_LOCK_GRACE_MS);
+    const stale = locks.filter(lock => {
+      if (!lock.booking) return lock.expiresAt <= now;
+
+      const booking = bookingById.get(String(lock.booking));
+      return booking ? !isOccupying(booking, now) : lock.createdAt < orphanLimit;
+    });
+
+    if (stale.length === 0) return 0;
+
+    const { deletedCount } = await ReservationLock.deleteMany({
+      _id: { $in: stale.map(lock => lock._id) }
+    });
+    console.log(`🔓 [RESERVATION] ${deletedCount} verrou(s) périmé(s) supprimé(s) pour ${property}`);
+    return deletedCount;
+  }
+
+  /**
+   * Libère les nuits d'une ou plusieurs réservations
+   * @param {ObjectId|Array<ObjectId>} bookingIds - Réservation(s)
+   */
+  static async release(bookingIds) {
+    const ids = [].concat(bookingIds).filter(Boolean);
+    if (ids.length === 0) return;
+
+    await ReservationLock.deleteMany({ booking: { $in: ids } });
+  }
+
+  /**
+   * Rend au panier les options converties pour des réservations qui n'aboutissent pas
+   * (demande refusée à la création, commande remplacée, échouée ou expirée).
+   * Seuls les articles encore présents dans un panier non expiré redeviennent des options,
+   * jusqu'à l'expiration du panier ; les autres verrous restent à libérer avec release().
+   * @param {ObjectId|Array<ObjectId>} bookingIds - Réservation(s)
+   * @returns {number} Nombre de nuits rendues au panier
+   */
+  static async restoreHolds(bookingIds) {
+    const ids = [].concat(bookingIds).filter(Boolean);
+    if (ids.length === 0) return 0;
+
+    const converted = { booking: { $in: ids }, 'heldBy.cartItem': { $exists: true } };
+    const userIds = await ReservationLock.find(converted).distinct('heldBy.userId');
+    if (userIds.length === 0) return 0;
+
+    const carts = await Cart.find({ userId: { $in: userIds }, expiresAt: { $gt: new Date() } })
+      .select('userId items._id expiresAt')
+      .lean();
+
+    let restored = 0;
+    for (const cart of carts) {
+      const { modifiedCount } = await ReservationLock.updateMany(
+        { ...converted, 'heldBy.userId': cart.userId, 'heldBy.cartItem': { $in: cart.items.map(item => item._id) } },
+        [
+          { $set: { userId: '$heldBy.userId', cartItem: '$heldBy.cartItem', expiresAt: cart.expiresAt } },
+          { $unset: ['booking', 'heldBy'] }
+        ]
+      );
+      restored += modifiedCount;
+    }
+
+    if (restored > 0) {
+      console.log(`🛒 [RESERVATION] ${restored} nuit(s) rendue(s) aux paniers`);
+    }
+    return restored;
+  }
+
+  /**
+   * Indique si aucune nuit d'un séjour n'est verrouillée
+   * @param {string} property - Slug du logement
+   * @param {string|Date} startDate - Date d'arrivée
+   * @param {string|Date} endDate - Date de départ
+   * @returns {boolean} true si toutes les nuits sont libres
+   */
+  static async isAvailable(property, startDate, endDate) {
+    const nights = listNights(startDate, endDate);
+    if (nights.length === 0) return false;
+
+    const filter = { property, night: { $in: nights } };
+    if (!(await ReservationLock.exists(filter))) return true;
+
+    await this.purgeStaleLocks(property, nights);
+    return !(await ReservationLock.exists(filter));
+  }
+}
+
+export default ReservationService;
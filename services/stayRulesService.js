@@ -0,0 +1,359 @@
+// =======================================
+// --- STAY RULES SERVICE ---
+// =======================================
+// Contrôle serveur des règles de séjour : nuits minimum, jours d'arrivée et de départ,
+// capacité et animaux acceptés
+
+import GlobalSettings from '../models/globalSettings.js';
+import PriceRule from '../models/priceRule.js';
+import { toStayDate, countNights, formatDateKey, addDays, parsePeriod, MAX_PERIOD_DAYS } from '../modules/dateUtils.js';
+
+// Jours acceptés dans les paramètres (0 = dimanche, comme Date.getUTCDay)
+const WEEKDAY_NAMES = {
+  dimanche: 0, sunday: 0, dim: 0, sun: 0,
+  lundi: 1, monday: 1, lun: 1, mon: 1,
+  mardi: 2, tuesday: 2, mar: 2, tue: 2,
+  mercredi: 3, wednesday: 3, mer: 3, wed: 3,
+  jeudi: 4, thursday: 4, jeu: 4, thu: 4,
+  vendredi: 5, friday: 5, ven: 5, fri: 5,
+  samedi: 6, saturday: 6, sam: 6, sat: 6
+};
+
+const WEEKDAY_LABELS = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+
+/**
+ * Convertit une liste de jours (nombres ou noms) en numéros 0-6
+ * @param {Array|string|number} days - Valeur brute du paramètre
+ * @returns {Array<number>} Jours normalisés, vide = tous les jours
+ */
+export function normalizeWeekdays(days) {
+  if (days === undefined || days === null || days === '') return [];
+
+  const list = Array.isArray(days) ? days : [days];
+
+  return [...new Set(list
+    .map(day => {
+      if (typeof day === 'number') return day;
+      const value = String(day).trim().toLowerCase();
+      if (/^\d$/.test(value)) return Number(value);
+      return WEEKDAY_NAMES[value];
+    })
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+  )].sort((a, b) => a - b);
+}
+
+const formatWeekdays = (days) => days.map(day => WEEKDAY_LABELS[day]).join(', ');
+
+// Contraintes qu'une règle de prix peut porter
+const SEASONAL_FIELDS = ['minNights', 'maxNights', 'arrivalDays', 'departureDays'];
+
+const hasConstraint = (value) =>
+  Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null;
+
+/**
+ * Contraintes saisonnières applicables à une arrivée à une date donnée
+ * Chaque contrainte vient de la règle active la plus prioritaire qui la définit
+ * @param {Array} rules - Règles de prix triées par priorité décroissante
+ * @param {Date} date - Date d'arrivée
+ * @returns {Object} Contraintes définies et nom des règles sources
+ */
+export function resolveSeasonalConstraints(rules, date) {
+  const constraints = {};
+  const sources = {};
+
+  for (const rule of rules) {
+    if (!rule.isActive || new Date(rule.startDate) > date || new Date(rule.endDate) < date) {
+      continue;
+    }
+
+    for (const field of SEASONAL_FIELDS) {
+      if (constraints[field] === undefined && hasConstraint(rule[field])) {
+        constraints[field] = rule[field];
+        sources[field] = rule.name;
+      }
+    }
+  }
+
+  return { constraints, sources };
+}
+
+// Contrainte la plus stricte entre deux valeurs d'un même champ
+function stricterConstraint(field, current, value) {
+  if (field === 'minNights') return Math.max(current, value);
+  if (field === 'maxNights') return Math.min(current, value);
+
+  // Jours d'arrivée ou de départ : seuls les jours acceptés par toutes les règles restent.
+  // Des règles incompatibles (aucun jour commun) laissent la contrainte de la première nuit.
+  const allowed = normalizeWeekdays(value);
+  const common = normalizeWeekdays(current).filter(day => allowed.includes(day));
+  return common.length > 0 ? common : current;
+}
+
+/**
+ * Contraintes saisonnières applicables à un séjour : chaque nuit est résolue comme une
+ * arrivée (règle la plus prioritaire), puis la contrainte la plus stricte parmi toutes
+ * les nuits s'applique (un séjour qui entre en haute saison en suit les règles)
+ * @param {Array} rules - Règles de prix triées par priorité décroissante
+ * @param {Date} start - Date d'arrivée
+ * @param {Date} end - Date de départ (exclue)
+ * @returns {Object} Contraintes définies et nom des règles sources
+ */
+export function resolveStayConstraints(rules, start, end) {
+  const constraints = {};
+  const sources = {};
+
+  for (let night = new Date(start); night < end; night = addDays(night, 1)) {
+    const nightly = resolveSeasonalConstraints(rules, night);
+
+    for (const [field, value] of Object.entries(nightly.constraints)) {
+      if (constraints[field] === undefined) {
+        constraints[field] = value;
+        sources[field] = nightly.sources[field];
+        continue;
+      }
+
+      const stricter = stricterConstraint(field, constraints[field], value);
+      if (JSON.stringify(stricter) !== JSON.stringify(constraints[field])) {
+        constraints[field] = stricter;
+        sources[field] = nightly.sources[field];
+      }
+    }
+  }
+
+  return { constraints, sources };
+}
+
+/**
+ * Fusionne les règles du logement et les contraintes saisonnières
+ * @param {Object} baseRules - Règles issues des GlobalSettings
+ * @param {Object} seasonal - Résultat de resolveSeasonalConstraints
+ * @returns {Object} { minNights, maxNights, arrivalDays, departureDays, sources }
+ */
+function mergeRules(baseRules, seasonal) {
+  return {
+    minNights: seasonal.constraints.minNights ?? baseRules.minNights,
+    maxNights: seasonal.constraints.maxNights ?? baseRules.maxNights ?? null,
+    arrivalDays: seasonal.constraints.arrivalDays
+      ? normalizeWeekdays(seasonal.constraints.arrivalDays)
+      : baseRules.arrivalDays,
+    departureDays: seasonal.constraints.departureDays
+      ? normalizeWeekdays(seasonal.constraints.departureDays)
+      : baseRules.departureDays,
+    sources: seasonal.sources
+  };
+}
+
+// --- Stay Rules Service Class ---
+export class StayRulesService {
+
+  /**
+   * Récupère les règles de séjour configurées pour un logement
+   * @param {Object} property - Logement résolu
+   * @returns {Object} { minNights, arrivalDays, departureDays }
+   */
+  static async getPropertyRules(property) {
+    const key = property.settingsKey;
+    const settings = await GlobalSettings.find({
+      settingKey: {
+        $in: [
+          'minimum_nights_default',
+          `minimum_nights_${key}`,
+          `fixed_arrival_days_${key}`,
+          `fixed_departure_days_${key}`
+        ]
+      }
+    }).lean();
+
+    const values = Object.fromEntries(settings.map(s => [s.settingKey, s.settingValue]));
+    const minNights = Number(values[`minimum_nights_${key}`] ?? values.minimum_nights_default ?? 1);
+
+    return {
+      minNights: Number.isFinite(minNights) && minNights > 0 ? minNights : 1,
+      arrivalDays: normalizeWeekdays(values[`fixed_arrival_days_${key}`]),
+      departureDays: normalizeWeekdays(values[`fixed_departure_days_${key}`])
+    };
+  }
+
+  /**
+   * Vérifie qu'un séjour respecte des règles données
+   * @param {Object} rules - { minNights, maxNights, arrivalDays, departureDays }
+   * @param {Date} startDate - Date d'arrivée
+   * @param {Date} endDate - Date de départ
+   * @returns {Array<Object>} Erreurs { code, error, ... } (vide si valide)
+   */
+  static checkRules(rules, startDate, endDate) {
+    const errors = [];
+    const nights = countNights(startDate, endDate);
+    const arrivalDay = toStayDate(startDate).getUTCDay();
+    const departureDay = toStayDate(endDate).getUTCDay();
+
+    if (nights < rules.minNights) {
+      errors.push({
+        code: 'MIN_NIGHTS',
+        error: `Séjour minimum de ${rules.minNights} nuit(s) (${nights} demandée(s))`,
+        minNights: rules.minNights,
+        nights
+      });
+    }
+
+    if (rules.maxNights && nights > rules.maxNights) {
+      errors.push({
+        code: 'MAX_NIGHTS',
+        error: `Séjour maximum de ${rules.maxNights} nuit(s) (${nights} demandée(s))`,
+        maxNights: rules.maxNights,
+        nights
+      });
+    }
+
+    if (rules.arrivalDays.length > 0 && !rules.arrivalDays.includes(arrivalDay)) {
+      errors.push({
+        code: 'ARRIVAL_DAY_NOT_ALLOWED',
+        error: `Arrivée possible uniquement le ${formatWeekdays(rules.arrivalDays)}`,
+        allowedDays: rules.arrivalDays
+      });
+    }
+
+    if (rules.departureDays.length > 0 && !rules.departureDays.includes(departureDay)) {
+      errors.push({
+        code: 'DEPARTURE_DAY_NOT_ALLOWED',
+        error: `Départ possible uniquement le ${formatWeekdays(rules.departureDays)}`,
+        allowedDays: rules.departureDays
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Vérifie les voyageurs d'un séjour contre le règlement du logement
+   * @param {Object} property - Logement résolu
+   * @param {Object} guestDetails - { adults, children, pets }
+   * @returns {Array<Object>} Erreurs { code, error, ... } (vide si valide)
+   */
+  static checkHouseRules(property, guestDetails = {}) {
+    const errors = [];
+    const rules = property.houseRules || {};
+    const adults = Number(guestDetails?.adults) || 1;
+    const children = guestDetails?.children || [];
+    const pets = guestDetails?.pets || [];
+    const guests = adults + children.length;
+    const maxGuests = rules.maxGuests || property.capacity?.maxGuests;
+
+    if (rules.maxAdults && adults > rules.maxAdults) {
+      errors.push({
+        code: 'MAX_ADULTS_EXCEEDED',
+        error: `${rules.maxAdults} adulte(s) maximum dans ce logement (${adults} demandé(s))`,
+        maxAdults: rules.maxAdults,
+        adults
+      });
+    }
+
+    if (maxGuests && guests > maxGuests) {
+      errors.push({
+        code: 'MAX_GUESTS_EXCEEDED',
+        error: `${maxGuests} voyageur(s) maximum dans ce logement (${guests} demandé(s))`,
+        maxGuests,
+        guests
+      });
+    }
+
+    if (pets.length > 0 && rules.petsAllowed === false) {
+      errors.push({
+        code: 'PETS_NOT_ALLOWED',
+        error: 'Les animaux ne sont pas acceptés dans ce logement'
+      });
+    } else if (pets.length > 0 && rules.allowedPetSizes?.length > 0) {
+      const refused = pets.filter(pet => !rules.allowedPetSizes.includes(pet?.size));
+      if (refused.length > 0) {
+        errors.push({
+          code: 'PET_SIZE_NOT_ALLOWED',
+          error: `Animaux acceptés uniquement de taille: ${rules.allowedPetSizes.join(', ')}`,
+          allowedPetSizes: [...rules.allowedPetSizes]
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Règles de prix actives d'un logement qui chevauchent une période
+   * @param {Object} property - Logement résolu
+   * @param {Date} start - Début de période
+   * @param {Date} end - Fin de période
+   * @returns {Array} Règles triées par priorité décroissante
+   */
+  static async getSeasonalRules(property, start, end) {
+    return PriceRule.find({
+      property: property.slug,
+      isActive: true,
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    })
+      .sort({ priority: -1, createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Règles effectives pour une arrivée à chaque date d'une période (calendrier)
+   * @param {Object} property - Logement résolu
+   * @param {Date} start - Première date
+   * @param {Date} end - Dernière date (incluse)
+   * @returns {Object} Contraintes indexées par date YYYY-MM-DD
+   */
+  static async getConstraintsForPeriod(property, start, end) {
+    const [baseRules, seasonalRules] = await Promise.all([
+      this.getPropertyRules(property),
+      this.getSeasonalRules(property, start, end)
+    ]);
+
+    const constraints = {};
+    for (let date = new Date(start); date <= end; date = addDays(date, 1)) {
+      constraints[formatDateKey(date)] = mergeRules(
+        baseRules,
+        resolveSeasonalConstraints(seasonalRules, date)
+      );
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Valide un séjour contre les règles du logement
+   * Les contraintes des règles de prix couvrant une nuit du séjour priment (la plus stricte)
+   * @param {Object} property - Logement résolu
+   * @param {string|Date} startDate - Date d'arrivée
+   * @param {string|Date} endDate - Date de départ
+   * @returns {Object} { valid, errors, rules }
+   */
+  static async validateStay(property, startDate, endDate) {
+    // Durée bornée avant de parcourir les nuits du séjour (voir QuoteService.computeQuote)
+    const { start, end, code } = parsePeriod(startDate, endDate);
+    if (code === 'PERIOD_TOO_LONG') {
+      return {
+        valid: false,
+        errors: [{ code: 'STAY_TOO_LONG', error: `Séjour trop long (${MAX_PERIOD_DAYS} nuits maximum)` }],
+        rules: null
+      };
+    }
+
+    if (!start || !end || start >= end) {
+      return {
+        valid: false,
+        errors: [{ code: 'INVALID_DATES', error: 'Dates de séjour invalides' }],
+        rules: null
+      };
+    }
+
+    const [baseRules, seasonalRules] = await Promise.all([
+      this.getPropertyRules(property),
+      this.getSeasonalRules(property, start, addDays(end, -1))
+    ]);
+    const rules = mergeRules(baseRules, resolveStayConstraints(seasonalRules, start, end));
+    const errors = this.checkRules(rules, start, end);
+
+    return { valid: errors.length === 0, errors, rules };
+  }
+}
+
+export default StayRulesService;
@@ -0,0 +1,146 @@
+// =======================================
+// --- TOURIST TAX SERVICE ---
+// =======================================
+// Calcul de la taxe de séjour et relevé mensuel pour la déclaration en mairie
+
+import Booking from '../models/booking.js';
+import { PropertyService } from './propertyService.js';
+import { roundAmount } from '../modules/money.js';
+
+// Réservations pour lesquelles la taxe est due
+const REPORTED_STATUSES = ['accepted', 'confirmed'];
+
+/**
+ * Calcule la taxe de séjour d'un séjour
+ * Les montants par nuit sont calculés sur le prix de la nuit hors réductions
+ * @param {Object} config - Property.touristTax
+ * @param {Object} stay - { nightly: [{ date, price }], adults, children: [{ age }] }
+ * @returns {Object|null} Ligne de taxe, ou null si le logement ne collecte pas de taxe
+ */
+export function computeTouristTax(config, { nightly, adults = 1, children = [] }) {
+  if (!config || !config.mode || config.mode === 'none') {
+    return null;
+  }
+
+  const exemptUnderAge = config.exemptUnderAge ?? 18;
+  const taxableChildren = children.filter(child => Number(child?.age) >= exemptUnderAge).length;
+  const taxablePersons = adults + taxableChildren;
+  const exemptPersons = children.length - taxableChildren;
+  const totalPersons = adults + children.length;
+
+  const byMonth = {};
+  for (const night of nightly) {
+    let perPerson;
+    if (config.mode === 'percentage') {
+      // Pourcentage du coût de la nuit par personne hébergée, plafonné
+      perPerson = (night.price / totalPersons) * (config.percentage || 0) / 100;
+      if (config.cap !== undefined && config.cap !== null) {
+        perPerson = Math.min(perPerson, config.cap);
+      }
+    } else {
+      perPerson = config.rate || 0;
+    }
+
+    const month = night.date.slice(0, 7);
+    byMonth[month] = byMonth[month] || { month, nights: 0, personNights: 0, amount: 0 };
+    byMonth[month].nights += 1;
+    byMonth[month].personNights += taxablePersons;
+    byMonth[month].amount += perPerson * taxablePersons;
+  }
+
+  const months = Object.values(byMonth).map(entry => ({ ...entry, amount: roundAmount(entry.amount) }));
+
+  return {
+    code: 'tourist_tax',
+    label: 'Taxe de séjour',
+    mode: config.mode,
+    nights: nightly.length,
+    taxablePersons,
+    exemptPersons,
+    amount: roundAmount(months.reduce((sum, entry) => sum + entry.amount, 0)),
+    byMonth: months
+  };
+}
+
+// --- Tourist Tax Service Class ---
+export class TouristTaxService {
+
+  /**
+   * Relevé de taxe de séjour par logement et par mois
+   * Les nuits d'un séjour à cheval sur deux mois sont réparties sur chaque mois
+   * @param {Object} params - { from, to } au format YYYY-MM, property optionnel
+   * @returns {Object} { from, to, rows, totals }
+   */
+  static async getMonthlyReport({ from, to, property = null }) {
+    const match = {
+      status: { $in: REPORTED_STATUSES },
+      'touristTax.amount': { $gt: 0 }
+    };
+    if (property) {
+      match.apartmentId = { $in: property.identifiers() };
+    }
+
+    const groups = await Booking.aggregate([
+      { $match: match },
+      { $unwind: '$touristTax.byMonth' },
+      { $match: { 'touristTax.byMonth.month': { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: { apartmentId: '$apartmentId', month: '$touristTax.byMonth.month' },
+          bookings: { $sum: 1 },
+          nights: { $sum: '$touristTax.byMonth.nights' },
+          taxablePersons: { $sum: '$touristTax.taxablePersons' },
+          exemptPersons: { $sum: '$touristTax.exemptPersons' },
+          personNights: { $sum: '$touristTax.byMonth.personNights' },
+          amount: { $sum: '$touristTax.byMonth.amount' }
+        }
+      }
+    ]);
+
+    // Regrouper les libellés historiques (alias) sous le slug du logement
+    const rowsByKey = {};
+    for (const group of groups) {
+      const resolved = await PropertyService.resolve(group._id.apartmentId, { includeInactive: true });
+      const slug = resolved?.slug || group._id.apartmentId;
+      const key = `${slug}_${group._id.month}`;
+
+      if (!rowsByKey[key]) {
+        rowsByKey[key] = {
+          property: slug,
+          propertyName: resolved?.name || group._id.apartmentId,
+          city: resolved?.address?.city || null,
+          month: group._id.month,
+          bookings: 0,
+          nights: 0,
+          taxablePersons: 0,
+          exemptPersons: 0,
+          personNights: 0,
+          amount: 0
+        };
+      }
+
+      const row = rowsByKey[key];
+      for (const field of ['bookings', 'nights', 'taxablePersons', 'exemptPersons', 'personNights', 'amount']) {
+        row[field] += group[field];
+      }
+    }
+
+    const rows = Object.values(rowsByKey)
+      .map(row => ({ ...row, amount: roundAmount(row.amount) }))
+      .sort((a, b) => a.property.localeCompare(b.property) || a.month.localeCompare(b.month));
+
+    const totals = rows.reduce(
+      (sum, row) => ({
+        bookings: sum.bookings + row.bookings,
+        nights: sum.nights + row.nights,
+        personNights: sum.personNights + row.personNights,
+        amount: roundAmount(sum.amount + row.amount)
+      }),
+      { bookings: 0, nights: 0, personNights: 0, amount: 0 }
+    );
+
+    return { from, to, rows, totals };
+  }
+}
+
+export default TouristTaxService;
@@ -0,0 +1,84 @@
+// ======================================
+// --- CART ORDER TESTS ---
+// ======================================
+// Réservations issues d'une commande du panier, payées avant la décision de l'hôte :
+// confirmation à l'acceptation, remboursement au refus
+
+import { expect } from 'chai';
+import mongoose from 'mongoose';
+import '../app.js';
+import Booking from '../models/booking.js';
+import PaymentTransaction from '../models/paymentTransaction.js';
+import { BookingLifecycleService } from '../services/bookingLifecycleService.js';
+import { LedgerService } from '../services/ledgerService.js';
+import { MockPaymentProvider, setPaymentProvider } from '../services/payments/index.js';
+
+describe('Cart Order Tests', () => {
+  const provider = new MockPaymentProvider();
+  let booking;
+
+  before(() => setPaymentProvider(provider));
+  after(() => setPaymentProvider(null));
+
+  beforeEach(async () => {
+    provider.reset();
+
+    // Commande du panier payée : capture chez le prestataire et écriture au registre
+    const orderId = new mongoose.Types.ObjectId();
+    const created = await provider.createOrder({ amount: 780, currency: 'EUR', reference: orderId.toString() });
+    provider.approve(created.order.id);
+    const { capture } = await provider.captureOrder(created.order.id);
+
+    booking = await Booking.create({
+      userId: new mongoose.Types.ObjectId(),
+      orderId,
+      apartmentId: 'valery-sources-baie',
+      startDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 8, 4)),
+      endDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 8, 11)),
+      price: 700,
+      totalPrice: 780,
+      paidAmount: 780,
+      balanceDue: 0,
+      paymentId: capture.orderId,
+      paymentCaptureId: capture.captureId,
+      status: 'pending'
+    });
+    await PaymentTransaction.create({
+      type: 'capture',
+      provider: provider.name,
+      providerReference: capture.captureId,
+      providerOrderId: capture.orderId,
+      amount: 780,
+      currency: 'EUR',
+      booking: booking._id,
+      order: orderId
+    });
+  });
+
+  afterEach(async () => {
+    await PaymentTransaction.deleteMany({ booking: booking._id });
+    await Booking.deleteOne({ _id: booking._id });
+  });
+
+  describe('✅ Décision de l\'hôte', () => {
+
+    it('should confirm a fully paid booking as soon as the host accepts it', async () => {
+      const result = await BookingLifecycleService.transition(booking, 'accepted', { channel: 'admin' });
+
+      expect(result.success).to.equal(true);
+      expect(result.previousStatus).to.equal('pending');
+      expect(result.booking.status).to.equal('confirmed');
+      expect(result.booking.balanceDue).to.equal(0);
+      expect(result.booking.statusHistory.map(entry => entry.to)).to.deep.equal(['accepted', 'confirmed']);
+    });
+
+    it('should refund a paid booking refused by the host', async () => {
+      const result = await BookingLifecycleService.transition(booking, 'refused', { channel: 'admin' });
+
+      expect(result.success).to.equal(true);
+      expect(result.booking.status).to.equal('refused');
+      expect(result.booking.cancellation).to.include({ refundStatus: 'completed', refundedAmount: 780 });
+      expect((await LedgerService.getBookingBalance(booking._id)).refunded).to.equal(780);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// ======================================
+// --- PROMO CODE TESTS ---
+// ======================================
+// Limites d'utilisation des codes promo sous demandes simultanées
+
+import { expect } from 'chai';
+import mongoose from 'mongoose';
+import '../app.js';
+import Booking from '../models/booking.js';
+import Order from '../models/order.js';
+import PromoCode from '../models/promoCode.js';
+import PromoRedemption from '../models/promoRedemption.js';
+import { PromoCodeService } from '../services/promoCodeService.js';
+
+const CODE = 'TEST-PER-USER';
+
+describe('Promo Code Tests', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let promo;
+
+  beforeEach(async () => {
+    promo = (await PromoCode.create({ code: CODE, value: 10, perUserLimit: 1 })).toObject();
+  });
+
+  afterEach(async () => {
+    await PromoCode.deleteOne({ code: CODE });
+    await PromoRedemption.deleteMany({ code: CODE });
+  });
+
+  describe('👤 Limite par client', () => {
+
+    it('should redeem a code only once per guest under parallel requests', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => PromoCodeService.redeem(promo, 1, { userId }))
+      );
+
+      expect(results.filter(result => result.success)).to.have.lengthOf(1);
+      results
+        .filter(result => !result.success)
+        .forEach(result => expect(result.code).to.equal('PROMO_USER_LIMIT'));
+      expect((await PromoCode.findOne({ code: CODE })).usedCount).to.equal(1);
+    });
+
+    it('should give the use back when the booking is released', async () => {
+      expect((await PromoCodeService.redeem(promo, 1, { userId })).success).to.equal(true);
+      await PromoCodeService.release(CODE, 1, { userId });
+
+      expect((await PromoCodeService.validate(CODE, { userId })).success).to.equal(true);
+      expect((await PromoCodeService.redeem(promo, 1, { userId })).success).to.equal(true);
+    });
+  });
+
+  describe('⏱️ Commande impayée expirée', () => {
+
+    it('should give back the use held by an unpaid order past its payment delay', async () => {
+      await PromoCode.updateOne({ code: CODE }, { maxUses: 1 });
+      expect((await PromoCodeService.redeem({ ...promo, maxUses: 1 }, 1, { userId })).success).to.equal(true);
+
+      // Commande abandonnée : délai de paiement dépassé, pas encore balayée par la tâche planifiée
+      const expiresAt = new Date(Date.now() - 60 * 1000);
+      const booking = await Booking.create({
+        userId,
+        orderId: new mongoose.Types.ObjectId(),
+        apartmentId: 'valery-sources-baie',
+        startDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 4, 1)),
+        endDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 4, 8)),
+        price: 700,
+        totalPrice: 630,
+        promoCode: CODE,
+        status: 'temporary',
+        expiresAt
+      });
+      const order = await Order.create({
+        _id: booking.orderId,
+        userId,
+        items: [{ apartmentId: booking.apartmentId, startDate: booking.startDate, endDate: booking.endDate, price: 700, bookingId: booking._id }],
+        totalPrice: 630,
+        expiresAt
+      });
+
+      try {
+        const result = await PromoCodeService.validate(CODE, { userId: new mongoose.Types.ObjectId() });
+
+        expect(result.success).to.equal(true);
+        expect((await Order.findById(order._id)).status).to.equal('expired');
+        expect((await Booking.findById(booking._id)).status).to.equal('cancelled');
+        expect((await PromoCode.findOne({ code: CODE })).usedCount).to.equal(0);
+      } finally {
+        await Booking.deleteOne({ _id: booking._id });
+        await Order.deleteOne({ _id: order._id });
+      }
+    });
+  });
+});
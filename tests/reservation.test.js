@@ -0,0 +1,207 @@
+// ======================================
+// --- RESERVATION CONCURRENCY TESTS ---
+// ======================================
+// Vérifie qu'aucune nuit ne peut être réservée deux fois, même en parallèle
+
+import request from 'supertest';
+import { expect } from 'chai';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import { SecureAuthService } from '../middleware/auth.js';
+import Booking from '../models/booking.js';
+import ReservationLock from '../models/reservationLock.js';
+import Cart from '../models/cart.js';
+import { ReservationService } from '../services/reservationService.js';
+
+const APARTMENT = 'valery-sources-baie';
+const PARALLEL_REQUESTS = 5;
+
+// Séjour d'une semaine, samedi à samedi, loin dans le futur
+const nextYear = new Date().getUTCFullYear() + 2;
+const firstSaturday = new Date(Date.UTC(nextYear, 10, 1));
+firstSaturday.setUTCDate(1 + ((6 - firstSaturday.getUTCDay() + 7) % 7));
+const startDate = firstSaturday.toISOString().split('T')[0];
+const endDate = new Date(firstSaturday.getTime() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+describe('Reservation Tests', () => {
+  const userToken = SecureAuthService.generateTokens({
+    _id: new mongoose.Types.ObjectId().toString(),
+    email: 'guest@test.com',
+    role: 'user'
+  });
+
+  afterEach(async () => {
+    const bookings = await Booking.find({ apartmentId: APARTMENT, startDate, endDate }).select('_id');
+    const ids = bookings.map(booking => booking._id);
+    await ReservationService.release(ids);
+    await Booking.deleteMany({ _id: { $in: ids } });
+  });
+
+  describe('🔒 Verrous de nuits', () => {
+
+    it('should grant the same nights to only one parallel reservation', async () => {
+      const bookingIds = Array.from({ length: PARALLEL_REQUESTS }, () => new mongoose.Types.ObjectId());
+
+      const results = await Promise.all(
+        bookingIds.map(bookingId =>
+          ReservationService.reserve([{ apartmentId: APARTMENT, startDate, endDate, bookingId }])
+        )
+      );
+
+      const winners = results.filter(result => result.success);
+      expect(winners).to.have.lengthOf(1);
+      results
+        .filter(result => !result.success)
+        .forEach(result => expect(result.code).to.equal('DATES_UNAVAILABLE'));
+
+      await ReservationService.release(bookingIds);
+      expect(await ReservationLock.countDocuments({ booking: { $in: bookingIds } })).to.equal(0);
+    });
+
+    it('should allow a stay starting on the previous departure day', async () => {
+      const first = new mongoose.Types.ObjectId();
+      const second = new mongoose.Types.ObjectId();
+      const followingEnd = new Date(new Date(endDate).getTime() + 2 * 24 * 60 * 60 * 1000);
+
+      const [before, after] = await Promise.all([
+        ReservationService.reserve([{ apartmentId: APARTMENT, startDate, endDate, bookingId: first }]),
+        ReservationService.reserve([{ apartmentId: APARTMENT, startDate: endDate, endDate: followingEnd, bookingId: second }])
+      ]);
+
+      expect(before.success).to.equal(true);
+      expect(after.success).to.equal(true);
+
+      await ReservationService.release([first, second]);
+    });
+  });
+
+  describe('🛒 Options du panier', () => {
+    const guestId = new mongoose.Types.ObjectId();
+    const otherGuestId = new mongoose.Types.ObjectId();
+
+    afterEach(async () => {
+      await ReservationService.releaseHolds({ userId: { $in: [guestId, otherGuestId] } });
+    });
+
+    it('should keep held nights away from other guests until released', async () => {
+      const cartItem = new mongoose.Types.ObjectId();
+      const expiresAt = new Date(Date.now() + 30 * 60 * 1000);
+
+      expect(await ReservationService.hold(APARTMENT, startDate, endDate, { userId: guestId, cartItem, expiresAt })).to.equal(true);
+      expect(await ReservationService.hold(APARTMENT, startDate, endDate, {
+        userId: otherGuestId,
+        cartItem: new mongoose.Types.ObjectId(),
+        expiresAt
+      })).to.equal(false);
+
+      const bookingId = new mongoose.Types.ObjectId();
+      const blocked = await ReservationService.reserve(
+        [{ apartmentId: APARTMENT, startDate, endDate, bookingId }],
+        { userId: otherGuestId }
+      );
+      expect(blocked.code).to.equal('DATES_UNAVAILABLE');
+
+      await ReservationService.releaseHolds({ userId: guestId, cartItem });
+      expect(await ReservationService.isAvailable(APARTMENT, startDate, endDate)).to.equal(true);
+    });
+
+    it('should convert the guest\'s own hold into a booking lock', async () => {
+      const cartItem = new mongoose.Types.ObjectId();
+      const bookingId = new mongoose.Types.ObjectId();
+      const expiresAt = new Date(Date.now() + 30 * 60 * 1000);
+
+      await ReservationService.hold(APARTMENT, startDate, endDate, { userId: guestId, cartItem, expiresAt });
+      const reservation = await ReservationService.reserve(
+        [{ apartmentId: APARTMENT, startDate, endDate, bookingId }],
+        { userId: guestId }
+      );
+
+      expect(reservation.success).to.equal(true);
+      expect(await ReservationLock.countDocuments({ booking: bookingId })).to.equal(7);
+      expect(await ReservationLock.countDocuments({ cartItem })).to.equal(0);
+
+      await ReservationService.release(bookingId);
+    });
+
+    it('should give converted holds back to the cart when the reservation fails', async () => {
+      const cartItem = new mongoose.Types.ObjectId();
+      const expiresAt = new Date(Date.now() + 30 * 60 * 1000);
+      const laterEnd = new Date(new Date(endDate).getTime() + 2 * 24 * 60 * 60 * 1000);
+      await Cart.create({
+        userId: guestId,
+        items: [{ _id: cartItem, apartmentId: APARTMENT, startDate, endDate, price: 700 }],
+        expiresAt
+      });
+      await ReservationService.hold(APARTMENT, startDate, endDate, { userId: guestId, cartItem, expiresAt });
+
+      // Le second séjour est déjà pris : la demande échoue après conversion de l'option
+      const taken = new mongoose.Types.ObjectId();
+      await ReservationService.reserve([{ apartmentId: APARTMENT, startDate: endDate, endDate: laterEnd, bookingId: taken }]);
+      const reservation = await ReservationService.reserve(
+        [
+          { apartmentId: APARTMENT, startDate, endDate, bookingId: new mongoose.Types.ObjectId() },
+          { apartmentId: APARTMENT, startDate: endDate, endDate: laterEnd, bookingId: new mongoose.Types.ObjectId() }
+        ],
+        { userId: guestId }
+      );
+
+      expect(reservation.code).to.equal('DATES_UNAVAILABLE');
+      expect(await ReservationLock.countDocuments({ userId: guestId, cartItem, booking: { $exists: false } })).to.equal(7);
+
+      await ReservationService.release(taken);
+      await Cart.deleteOne({ userId: guestId });
+    });
+
+    it('should ignore expired holds', async () => {
+      const expiresAt = new Date(Date.now() - 1000);
+      await ReservationService.hold(APARTMENT, startDate, endDate, {
+        userId: guestId,
+        cartItem: new mongoose.Types.ObjectId(),
+        expiresAt
+      });
+
+      expect(await ReservationService.isAvailable(APARTMENT, startDate, endDate)).to.equal(true);
+    });
+  });
+
+  describe('⚡ Demandes de réservation simultanées', () => {
+
+    it('should create a single booking when the same dates are requested in parallel', async () => {
+      const quoteResponse = await request(app)
+        .post('/quote')
+        .send({ apartmentId: APARTMENT, startDate, endDate })
+        .expect(200);
+
+      const item = {
+        apartmentId: APARTMENT,
+        startDate,
+        endDate,
+        price: quoteResponse.body.quote.accommodation
+      };
+
+      const responses = await Promise.all(
+        Array.from({ length: PARALLEL_REQUESTS }, () =>
+          request(app)
+            .post('/booking/create-request')
+            .set('Cookie', `accessToken=${userToken.accessToken}`)
+            .send({ items: [item], guestDetails: { adults: 2 } })
+        )
+      );
+
+      const accepted = responses.filter(response => response.status === 200);
+      const rejected = responses.filter(response => response.status === 409);
+
+      expect(accepted).to.have.lengthOf(1);
+      expect(rejected).to.have.lengthOf(PARALLEL_REQUESTS - 1);
+      rejected.forEach(response => expect(response.body.code).to.equal('DATES_UNAVAILABLE'));
+
+      const bookings = await Booking.countDocuments({
+        apartmentId: APARTMENT,
+        startDate,
+        endDate,
+        status: { $in: ['pending', 'accepted', 'confirmed'] }
+      });
+      expect(bookings).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+// ======================================
+// --- INTEGRATION TEST SETUP ---
+// ======================================
+// Les tests d'intégration (tests/*.test.js) démarrent l'application complète :
+// ils utilisent une base MongoDB dédiée, supprimée à la fin des tests.
+// Usage : TEST_CONNECTION_STRING=mongodb://127.0.0.1:27017/immova-test npm run test:integration
+
+import 'dotenv/config';
+import mongoose from 'mongoose';
+
+const connectionString = process.env.TEST_CONNECTION_STRING;
+
+if (!connectionString) {
+  throw new Error('TEST_CONNECTION_STRING non définie (ex : mongodb://127.0.0.1:27017/immova-test)');
+}
+
+// La base est vidée après les tests : on refuse toute base dont le nom ne désigne pas une base de test
+const databaseName = connectionString.match(/^mongodb(?:\+srv)?:\/\/[^/]+\/([^?]+)/)?.[1];
+if (!databaseName || !/test/i.test(databaseName)) {
+  throw new Error(`TEST_CONNECTION_STRING doit désigner une base de test (reçu : ${databaseName || 'aucune base'})`);
+}
+
+// Lu par models/connection.js à l'import de l'application
+process.env.CONNECTION_STRING = connectionString;
+
+export const mochaHooks = {
+  async afterAll() {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+    }
+  }
+};
@@ -0,0 +1,34 @@
+// ======================================
+// --- CANCELLATION POLICY TESTS ---
+// ======================================
+// Paliers de remboursement d'une annulation (hors ligne)
+
+import { expect } from 'chai';
+import { computeRefund } from '../../modules/cancellationPolicy.js';
+
+describe('Cancellation Policy Tests', () => {
+  const now = new Date('2027-01-01T10:00:00Z');
+
+  describe('💶 Paliers de remboursement', () => {
+
+    it('should apply the longest notice tier reached', () => {
+      const policy = { tiers: [{ daysBeforeArrival: 14, refundPercent: 50 }, { daysBeforeArrival: 30, refundPercent: 100 }] };
+
+      expect(computeRefund(policy, { startDate: '2027-02-15', paidAmount: 400, now })).to.include({ refundPercent: 100, refundableAmount: 400 });
+      expect(computeRefund(policy, { startDate: '2027-01-20', paidAmount: 400, now })).to.include({ refundPercent: 50, refundableAmount: 200 });
+      expect(computeRefund(policy, { startDate: '2027-01-05', paidAmount: 400, now })).to.include({ refundPercent: 0, refundableAmount: 0 });
+    });
+
+    it('should use the default tiers only when the property defines none', () => {
+      expect(computeRefund(undefined, { startDate: '2027-03-01', paidAmount: 400, now })).to.include({ refundPercent: 100 });
+      expect(computeRefund({}, { startDate: '2027-03-01', paidAmount: 400, now })).to.include({ refundPercent: 100 });
+    });
+
+    it('should refund nothing for a non-refundable property', () => {
+      expect(computeRefund({ tiers: [] }, { startDate: '2027-03-01', paidAmount: 400, now })).to.include({
+        refundPercent: 0,
+        refundableAmount: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,30 @@
+// ======================================
+// --- DATE UTILS TESTS ---
+// ======================================
+// Validation des périodes reçues des clients (hors ligne)
+
+import { expect } from 'chai';
+import { parsePeriod } from '../../modules/dateUtils.js';
+
+describe('Date Utils Tests', () => {
+
+  describe('📆 Périodes consultées', () => {
+
+    it('should normalize a valid period to UTC stay dates', () => {
+      const period = parsePeriod('2027-07-01', '2027-07-15');
+
+      expect(period.start.toISOString()).to.equal('2027-07-01T00:00:00.000Z');
+      expect(period.end.toISOString()).to.equal('2027-07-15T00:00:00.000Z');
+    });
+
+    it('should reject unreadable or reversed dates', () => {
+      expect(parsePeriod('demain', '2027-07-15')).to.include({ code: 'INVALID_DATES' });
+      expect(parsePeriod('2027-07-15', '2027-07-01')).to.have.property('error');
+    });
+
+    it('should cap the length of the period', () => {
+      expect(parsePeriod('2000-01-01', '2999-12-31')).to.include({ code: 'PERIOD_TOO_LONG' });
+      expect(parsePeriod('2027-01-01', '2028-07-01')).to.not.have.property('error');
+    });
+  });
+});
@@ -0,0 +1,27 @@
+// ======================================
+// --- EMAIL TEMPLATE TESTS ---
+// ======================================
+// Lignes HTML générées pour les emails de réservation (hors ligne)
+
+import { expect } from 'chai';
+import { EmailTemplateService } from '../../services/emailTemplateService.js';
+
+describe('Email Template Tests', () => {
+
+  describe('🛡️ Libellés saisis', () => {
+
+    it('should escape discount and surcharge labels', () => {
+      const booking = {
+        discounts: [{ label: '<img src=x onerror=alert(1)>', amount: 20 }],
+        surcharges: [{ label: 'Adulte "supplémentaire" & co', amount: 15 }]
+      };
+
+      const discounts = EmailTemplateService.buildDiscountRows(booking);
+      const surcharges = EmailTemplateService.buildSurchargeRows(booking);
+
+      expect(discounts).to.not.include('<img');
+      expect(discounts).to.include('&lt;img src=x onerror=alert(1)&gt;');
+      expect(surcharges).to.include('Adulte &quot;supplémentaire&quot; &amp; co');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+// ======================================
+// --- PAYMENT PROVIDER TESTS ---
+// ======================================
+// Parcours de paiement complet avec le prestataire mock (hors ligne)
+
+import { expect } from 'chai';
+import {
+  MockPaymentProvider,
+  PaypalProvider,
+  setPaymentProvider
+} from '../../services/payments/index.js';
+import { PaymentService } from '../../services/paymentService.js';
+import {
+  resolvePaymentRules,
+  buildPaymentSchedule,
+  nextDueInstalment,
+  allocatePayments
+} from '../../modules/paymentSchedule.js';
+import { summarizeTransactions } from '../../services/ledgerService.js';
+
+describe('Payment Provider Tests', () => {
+  const provider = new MockPaymentProvider();
+
+  before(() => setPaymentProvider(provider));
+  after(() => setPaymentProvider(null));
+  beforeEach(() => provider.reset());
+
+  describe('💳 Prestataire mock', () => {
+
+    it('should create, approve and capture an order deterministically', async () => {
+      const created = await provider.createOrder({
+        amount: 450.5,
+        currency: 'EUR',
+        reference: 'booking-1',
+        returnUrl: 'http://localhost:5173/payment?status=success'
+      });
+
+      expect(created.success).to.equal(true);
+      expect(created.order.id).to.equal('MOCK-ORDER-1');
+      expect(created.order.approvalUrl).to.equal('http://localhost:5173/payment?status=success&token=MOCK-ORDER-1');
+
+      provider.approve(created.order.id, 'guest@example.com');
+      const captured = await provider.captureOrder(created.order.id);
+
+      expect(captured.success).to.equal(true);
+      expect(captured.capture).to.include({
+        orderId: 'MOCK-ORDER-1',
+        status: 'COMPLETED',
+        captureId: 'MOCK-CAPTURE-1',
+        amount: 450.5,
+        currency: 'EUR',
+        payerEmail: 'guest@example.com'
+      });
+
+      const status = await provider.getOrder(created.order.id);
+      expect(status.order.status).to.equal('COMPLETED');
+    });
+
+    it('should refuse to capture an order the payer has not approved', async () => {
+      const { order } = await provider.createOrder({ amount: 100 });
+      const captured = await provider.captureOrder(order.id);
+
+      expect(captured.success).to.equal(false);
+      expect(captured.code).to.equal('ORDER_NOT_APPROVED');
+    });
+
+    it('should refuse to capture the same order twice', async () => {
+      const { order } = await provider.createOrder({ amount: 100 });
+      provider.approve(order.id);
+      await provider.captureOrder(order.id);
+
+      const again = await provider.captureOrder(order.id);
+      expect(again.code).to.equal('ORDER_ALREADY_CAPTURED');
+    });
+
+    it('should refund through the payment service up to the captured amount', async () => {
+      const { order } = await provider.createOrder({ amount: 200 });
+      provider.approve(order.id);
+      const { capture } = await provider.captureOrder(order.id);
+
+      const partial = await PaymentService.refund({ captureId: capture.captureId, amount: 150 });
+      expect(partial).to.deep.equal({ success: true, refundId: 'MOCK-REFUND-1', status: 'COMPLETED' });
+
+      const excess = await PaymentService.refund({ captureId: capture.captureId, amount: 100 });
+      expect(excess.success).to.equal(false);
+      expect(excess.code).to.equal('REFUND_FAILED');
+    });
+
+    it('should report a missing capture without calling the provider', async () => {
+      const result = await PaymentService.refund({ amount: 50 });
+      expect(result.code).to.equal('NO_CAPTURE');
+    });
+  });
+
+  describe('📅 Échéancier de paiement', () => {
+    const acceptedAt = new Date('2027-01-10T15:00:00Z');
+
+    it('should let a property override the global payment rules', () => {
+      const rules = resolvePaymentRules({ depositPercent: 40, properties: { valery: { balanceDueDays: 14 } } }, 'valery');
+      expect(rules).to.deep.equal({ depositPercent: 40, depositDueDays: 3, balanceDueDays: 14, reminderDays: 7 });
+      expect(resolvePaymentRules(null, 'touquet').depositPercent).to.equal(30);
+    });
+
+    it('should split the total into a deposit and a balance due before arrival', () => {
+      const schedule = buildPaymentSchedule(resolvePaymentRules({ depositPercent: 30 }), {
+        totalPrice: 1000,
+        startDate: '2027-03-01',
+        acceptedAt
+      });
+
+      expect(schedule.map(({ kind, amount, status }) => ({ kind, amount, status }))).to.deep.equal([
+        { kind: 'deposit', amount: 300, status: 'pending' },
+        { kind: 'balance', amount: 700, status: 'pending' }
+      ]);
+      expect(schedule[0].dueDate.toISOString()).to.equal('2027-01-13T15:00:00.000Z');
+      expect(schedule[1].dueDate.toISOString()).to.equal('2027-01-30T00:00:00.000Z');
+    });
+
+    it('should ask for a single payment when the balance would already be due', () => {
+      const schedule = buildPaymentSchedule(resolvePaymentRules({}), {
+        totalPrice: 500,
+        startDate: '2027-01-25',
+        acceptedAt
+      });
+
+      expect(schedule).to.have.lengthOf(1);
+      expect(schedule[0]).to.include({ kind: 'full', amount: 500 });
+    });
+
+    it('should mark instalments already covered by a previous payment as paid', () => {
+      const schedule = buildPaymentSchedule(resolvePaymentRules({}), {
+        totalPrice: 1000,
+        paidAmount: 300,
+        startDate: '2027-03-01',
+        acceptedAt
+      });
+
+      expect(nextDueInstalment(schedule)).to.include({ index: 1 });
+      expect(nextDueInstalment(schedule.map(instalment => ({ ...instalment, status: 'paid' })))).to.equal(null);
+    });
+  });
+
+  describe('📒 Registre des paiements', () => {
+
+    it('should derive balances from completed entries only', () => {
+      const balance = summarizeTransactions([
+        { type: 'authorization', status: 'completed', amount: 300 },
+        { type: 'capture', status: 'completed', amount: 300 },
+        { type: 'manual', status: 'completed', amount: 150.1 },
+        { type: 'capture', status: 'failed', amount: 700 },
+        { type: 'refund', status: 'completed', amount: 100 },
+        { type: 'refund', status: 'pending', amount: 50 }
+      ]);
+
+      expect(balance).to.deep.equal({ received: 450.1, refunded: 100, net: 350.1, pendingRefunds: 50 });
+    });
+
+    it('should reopen instalments no longer covered by the ledger', () => {
+      const paidAt = new Date('2026-11-01T00:00:00Z');
+      const schedule = [
+        { kind: 'deposit', amount: 300, status: 'paid', paidAt, captureId: 'CAP-1' },
+        { kind: 'balance', amount: 700, status: 'pending' }
+      ];
+
+      const reopened = allocatePayments(schedule, 0);
+      expect(reopened[0]).to.include({ status: 'pending' });
+      expect(reopened[0]).to.not.have.property('captureId');
+
+      const settled = allocatePayments(schedule, 1000, paidAt);
+      expect(settled[0]).to.equal(schedule[0]);
+      expect(settled[1]).to.include({ status: 'paid', paidAt });
+    });
+  });
+
+  describe('🅿️ Configuration PayPal', () => {
+
+    it('should use the sandbox unless PAYPAL_MODE is live', () => {
+      expect(new PaypalProvider({ mode: undefined }).baseUrl).to.equal('https://api-m.sandbox.paypal.com');
+      expect(new PaypalProvider({ mode: 'sandbox' }).baseUrl).to.equal('https://api-m.sandbox.paypal.com');
+      expect(new PaypalProvider({ mode: 'live' }).baseUrl).to.equal('https://api-m.paypal.com');
+    });
+  });
+});
@@ -0,0 +1,33 @@
+// ======================================
+// --- QUOTE TESTS ---
+// ======================================
+// Dates de séjour refusées avant tout calcul (hors ligne)
+
+import { expect } from 'chai';
+import { QuoteService } from '../../services/quoteService.js';
+
+describe('Quote Tests', () => {
+
+  describe('📅 Dates du séjour', () => {
+
+    it('should reject a stay ending before it starts', async () => {
+      const result = await QuoteService.computeQuote({
+        apartmentId: 'valery-sources-baie',
+        startDate: '2027-07-10',
+        endDate: '2027-07-03'
+      });
+
+      expect(result).to.include({ success: false, code: 'INVALID_DATES' });
+    });
+
+    it('should reject a stay longer than the maximum number of nights', async () => {
+      const result = await QuoteService.computeQuote({
+        apartmentId: 'valery-sources-baie',
+        startDate: '1927-01-01',
+        endDate: '2027-01-01'
+      });
+
+      expect(result).to.include({ success: false, code: 'STAY_TOO_LONG' });
+    });
+  });
+});
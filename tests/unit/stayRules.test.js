@@ -0,0 +1,73 @@
+// ======================================
+// --- STAY RULES TESTS ---
+// ======================================
+// Contraintes saisonnières appliquées à un séjour (hors ligne)
+
+import { expect } from 'chai';
+import { StayRulesService, resolveStayConstraints } from '../../services/stayRulesService.js';
+
+describe('Stay Rules Tests', () => {
+  const highSeason = {
+    name: 'Haute saison',
+    isActive: true,
+    startDate: new Date('2027-07-03T00:00:00Z'),
+    endDate: new Date('2027-08-28T00:00:00Z'),
+    minNights: 7,
+    arrivalDays: [6],
+    departureDays: [6]
+  };
+  const lowSeason = {
+    name: 'Basse saison',
+    isActive: true,
+    startDate: new Date('2027-06-01T00:00:00Z'),
+    endDate: new Date('2027-07-02T00:00:00Z'),
+    minNights: 2
+  };
+  const baseRules = { minNights: 1, maxNights: null, arrivalDays: [], departureDays: [] };
+
+  describe('🏖️ Séjour à cheval sur deux saisons', () => {
+
+    it('should apply the high season rules to a stay arriving the day before', () => {
+      const start = new Date('2027-07-02T00:00:00Z');
+      const end = new Date('2027-07-05T00:00:00Z');
+      const { constraints, sources } = resolveStayConstraints([highSeason, lowSeason], start, end);
+
+      expect(constraints).to.include({ minNights: 7 });
+      expect(sources.minNights).to.equal('Haute saison');
+
+      const errors = StayRulesService.checkRules({ ...baseRules, ...constraints }, start, end);
+      expect(errors.map(error => error.code)).to.have.members(['MIN_NIGHTS', 'ARRIVAL_DAY_NOT_ALLOWED', 'DEPARTURE_DAY_NOT_ALLOWED']);
+    });
+
+    it('should ignore rules that only cover the departure day', () => {
+      const { constraints } = resolveStayConstraints(
+        [highSeason, lowSeason],
+        new Date('2027-06-28T00:00:00Z'),
+        new Date('2027-07-03T00:00:00Z')
+      );
+
+      expect(constraints).to.deep.equal({ minNights: 2 });
+    });
+
+    it('should keep only the arrival days accepted by every rule', () => {
+      const weekend = { ...lowSeason, name: 'Week-end', minNights: undefined, arrivalDays: [5, 6] };
+      const { constraints } = resolveStayConstraints(
+        [highSeason, weekend],
+        new Date('2027-07-01T00:00:00Z'),
+        new Date('2027-07-10T00:00:00Z')
+      );
+
+      expect(constraints.arrivalDays).to.deep.equal([6]);
+    });
+  });
+
+  describe('📏 Durée du séjour', () => {
+
+    it('should reject a stay longer than the maximum before reading any rule', async () => {
+      const result = await StayRulesService.validateStay({ slug: 'valery-sources-baie' }, '1927-01-01', '2027-01-01');
+
+      expect(result.valid).to.equal(false);
+      expect(result.errors[0].code).to.equal('STAY_TOO_LONG');
+    });
+  });
+});
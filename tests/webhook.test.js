@@ -0,0 +1,300 @@
+// ======================================
+// --- PAYPAL WEBHOOK TESTS ---
+// ======================================
+// Notifications signées avec une clé locale : confirmation, relivraison, commande du panier,
+// remboursement d'une commande, traitement interrompu, signature invalide
+
+import request from 'supertest';
+import { expect } from 'chai';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import Booking from '../models/booking.js';
+import Order from '../models/order.js';
+import ProcessedWebhookEvent from '../models/processedWebhookEvent.js';
+import PaymentTransaction from '../models/paymentTransaction.js';
+import { LocalKeyWebhookVerifier, setWebhookVerifier } from '../services/payments/index.js';
+import { buildSignedMessage } from '../services/payments/webhookVerifier.js';
+
+const WEBHOOK_ID = 'WH-TEST';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Envoie une notification signée comme PayPal
+function sendEvent(event, { key = privateKey } = {}) {
+  const rawBody = JSON.stringify(event);
+  const transmissionId = crypto.randomUUID();
+  const transmissionTime = new Date().toISOString();
+  const message = buildSignedMessage({ transmissionId, transmissionTime, webhookId: WEBHOOK_ID, rawBody: Buffer.from(rawBody) });
+
+  return request(app)
+    .post('/payments/webhooks/paypal')
+    .set('Content-Type', 'application/json')
+    .set('paypal-transmission-id', transmissionId)
+    .set('paypal-transmission-time', transmissionTime)
+    .set('paypal-transmission-sig', crypto.sign('sha256', Buffer.from(message), key).toString('base64'))
+    .send(rawBody);
+}
+
+function captureEvent(type, { orderId, captureId, amount }) {
+  return {
+    id: `WH-${crypto.randomUUID()}`,
+    event_type: type,
+    resource: {
+      id: captureId,
+      status: type === 'PAYMENT.CAPTURE.COMPLETED' ? 'COMPLETED' : 'DENIED',
+      amount: { currency_code: 'EUR', value: amount.toFixed(2) },
+      supplementary_data: { related_ids: { order_id: orderId } }
+    }
+  };
+}
+
+describe('PayPal Webhook Tests', () => {
+  let booking;
+
+  before(() => setWebhookVerifier(new LocalKeyWebhookVerifier({ publicKey, webhookId: WEBHOOK_ID })));
+  after(() => setWebhookVerifier(null));
+
+  beforeEach(async () => {
+    booking = await Booking.create({
+      userId: new mongoose.Types.ObjectId(),
+      apartmentId: 'valery-sources-baie',
+      startDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 6, 4)),
+      endDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 6, 11)),
+      price: 700,
+      totalPrice: 700,
+      status: 'accepted',
+      paypalOrderId: `ORDER-${new mongoose.Types.ObjectId()}`,
+      expectedPayment: { amount: 700, currency: 'EUR', createdAt: new Date() }
+    });
+  });
+
+  afterEach(async () => {
+    await Booking.deleteOne({ _id: booking._id });
+    await ProcessedWebhookEvent.deleteMany({ provider: 'paypal', eventId: /^WH-/ });
+  });
+
+  describe('🔔 Notifications de paiement', () => {
+
+    it('should confirm the booking once even if the event is delivered twice', async () => {
+      const event = captureEvent('PAYMENT.CAPTURE.COMPLETED', {
+        orderId: booking.paypalOrderId,
+        captureId: 'CAPTURE-1',
+        amount: 700
+      });
+
+      const first = await sendEvent(event).expect(200);
+      expect(first.body).to.include({ result: true, outcome: 'booking_confirmed', duplicate: false });
+
+      const again = await sendEvent(event).expect(200);
+      expect(again.body.duplicate).to.equal(true);
+
+      const confirmed = await Booking.findById(booking._id);
+      expect(confirmed.status).to.equal('confirmed');
+      expect(confirmed.paidAmount).to.equal(700);
+      expect(confirmed.paymentCaptureId).to.equal('CAPTURE-1');
+      expect(confirmed.statusHistory.filter(entry => entry.to === 'confirmed')).to.have.lengthOf(1);
+    });
+
+    it('should not confirm a booking when the captured amount differs', async () => {
+      const response = await sendEvent(captureEvent('PAYMENT.CAPTURE.COMPLETED', {
+        orderId: booking.paypalOrderId,
+        captureId: 'CAPTURE-2',
+        amount: 70
+      })).expect(200);
+
+      expect(response.body.outcome).to.equal('amount_mismatch');
+      expect((await Booking.findById(booking._id)).status).to.equal('accepted');
+    });
+
+    it('should detach a denied PayPal order so the guest can pay again', async () => {
+      const response = await sendEvent(captureEvent('PAYMENT.CAPTURE.DENIED', {
+        orderId: booking.paypalOrderId,
+        captureId: 'CAPTURE-3',
+        amount: 700
+      })).expect(200);
+
+      expect(response.body.outcome).to.equal('payment_denied');
+      const current = await Booking.findById(booking._id);
+      expect(current.status).to.equal('accepted');
+      expect(current.paypalOrderId).to.equal(undefined);
+    });
+  });
+
+  describe('🧾 Commandes du panier', () => {
+    let order;
+
+    beforeEach(async () => {
+      const orderId = new mongoose.Types.ObjectId();
+      const bookingId = new mongoose.Types.ObjectId();
+      await Booking.create({
+        _id: bookingId,
+        userId: booking.userId,
+        orderId,
+        apartmentId: 'valery-sources-baie',
+        startDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 7, 1)),
+        endDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 7, 8)),
+        price: 700,
+        totalPrice: 780,
+        status: 'temporary',
+        expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+      });
+      order = await Order.create({
+        _id: orderId,
+        userId: booking.userId,
+        items: [{
+          apartmentId: 'valery-sources-baie',
+          startDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 7, 1)),
+          endDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 7, 8)),
+          price: 700,
+          totalPrice: 780,
+          bookingId
+        }],
+        totalPrice: 780,
+        providerOrderId: `ORDER-${orderId}`,
+        expectedPayment: { amount: 780, currency: 'EUR', createdAt: new Date() },
+        expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+      });
+    });
+
+    afterEach(async () => {
+      await Booking.deleteMany({ orderId: order._id });
+      await Order.deleteOne({ _id: order._id });
+    });
+
+    it('should complete the order linked to the PayPal order', async () => {
+      const response = await sendEvent(captureEvent('PAYMENT.CAPTURE.COMPLETED', {
+        orderId: order.providerOrderId,
+        captureId: 'CAPTURE-5',
+        amount: 780
+      })).expect(200);
+
+      expect(response.body.outcome).to.equal('order_completed');
+      expect((await Order.findById(order._id)).status).to.equal('completed');
+      const [paid] = await Booking.find({ orderId: order._id });
+      expect(paid.status).to.equal('pending');
+      expect(paid.paidAmount).to.equal(780);
+      expect(paid.paymentCaptureId).to.equal('CAPTURE-5');
+    });
+  });
+
+  describe('💸 Remboursements d\'une commande', () => {
+    const captureId = 'CAPTURE-SHARED';
+    let items;
+
+    // Remboursement PayPal : le lien "up" désigne la capture remboursée
+    function refundEvent(refundId, amount) {
+      return {
+        id: `WH-${crypto.randomUUID()}`,
+        event_type: 'PAYMENT.CAPTURE.REFUNDED',
+        resource: {
+          id: refundId,
+          status: 'COMPLETED',
+          amount: { currency_code: 'EUR', value: amount.toFixed(2) },
+          links: [{ rel: 'up', href: `https://api.paypal.com/v2/payments/captures/${captureId}` }]
+        }
+      };
+    }
+
+    beforeEach(async () => {
+      // Commande de deux séjours payée par une seule capture, puis séjour B annulé
+      const orderId = new mongoose.Types.ObjectId();
+      items = await Booking.insertMany(['A', 'B'].map((name, index) => ({
+        userId: booking.userId,
+        orderId,
+        apartmentId: 'valery-sources-baie',
+        startDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 9, 1 + index * 7)),
+        endDate: new Date(Date.UTC(new Date().getUTCFullYear() + 2, 9, 8 + index * 7)),
+        price: 400,
+        totalPrice: 400,
+        paidAmount: 400,
+        paymentCaptureId: captureId,
+        status: name === 'A' ? 'pending' : 'cancelled',
+        ...(name === 'B' && { cancellation: { refundableAmount: 400, refundedAmount: 0, refundStatus: 'pending' } })
+      })));
+      await PaymentTransaction.insertMany([
+        ...items.map(item => ({
+          type: 'capture', provider: 'paypal', providerReference: captureId, amount: 400, booking: item._id, order: orderId
+        })),
+        {
+          type: 'refund', provider: 'paypal', providerReference: 'REFUND-B', captureReference: captureId,
+          amount: 400, booking: items[1]._id, status: 'pending'
+        }
+      ]);
+    });
+
+    afterEach(async () => {
+      const ids = items.map(item => item._id);
+      await PaymentTransaction.deleteMany({ booking: { $in: ids } });
+      await Booking.deleteMany({ _id: { $in: ids } });
+    });
+
+    it('should record the refund on the booking that started it', async () => {
+      const response = await sendEvent(refundEvent('REFUND-B', 400)).expect(200);
+
+      expect(response.body.outcome).to.equal('refund_recorded');
+      const [first, second] = await Promise.all(items.map(item => Booking.findById(item._id)));
+      expect(second.cancellation).to.include({ refundStatus: 'completed', refundedAmount: 400, refundId: 'REFUND-B' });
+      expect(first.cancellation?.refundStatus).to.equal(undefined);
+      expect(await PaymentTransaction.countDocuments({ booking: first._id, type: 'refund' })).to.equal(0);
+    });
+
+    it('should not guess the booking of an unknown refund on a shared capture', async () => {
+      const response = await sendEvent(refundEvent('REFUND-DASHBOARD', 100)).expect(200);
+
+      expect(response.body.outcome).to.equal('ambiguous');
+      expect(await PaymentTransaction.countDocuments({ providerReference: 'REFUND-DASHBOARD' })).to.equal(0);
+    });
+  });
+
+  describe('♻️ Traitement interrompu', () => {
+
+    it('should process again an event left in processing past the timeout', async () => {
+      const event = captureEvent('PAYMENT.CAPTURE.COMPLETED', {
+        orderId: booking.paypalOrderId,
+        captureId: 'CAPTURE-6',
+        amount: 700
+      });
+      const startedAt = new Date(Date.now() - 10 * 60 * 1000);
+      await ProcessedWebhookEvent.collection.insertOne({
+        provider: 'paypal',
+        eventId: event.id,
+        status: 'processing',
+        attempts: 1,
+        createdAt: startedAt,
+        updatedAt: startedAt
+      });
+
+      const response = await sendEvent(event).expect(200);
+      expect(response.body).to.include({ outcome: 'booking_confirmed', duplicate: false });
+      expect((await Booking.findById(booking._id)).status).to.equal('confirmed');
+      expect((await ProcessedWebhookEvent.findOne({ eventId: event.id })).attempts).to.equal(2);
+    });
+
+    it('should ask for a redelivery while the event is still being processed', async () => {
+      const event = captureEvent('PAYMENT.CAPTURE.COMPLETED', {
+        orderId: booking.paypalOrderId,
+        captureId: 'CAPTURE-7',
+        amount: 700
+      });
+      await ProcessedWebhookEvent.create({ provider: 'paypal', eventId: event.id });
+
+      const response = await sendEvent(event).expect(409);
+      expect(response.body.code).to.equal('EVENT_IN_PROGRESS');
+      expect((await Booking.findById(booking._id)).status).to.equal('accepted');
+    });
+  });
+
+  describe('🔏 Signature', () => {
+
+    it('should reject a notification signed with another key', async () => {
+      const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const response = await sendEvent(
+        captureEvent('PAYMENT.CAPTURE.COMPLETED', { orderId: booking.paypalOrderId, captureId: 'CAPTURE-4', amount: 700 }),
+        { key: otherKey }
+      ).expect(401);
+
+      expect(response.body.code).to.equal('INVALID_SIGNATURE');
+      expect((await Booking.findById(booking._id)).status).to.equal('accepted');
+    });
+  });
+});